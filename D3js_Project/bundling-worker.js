@@ -0,0 +1,19 @@
+﻿// 力导向边捆绑 Web Worker：FDEB 的计算量随边数平方增长，放到后台线程，避免阻塞页面交互
+// 主线程发送 { segments }（见 EdgeBundler.segments），Worker 定期发回 progress，完成后发回与 segments 对齐的 offsets
+// 取消时主线程直接终止 Worker
+importScripts("edge-bundling.js");
+
+// 进度按百分比节流，避免每次迭代都发消息
+let reported = -1;
+
+self.onmessage = (event) => {
+    const offsets = EdgeBundler.bundleSegments(event.data.segments, {
+        onProgress: (done, total) => {
+            const percent = Math.floor(done / total * 100);
+            if (percent === reported) return;
+            reported = percent;
+            self.postMessage({ type: "progress", done: done, total: total });
+        }
+    });
+    self.postMessage({ type: "done", offsets: offsets });
+};
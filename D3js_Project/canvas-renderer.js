@@ -0,0 +1,512 @@
+﻿// Canvas 2D 渲染器：用于 SVG 难以承载的大图（完整的 Facebook 图约 4 千节点、8.8 万条边）
+// 样式类（highlighted/neighbor/hidden）与 SVG 共用 NetworkVisualization 中的同一份状态
+// 命中检测使用四叉树，悬停、点击、拖拽和缩放的行为与 SVG 版本一致
+// 边的形状（捆绑）和细节层次的合并结果同样由 NetworkVisualization 提供
+class CanvasRenderer {
+    constructor(visualization, container) {
+        this.vis = visualization;
+        this.nodes = [];
+        this.links = [];
+        this.transform = d3.zoomIdentity;
+        this.hovered = null;
+        this.hoveredMeta = null;
+        this.quadtree = null;
+        this.quadtreeDirty = true;
+        this.frameRequested = false;
+        this.width = 0;
+        this.height = 0;
+        this.ratio = window.devicePixelRatio || 1;
+
+        // 与 style.css 中 .node/.link 的样式保持一致
+        this.styles = {
+            link: { color: "#999", opacity: 0.6, width: 1 },
+            linkHighlighted: { color: "#ff4757", opacity: 1, width: 2 },
+            linkSelected: { color: "#ff9800", opacity: 1, width: 3 },
+            hiddenOpacity: 0.1,
+            nodeStroke: { color: "#fff", width: 1.5 },
+            nodeHover: { color: "#ff6b6b", width: 3 },
+            nodeHighlighted: { color: "#ff4757", width: 4 },
+            nodeNeighbor: { color: "#3742fa", width: 2 },
+            nodeSelected: { color: "#ff9800", width: 3 },
+            focusRing: { color: "#2196F3", width: 2, gap: 4, dash: [3, 2] },
+            label: { color: "#333", size: 8 },
+            metaLink: { color: "#888", opacity: 0.5 },
+            metaNode: { color: "#fff", width: 1.5, opacity: 0.85 },
+            metaNodeHover: { color: "#ff6b6b", width: 3 },
+            predicted: { color: "#8e44ad", opacity: 0.9, width: 1.5, dash: [4, 3] }
+        };
+
+        this.canvas = d3.select(container)
+            .append("canvas")
+            .attr("id", "networkCanvas")
+            .style("display", "none");
+        this.context = this.canvas.node().getContext("2d");
+
+        this.setupInteraction();
+    }
+
+    setData(nodes, links) {
+        this.nodes = nodes;
+        this.links = links;
+        this.hovered = null;
+        this.hoveredMeta = null;
+        this.positionsChanged();
+    }
+
+    show(visible) {
+        this.canvas.style("display", visible ? null : "none");
+        if (visible) this.requestRender();
+    }
+
+    isVisible() {
+        return this.canvas.style("display") !== "none";
+    }
+
+    resize(width, height) {
+        this.width = width;
+        this.height = height;
+        this.ratio = window.devicePixelRatio || 1;
+
+        this.canvas
+            .attr("width", Math.round(width * this.ratio))
+            .attr("height", Math.round(height * this.ratio))
+            .style("width", `${width}px`)
+            .style("height", `${height}px`);
+
+        this.requestRender();
+    }
+
+    // 缩放会改变细节层次的合并结果，命中检测需要重建
+    setTransform(transform) {
+        this.transform = transform;
+        this.quadtreeDirty = true;
+        this.requestRender();
+    }
+
+    positionsChanged() {
+        this.quadtreeDirty = true;
+        this.requestRender();
+    }
+
+    // 每帧最多绘制一次
+    requestRender() {
+        if (this.frameRequested || !this.isVisible()) return;
+        this.frameRequested = true;
+        requestAnimationFrame(() => {
+            this.frameRequested = false;
+            this.render();
+        });
+    }
+
+    // view 提供 transform、width 和 height，导出时可绘制到其他画布和范围
+    render(context = this.context, ratio = this.ratio, view = this) {
+        const { width, height } = view;
+        const { k, x, y } = view.transform;
+        const nodeClasses = this.vis.nodeClasses;
+        const linkClasses = this.vis.linkClasses;
+        const hiddenNodes = nodeClasses.get("hidden") || new Set();
+        const hiddenLinks = linkClasses.get("hidden") || new Set();
+        const highlightedLinks = linkClasses.get("highlighted") || new Set();
+        const selectedLinks = linkClasses.get("selected") || new Set();
+        // 合并进元节点、或在鲁棒性模拟中移除的节点和边不绘制
+        const lod = this.vis.lod.view;
+        const removedNodes = nodeClasses.get("removed") || new Set();
+        const removedLinks = linkClasses.get("removed") || new Set();
+        const collapsed = removedNodes.size > 0
+            ? new Set([...(lod ? lod.hiddenNodes : []), ...removedNodes])
+            : lod ? lod.hiddenNodes : new Set();
+
+        context.save();
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        context.clearRect(0, 0, width, height);
+        context.translate(x, y);
+        context.scale(k, k);
+
+        // 视口范围（图坐标），只绘制可见部分
+        const padding = this.vis.config.maxNodeRadius + 4;
+        const bounds = {
+            minX: -x / k - padding,
+            minY: -y / k - padding,
+            maxX: (width - x) / k + padding,
+            maxY: (height - y) / k + padding
+        };
+
+        // 连接按样式分批绘制，每批只调用一次 stroke
+        const normal = [];
+        const hidden = [];
+        const highlighted = [];
+        const selected = [];
+        const bundled = this.vis.bundling.mode !== "none";
+        (lod ? lod.links : this.links).forEach(link => {
+            if (removedLinks.has(link)) return;
+            // 捆绑的边经过控制点，可能离开两端点围成的范围
+            const inView = bundled
+                ? CanvasRenderer.pointsInView(this.vis.linkPoints(link), bounds)
+                : CanvasRenderer.linkInView(link, bounds);
+            if (!inView) return;
+            if (selectedLinks.has(link)) selected.push(link);
+            else if (highlightedLinks.has(link)) highlighted.push(link);
+            else if (hiddenLinks.has(link)) hidden.push(link);
+            else normal.push(link);
+        });
+
+        const link = this.styles.link;
+        this.strokeLinks(context, hidden, link.color, link.opacity * this.styles.hiddenOpacity, link.width);
+        this.strokeLinks(context, normal, link.color, link.opacity, link.width);
+        const linkHighlighted = this.styles.linkHighlighted;
+        this.strokeLinks(context, highlighted, linkHighlighted.color, linkHighlighted.opacity, linkHighlighted.width);
+        const linkSelected = this.styles.linkSelected;
+        this.strokeLinks(context, selected, linkSelected.color, linkSelected.opacity, linkSelected.width);
+        // 元节点的半径按当前视图的缩放计算，导出其他范围时保持一致
+        if (lod) this.drawMeta(context, lod, this.vis.transform.k);
+        this.drawPredictions(context, collapsed);
+
+        // 节点：隐藏的先画，带强调样式的最后画在上层
+        const highlightedNodes = nodeClasses.get("highlighted") || new Set();
+        const neighborNodes = nodeClasses.get("neighbor") || new Set();
+        const selectedNodes = nodeClasses.get("selected") || new Set();
+        const emphasized = [];
+
+        context.globalAlpha = this.styles.hiddenOpacity;
+        this.nodes.forEach(node => {
+            if (hiddenNodes.has(node) && !collapsed.has(node) && CanvasRenderer.nodeInView(node, bounds)) {
+                this.drawNode(context, node, this.styles.nodeStroke);
+            }
+        });
+
+        context.globalAlpha = 1;
+        this.nodes.forEach(node => {
+            if (hiddenNodes.has(node) || collapsed.has(node) || !CanvasRenderer.nodeInView(node, bounds)) return;
+            if (highlightedNodes.has(node) || selectedNodes.has(node) || neighborNodes.has(node) || node === this.hovered) {
+                emphasized.push(node);
+            } else {
+                this.drawNode(context, node, this.styles.nodeStroke);
+            }
+        });
+
+        emphasized.forEach(node => {
+            let stroke = this.styles.nodeNeighbor;
+            if (highlightedNodes.has(node)) stroke = this.styles.nodeHighlighted;
+            else if (node === this.hovered) stroke = this.styles.nodeHover;
+            else if (selectedNodes.has(node)) stroke = this.styles.nodeSelected;
+            this.drawNode(context, node, stroke);
+        });
+
+        // 键盘焦点环，导出时不绘制
+        const focused = this.vis.keyboardNav.node;
+        if (view === this && focused && !hiddenNodes.has(focused) && !collapsed.has(focused) && CanvasRenderer.nodeInView(focused, bounds)) {
+            const ring = this.styles.focusRing;
+            context.beginPath();
+            context.arc(focused.x, focused.y, focused.radius + ring.gap, 0, 2 * Math.PI);
+            context.setLineDash(ring.dash);
+            context.strokeStyle = ring.color;
+            context.lineWidth = ring.width;
+            context.stroke();
+            context.setLineDash([]);
+        }
+
+        // 文字标签，与 SVG 的 .node-label 一致
+        const encoding = this.vis.encoding;
+        if (encoding.label !== "none") {
+            context.font = `${this.styles.label.size}px sans-serif`;
+            context.fillStyle = this.styles.label.color;
+            this.nodes.forEach(node => {
+                if (hiddenNodes.has(node) || collapsed.has(node) || !CanvasRenderer.nodeInView(node, bounds)) return;
+                context.fillText(encoding.labelOf(node), node.x + node.radius + 2, node.y + 3);
+            });
+        }
+
+        context.restore();
+    }
+
+    strokeLinks(context, links, color, opacity, width) {
+        if (links.length === 0) return;
+        context.beginPath();
+        if (this.vis.bundling.mode === "none") {
+            links.forEach(link => {
+                context.moveTo(link.source.x, link.source.y);
+                context.lineTo(link.target.x, link.target.y);
+            });
+        } else {
+            const line = this.vis.bundling.line.context(context);
+            links.forEach(link => line(this.vis.linkPoints(link)));
+            line.context(null);
+        }
+        context.globalAlpha = opacity;
+        context.strokeStyle = color;
+        context.lineWidth = width;
+        context.stroke();
+        context.globalAlpha = 1;
+    }
+
+    // 元边的线宽和元节点的大小按屏幕像素计算，不随缩放变化
+    drawMeta(context, lod, k) {
+        const metaLink = this.styles.metaLink;
+        context.globalAlpha = metaLink.opacity;
+        context.strokeStyle = metaLink.color;
+        lod.metaLinks.forEach(link => {
+            context.beginPath();
+            context.moveTo(link.source.x, link.source.y);
+            context.lineTo(link.target.x, link.target.y);
+            context.lineWidth = LevelOfDetail.linkWidth(link.weight) / k;
+            context.stroke();
+        });
+
+        lod.metaNodes.forEach(meta => {
+            const stroke = meta.group === (this.hoveredMeta && this.hoveredMeta.group)
+                ? this.styles.metaNodeHover
+                : this.styles.metaNode;
+            context.beginPath();
+            context.arc(meta.x, meta.y, meta.radius, 0, 2 * Math.PI);
+            context.globalAlpha = this.styles.metaNode.opacity;
+            context.fillStyle = VisualEncoding.communityColor(meta.group);
+            context.fill();
+            context.globalAlpha = 1;
+            context.strokeStyle = stroke.color;
+            context.lineWidth = stroke.width / k;
+            context.stroke();
+        });
+        context.globalAlpha = 1;
+    }
+
+    // 链接预测的边画成虚线，端点合并进元节点时不绘制
+    drawPredictions(context, collapsed) {
+        const links = this.predictedLinks(collapsed);
+        if (links.length === 0) return;
+        const predicted = this.styles.predicted;
+        context.beginPath();
+        links.forEach(link => {
+            context.moveTo(link.source.x, link.source.y);
+            context.lineTo(link.target.x, link.target.y);
+        });
+        context.setLineDash(predicted.dash);
+        context.globalAlpha = predicted.opacity;
+        context.strokeStyle = predicted.color;
+        context.lineWidth = predicted.width;
+        context.stroke();
+        context.setLineDash([]);
+        context.globalAlpha = 1;
+    }
+
+    predictedLinks(collapsed) {
+        return this.vis.prediction.links.filter(d => !collapsed.has(d.source) && !collapsed.has(d.target));
+    }
+
+    drawNode(context, node, stroke) {
+        context.beginPath();
+        context.moveTo(node.x + node.radius, node.y);
+        context.arc(node.x, node.y, node.radius, 0, 2 * Math.PI);
+        context.fillStyle = this.vis.nodeColor(node);
+        context.fill();
+        context.strokeStyle = stroke.color;
+        context.lineWidth = stroke.width;
+        context.stroke();
+    }
+
+    static nodeInView(node, bounds) {
+        return node.x >= bounds.minX && node.x <= bounds.maxX
+            && node.y >= bounds.minY && node.y <= bounds.maxY;
+    }
+
+    // 两端都在视口同一侧外时跳过
+    static linkInView(link, bounds) {
+        const s = link.source;
+        const t = link.target;
+        return !((s.x < bounds.minX && t.x < bounds.minX) || (s.x > bounds.maxX && t.x > bounds.maxX)
+            || (s.y < bounds.minY && t.y < bounds.minY) || (s.y > bounds.maxY && t.y > bounds.maxY));
+    }
+
+    // 所有点都在视口同一侧外时跳过
+    static pointsInView(points, bounds) {
+        return !(points.every(p => p[0] < bounds.minX) || points.every(p => p[0] > bounds.maxX)
+            || points.every(p => p[1] < bounds.minY) || points.every(p => p[1] > bounds.maxY));
+    }
+
+    // 屏幕坐标（相对画布）下查找节点，隐藏节点不响应鼠标
+    findNode(screenX, screenY) {
+        if (this.quadtreeDirty) {
+            const hiddenNodes = this.vis.nodeClasses.get("hidden") || new Set();
+            const removedNodes = this.vis.nodeClasses.get("removed") || new Set();
+            this.quadtree = d3.quadtree()
+                .x(d => d.x)
+                .y(d => d.y)
+                .addAll(this.nodes.filter(d => !hiddenNodes.has(d) && !removedNodes.has(d) && !this.vis.isCollapsed(d)));
+            this.quadtreeDirty = false;
+        }
+
+        const [x, y] = this.transform.invert([screenX, screenY]);
+        const tolerance = 3 / this.transform.k;
+        const node = this.quadtree.find(x, y, this.vis.config.maxNodeRadius + tolerance);
+        if (!node) return null;
+        return Math.hypot(node.x - x, node.y - y) <= node.radius + tolerance ? node : null;
+    }
+
+    // 屏幕坐标下查找细节层次合并出的元节点
+    findMetaNode(screenX, screenY) {
+        const lod = this.vis.lod.view;
+        if (!lod) return null;
+        const [x, y] = this.transform.invert([screenX, screenY]);
+        return LevelOfDetail.findMetaNode(lod.metaNodes, x, y, 3 / this.transform.k);
+    }
+
+    setupInteraction() {
+        const canvasNode = this.canvas.node();
+
+        // 拖拽需要先于缩放绑定，命中节点时阻止缩放平移
+        this.canvas.call(d3.drag()
+            .container(canvasNode)
+            // 按住 Shift 时交给框选工具
+            .filter(event => !event.ctrlKey && !event.shiftKey && !event.button)
+            .subject(event => this.findNode(event.x, event.y))
+            .on("start", (event) => {
+                this.vis.hideTooltip();
+                this.vis.dragStarted(event, event.subject);
+            })
+            .on("drag", (event) => {
+                const [x, y] = this.transform.invert(d3.pointer(event, canvasNode));
+                this.vis.dragged(event.subject, x, y);
+            })
+            .on("end", (event) => this.vis.dragEnded(event, event.subject)));
+
+        this.canvas
+            .on("mousemove", (event) => {
+                const [x, y] = d3.pointer(event, canvasNode);
+                const node = this.findNode(x, y);
+                const meta = node ? null : this.findMetaNode(x, y);
+                if (node !== this.hovered || meta !== this.hoveredMeta) {
+                    this.hovered = node;
+                    this.hoveredMeta = meta;
+                    this.canvas.classed("node-hover", !!node || !!meta);
+                    this.requestRender();
+                }
+                if (node) {
+                    this.vis.showTooltip(event, node);
+                } else if (meta) {
+                    this.vis.showCommunityTooltip(event, meta);
+                } else {
+                    this.vis.hideTooltip();
+                }
+            })
+            .on("mouseleave", () => {
+                this.hovered = null;
+                this.hoveredMeta = null;
+                this.canvas.classed("node-hover", false);
+                this.vis.hideTooltip();
+                this.requestRender();
+            })
+            .on("click", (event) => {
+                const [x, y] = d3.pointer(event, canvasNode);
+                const node = this.findNode(x, y);
+                if (node) {
+                    this.vis.handleNodeClick(node);
+                    return;
+                }
+                const meta = this.findMetaNode(x, y);
+                if (meta) {
+                    this.hoveredMeta = null;
+                    this.vis.expandMetaNode(meta);
+                }
+            });
+    }
+
+    // 生成当前画面（或 view 指定的范围）的 SVG，供导出使用
+    toSVG(view = this) {
+        const nodeClasses = this.vis.nodeClasses;
+        const linkClasses = this.vis.linkClasses;
+        const lod = this.vis.lod.view;
+        const nodes = lod ? this.nodes.filter(d => !lod.hiddenNodes.has(d)) : this.nodes;
+        const k = this.vis.transform.k;
+        const svg = d3.create("svg")
+            .attr("xmlns", "http://www.w3.org/2000/svg")
+            .attr("width", view.width)
+            .attr("height", view.height);
+
+        svg.append("g")
+            .attr("class", "links")
+            .attr("transform", view.transform)
+            .selectAll("path")
+            .data(lod ? lod.links : this.links)
+            .join("path")
+            .attr("class", d => this.vis.linkClassName(d, linkClasses))
+            .attr("d", d => this.vis.linkPath(d))
+            .attr("fill", "none")
+            .attr("stroke", this.styles.link.color)
+            .attr("stroke-opacity", this.styles.link.opacity)
+            .attr("stroke-width", this.styles.link.width);
+
+        if (lod) {
+            const meta = svg.append("g")
+                .attr("class", "meta-layer")
+                .attr("transform", view.transform);
+            meta.selectAll("line")
+                .data(lod.metaLinks)
+                .join("line")
+                .attr("class", "meta-link")
+                .attr("x1", d => d.source.x)
+                .attr("y1", d => d.source.y)
+                .attr("x2", d => d.target.x)
+                .attr("y2", d => d.target.y)
+                .attr("stroke", this.styles.metaLink.color)
+                .attr("stroke-opacity", this.styles.metaLink.opacity)
+                .attr("stroke-width", d => LevelOfDetail.linkWidth(d.weight) / k);
+            meta.selectAll("circle")
+                .data(lod.metaNodes)
+                .join("circle")
+                .attr("class", "meta-node")
+                .attr("cx", d => d.x)
+                .attr("cy", d => d.y)
+                .attr("r", d => d.radius)
+                .attr("fill", d => VisualEncoding.communityColor(d.group))
+                .attr("fill-opacity", this.styles.metaNode.opacity)
+                .attr("stroke", this.styles.metaNode.color)
+                .attr("stroke-width", this.styles.metaNode.width / k);
+        }
+
+        const predicted = this.styles.predicted;
+        svg.append("g")
+            .attr("class", "prediction-layer")
+            .attr("transform", view.transform)
+            .selectAll("line")
+            .data(this.predictedLinks(lod ? lod.hiddenNodes : new Set()))
+            .join("line")
+            .attr("class", "predicted-link")
+            .attr("x1", d => d.source.x)
+            .attr("y1", d => d.source.y)
+            .attr("x2", d => d.target.x)
+            .attr("y2", d => d.target.y)
+            .attr("stroke", predicted.color)
+            .attr("stroke-opacity", predicted.opacity)
+            .attr("stroke-width", predicted.width)
+            .attr("stroke-dasharray", predicted.dash.join(" "));
+
+        svg.append("g")
+            .attr("class", "nodes")
+            .attr("transform", view.transform)
+            .selectAll("circle")
+            .data(nodes)
+            .join("circle")
+            .attr("class", d => this.vis.nodeClassName(d, nodeClasses))
+            .attr("cx", d => d.x)
+            .attr("cy", d => d.y)
+            .attr("r", d => d.radius)
+            .attr("fill", d => this.vis.nodeColor(d))
+            .attr("stroke", this.styles.nodeStroke.color)
+            .attr("stroke-width", this.styles.nodeStroke.width);
+
+        if (this.vis.encoding.label !== "none") {
+            svg.append("g")
+                .attr("class", "labels")
+                .attr("transform", view.transform)
+                .selectAll("text")
+                .data(nodes)
+                .join("text")
+                .attr("x", d => d.x + d.radius + 2)
+                .attr("y", d => d.y + 3)
+                .attr("font-size", this.styles.label.size)
+                .attr("fill", this.styles.label.color)
+                .text(d => this.vis.encoding.labelOf(d));
+        }
+
+        return svg.node();
+    }
+}
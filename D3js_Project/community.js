@@ -0,0 +1,279 @@
+﻿// 社群检测：Louvain 模块度优化，标签传播作为后备算法
+// 使用固定种子的随机数，保证同一份数据每次加载得到相同的划分
+class CommunityDetector {
+    constructor(options = {}) {
+        this.method = options.method || "louvain";
+        this.seed = options.seed !== undefined ? options.seed : 42;
+        this.maxLevels = options.maxLevels || 10;
+        this.maxIterations = options.maxIterations || 50;
+        this.minGain = options.minGain || 1e-10;
+    }
+
+    // nodes/links 可以是预处理后的对象，也可以是原始的 id 引用
+    detect(nodes, links) {
+        const n = nodes.length;
+        const index = new Map(nodes.map((d, i) => [d.id, i]));
+        const edges = [];
+
+        links.forEach(link => {
+            const s = index.get(GraphUtils.endpointId(link.source));
+            const t = index.get(GraphUtils.endpointId(link.target));
+            if (s !== undefined && t !== undefined) {
+                edges.push([s, t, 1]);
+            }
+        });
+
+        let method = this.method;
+        let membership;
+        try {
+            membership = method === "labelPropagation"
+                ? this.labelPropagation(n, edges)
+                : this.louvain(n, edges);
+        } catch (error) {
+            console.warn("Louvain 社群检测失败，改用标签传播:", error);
+            method = "labelPropagation";
+            membership = this.labelPropagation(n, edges);
+        }
+
+        membership = CommunityDetector.relabelBySize(membership);
+        const count = membership.reduce((max, c) => Math.max(max, c + 1), 0);
+        const sizes = new Array(count).fill(0);
+        membership.forEach(c => sizes[c]++);
+
+        return {
+            membership: membership,
+            count: count,
+            sizes: sizes,
+            modularity: CommunityDetector.modularity(n, edges, membership),
+            method: method
+        };
+    }
+
+    // Louvain：局部移动 + 社群聚合，直到模块度不再提升
+    louvain(n, edges) {
+        const random = GraphUtils.seededRandom(this.seed);
+        let adjacency = CommunityDetector.buildAdjacency(n, edges);
+        // 原始节点到当前层超级节点的映射
+        let membership = Array.from({ length: n }, (_, i) => i);
+
+        for (let level = 0; level < this.maxLevels; level++) {
+            const size = adjacency.length;
+            const { community, moved } = this.moveNodes(adjacency, random);
+            if (!moved) break;
+
+            const { labels, count } = CommunityDetector.renumber(community);
+            membership = membership.map(c => labels[c]);
+            if (count === size) break;
+
+            adjacency = CommunityDetector.aggregate(adjacency, labels, count);
+        }
+
+        return membership;
+    }
+
+    moveNodes(adjacency, random) {
+        const n = adjacency.length;
+        const strength = adjacency.map(CommunityDetector.nodeStrength);
+        const m2 = strength.reduce((a, b) => a + b, 0);
+        const community = Array.from({ length: n }, (_, i) => i);
+
+        // 没有边时每个节点各自成为一个社群
+        if (m2 === 0) return { community, moved: false };
+
+        const total = strength.slice();
+        const order = GraphUtils.shuffle(Array.from({ length: n }, (_, i) => i), random);
+        let moved = false;
+
+        for (let iteration = 0; iteration < this.maxIterations; iteration++) {
+            let changes = 0;
+
+            order.forEach(i => {
+                const current = community[i];
+                const ki = strength[i];
+                const weights = new Map();
+
+                adjacency[i].forEach((w, j) => {
+                    if (j === i) return;
+                    const c = community[j];
+                    weights.set(c, (weights.get(c) || 0) + w);
+                });
+
+                total[current] -= ki;
+                let best = current;
+                let bestGain = (weights.get(current) || 0) - total[current] * ki / m2;
+
+                weights.forEach((w, c) => {
+                    const gain = w - total[c] * ki / m2;
+                    if (gain > bestGain + this.minGain) {
+                        best = c;
+                        bestGain = gain;
+                    }
+                });
+
+                total[best] += ki;
+                if (best !== current) {
+                    community[i] = best;
+                    changes++;
+                }
+            });
+
+            if (changes === 0) break;
+            moved = true;
+        }
+
+        return { community, moved };
+    }
+
+    // 异步标签传播，平局时随机选择
+    labelPropagation(n, edges) {
+        const random = GraphUtils.seededRandom(this.seed);
+        const adjacency = CommunityDetector.buildAdjacency(n, edges);
+        const labels = Array.from({ length: n }, (_, i) => i);
+        const order = Array.from({ length: n }, (_, i) => i);
+
+        for (let iteration = 0; iteration < this.maxIterations * 2; iteration++) {
+            GraphUtils.shuffle(order, random);
+            let changes = 0;
+
+            order.forEach(i => {
+                if (adjacency[i].size === 0) return;
+
+                const counts = new Map();
+                adjacency[i].forEach((w, j) => {
+                    if (j === i) return;
+                    counts.set(labels[j], (counts.get(labels[j]) || 0) + w);
+                });
+                if (counts.size === 0) return;
+
+                const maxCount = Math.max(...counts.values());
+                // 当前标签已是最多之一时保持不变，保证收敛
+                if (counts.get(labels[i]) === maxCount) return;
+
+                const candidates = [];
+                counts.forEach((count, label) => {
+                    if (count === maxCount) candidates.push(label);
+                });
+                labels[i] = candidates[Math.floor(random() * candidates.length)];
+                changes++;
+            });
+
+            if (changes === 0) break;
+        }
+
+        return labels;
+    }
+
+    // Q = Σc [ in_c / m - (tot_c / 2m)^2 ]
+    static modularity(n, edges, membership) {
+        const m = edges.reduce((sum, e) => sum + e[2], 0);
+        if (m === 0) return 0;
+
+        const internal = new Map();
+        const total = new Map();
+        edges.forEach(([s, t, w]) => {
+            const cs = membership[s];
+            const ct = membership[t];
+            if (cs === ct) internal.set(cs, (internal.get(cs) || 0) + w);
+            total.set(cs, (total.get(cs) || 0) + w);
+            total.set(ct, (total.get(ct) || 0) + w);
+        });
+
+        let q = 0;
+        total.forEach((tot, c) => {
+            q += (internal.get(c) || 0) / m - Math.pow(tot / (2 * m), 2);
+        });
+        return q;
+    }
+
+    // 两种划分的归一化互信息 NMI = 2 I(A; B) / (H(A) + H(B))，a、b 为同一组节点的标签
+    static normalizedMutualInformation(a, b) {
+        const n = a.length;
+        if (n === 0) return 0;
+        const countA = new Map();
+        const countB = new Map();
+        const joint = new Map();
+        a.forEach((x, i) => {
+            const y = b[i];
+            countA.set(x, (countA.get(x) || 0) + 1);
+            countB.set(y, (countB.get(y) || 0) + 1);
+            const key = `${x}\u0000${y}`;
+            joint.set(key, { x: x, y: y, count: ((joint.get(key) || {}).count || 0) + 1 });
+        });
+
+        const entropy = counts => {
+            let h = 0;
+            counts.forEach(count => {
+                h -= count / n * Math.log(count / n);
+            });
+            return h;
+        };
+        let mutual = 0;
+        joint.forEach(({ x, y, count }) => {
+            mutual += count / n * Math.log(count * n / (countA.get(x) * countB.get(y)));
+        });
+
+        const h = entropy(countA) + entropy(countB);
+        // 两边都只有一个类时视为完全一致
+        return h === 0 ? 1 : 2 * mutual / h;
+    }
+
+    // 邻接表：adjacency[i] 为 Map<j, weight>，自环权重记在 adjacency[i].get(i)
+    static buildAdjacency(n, edges) {
+        const adjacency = Array.from({ length: n }, () => new Map());
+        edges.forEach(([s, t, w]) => {
+            adjacency[s].set(t, (adjacency[s].get(t) || 0) + w);
+            if (s !== t) {
+                adjacency[t].set(s, (adjacency[t].get(s) || 0) + w);
+            }
+        });
+        return adjacency;
+    }
+
+    // 节点强度：自环计两次
+    static nodeStrength(neighbors, i) {
+        let strength = 0;
+        neighbors.forEach((w, j) => {
+            strength += j === i ? 2 * w : w;
+        });
+        return strength;
+    }
+
+    // 将社群合并为超级节点，社群内部的边变为自环
+    static aggregate(adjacency, labels, count) {
+        const next = Array.from({ length: count }, () => new Map());
+        adjacency.forEach((neighbors, i) => {
+            const ci = labels[i];
+            neighbors.forEach((w, j) => {
+                const cj = labels[j];
+                // 非自环的内部边会从两端各访问一次
+                const weight = ci === cj && i !== j ? w / 2 : w;
+                next[ci].set(cj, (next[ci].get(cj) || 0) + weight);
+            });
+        });
+        return next;
+    }
+
+    static renumber(community) {
+        const mapping = new Map();
+        const labels = community.map(c => {
+            if (!mapping.has(c)) mapping.set(c, mapping.size);
+            return mapping.get(c);
+        });
+        return { labels, count: mapping.size };
+    }
+
+    // 按社群大小降序编号，相同大小时按首个成员的位置排序
+    static relabelBySize(membership) {
+        const sizes = new Map();
+        const first = new Map();
+        membership.forEach((c, i) => {
+            sizes.set(c, (sizes.get(c) || 0) + 1);
+            if (!first.has(c)) first.set(c, i);
+        });
+
+        const ordered = Array.from(sizes.keys())
+            .sort((a, b) => sizes.get(b) - sizes.get(a) || first.get(a) - first.get(b));
+        const mapping = new Map(ordered.map((c, i) => [c, i]));
+        return membership.map(c => mapping.get(c));
+    }
+}
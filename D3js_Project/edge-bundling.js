@@ -0,0 +1,215 @@
+﻿// 边捆绑：社群捆绑让边经过两端社群的质心，力导向捆绑（FDEB，Holten & van Wijk 2009）让走向相近的边互相吸引
+// 两种方式都返回边的控制点，由 d3.line 配合 curve 绘制，SVG 和 Canvas 共用
+class EdgeBundler {
+    static get modes() {
+        return [
+            { key: "none", label: "不捆绑" },
+            { key: "community", label: "社群捆绑" },
+            { key: "force", label: "力导向捆绑" }
+        ];
+    }
+
+    // 社群捆绑的曲线：beta 越大越贴近经过质心的路径
+    static communityCurve(beta = 0.85) {
+        return d3.curveBundle.beta(beta);
+    }
+
+    // 各社群成员的质心，Map<group, { x, y }>
+    static communityCenters(nodes) {
+        const sums = new Map();
+        nodes.forEach(d => {
+            const sum = sums.get(d.group) || { x: 0, y: 0, count: 0 };
+            sum.x += d.x;
+            sum.y += d.y;
+            sum.count++;
+            sums.set(d.group, sum);
+        });
+        const centers = new Map();
+        sums.forEach((sum, group) => centers.set(group, { x: sum.x / sum.count, y: sum.y / sum.count }));
+        return centers;
+    }
+
+    // 社群内部的边弯向社群质心，跨社群的边依次经过两端社群的质心
+    static communityPoints(link, centers) {
+        const { source, target } = link;
+        const a = centers.get(source.group);
+        const b = centers.get(target.group);
+        if (!a || !b) return [[source.x, source.y], [target.x, target.y]];
+        return source.group === target.group
+            ? [[source.x, source.y], [a.x, a.y], [target.x, target.y]]
+            : [[source.x, source.y], [a.x, a.y], [b.x, b.y], [target.x, target.y]];
+    }
+
+    // 返回 Map<link, 偏移量数组>：第 i 个细分点相对于直线上等分点的位移
+    // 按偏移量保存，节点移动后捆绑形状跟随两端平移缩放，不必每帧重新计算
+    static forceDirected(links, options = {}) {
+        return EdgeBundler.offsetMap(links, EdgeBundler.bundleSegments(EdgeBundler.segments(links), options));
+    }
+
+    // 边的端点坐标 [sx, sy, tx, ty]，可以传给 bundling-worker.js
+    static segments(links) {
+        return links.map(({ source, target }) => [source.x, source.y, target.x, target.y]);
+    }
+
+    static offsetMap(links, offsets) {
+        const map = new Map();
+        links.forEach((link, i) => {
+            if (offsets[i]) map.set(link, offsets[i]);
+        });
+        return map;
+    }
+
+    // 对端点坐标做力导向捆绑，返回与 segments 对齐的偏移量数组，长度为 0 的边为 null
+    // 只用到 Math，可在 Worker 中运行；options.onProgress(done, total) 在每次迭代后调用
+    static bundleSegments(segments, options = {}) {
+        const cycles = options.cycles || 6;
+        const stiffness = options.stiffness || 0.1;
+        const threshold = options.compatibility || 0.6;
+        const iterations = options.iterations || 50;
+        const onProgress = options.onProgress || (() => {});
+        let step = options.step || 0.04;
+
+        const edges = segments.map(([sx, sy, tx, ty], index) => ({
+            index: index,
+            s: { x: sx, y: sy },
+            t: { x: tx, y: ty },
+            points: []
+        })).filter(e => Math.hypot(e.t.x - e.s.x, e.t.y - e.s.y) > 1e-6);
+        const compatible = EdgeBundler.compatibleEdges(edges, threshold);
+
+        // 每轮细分点数量加倍，步长减半，迭代次数减为 2/3
+        const schedule = [];
+        for (let cycle = 0, count = iterations; cycle < cycles; cycle++) {
+            schedule.push(count);
+            count = Math.max(1, Math.round(count * 2 / 3));
+        }
+        const total = schedule.reduce((sum, count) => sum + count, 0);
+        let done = 0;
+
+        let subdivisions = 1;
+        edges.forEach(e => {
+            e.points = [{ x: (e.s.x + e.t.x) / 2, y: (e.s.y + e.t.y) / 2 }];
+        });
+        schedule.forEach((count, cycle) => {
+            for (let iteration = 0; iteration < count; iteration++) {
+                const forces = edges.map((e, i) => EdgeBundler.edgeForces(e, compatible[i], edges, stiffness, subdivisions));
+                edges.forEach((e, i) => e.points.forEach((p, j) => {
+                    p.x += step * forces[i][j].x;
+                    p.y += step * forces[i][j].y;
+                }));
+                onProgress(++done, total);
+            }
+            if (cycle < cycles - 1) {
+                subdivisions *= 2;
+                edges.forEach(e => {
+                    e.points = EdgeBundler.subdivide(e, subdivisions);
+                });
+                step /= 2;
+            }
+        });
+
+        const offsets = segments.map(() => null);
+        edges.forEach(e => {
+            const count = e.points.length + 1;
+            offsets[e.index] = e.points.map((p, i) => [
+                p.x - (e.s.x + (e.t.x - e.s.x) * (i + 1) / count),
+                p.y - (e.s.y + (e.t.y - e.s.y) * (i + 1) / count)
+            ]);
+        });
+        return offsets;
+    }
+
+    // 角度、长度和位置三项兼容性的乘积不低于阈值的边对，返回每条边的兼容边下标
+    static compatibleEdges(edges, threshold) {
+        const compatible = edges.map(() => []);
+        const vectors = edges.map(e => {
+            const x = e.t.x - e.s.x;
+            const y = e.t.y - e.s.y;
+            return {
+                x: x,
+                y: y,
+                length: Math.hypot(x, y),
+                mx: (e.s.x + e.t.x) / 2,
+                my: (e.s.y + e.t.y) / 2
+            };
+        });
+        for (let i = 0; i < edges.length; i++) {
+            const p = vectors[i];
+            for (let j = i + 1; j < edges.length; j++) {
+                const q = vectors[j];
+                const angle = Math.abs((p.x * q.x + p.y * q.y) / (p.length * q.length));
+                if (angle < threshold) continue;
+                const average = (p.length + q.length) / 2;
+                const scale = 2 / (average / Math.min(p.length, q.length) + Math.max(p.length, q.length) / average);
+                const position = average / (average + Math.hypot(p.mx - q.mx, p.my - q.my));
+                if (angle * scale * position >= threshold) {
+                    compatible[i].push(j);
+                    compatible[j].push(i);
+                }
+            }
+        }
+        return compatible;
+    }
+
+    // 相邻细分点之间的弹簧力，加上兼容边上对应细分点的吸引（单位向量，与 d3-ForceBundle 一致）
+    static edgeForces(edge, compatible, edges, stiffness, subdivisions) {
+        const points = [edge.s, ...edge.points, edge.t];
+        const length = Math.hypot(edge.t.x - edge.s.x, edge.t.y - edge.s.y);
+        const spring = stiffness / (length * (subdivisions + 1));
+        return edge.points.map((p, i) => {
+            const previous = points[i];
+            const next = points[i + 2];
+            const force = {
+                x: spring * (previous.x - p.x + next.x - p.x),
+                y: spring * (previous.y - p.y + next.y - p.y)
+            };
+            compatible.forEach(j => {
+                const q = edges[j].points[i];
+                const dx = q.x - p.x;
+                const dy = q.y - p.y;
+                const distance = Math.hypot(dx, dy);
+                if (distance > 1e-6) {
+                    force.x += dx / distance;
+                    force.y += dy / distance;
+                }
+            });
+            return force;
+        });
+    }
+
+    // 沿当前折线等距重新取 count 个细分点
+    static subdivide(edge, count) {
+        const polyline = [edge.s, ...edge.points, edge.t];
+        const lengths = [0];
+        for (let i = 1; i < polyline.length; i++) {
+            lengths.push(lengths[i - 1] + Math.hypot(polyline[i].x - polyline[i - 1].x, polyline[i].y - polyline[i - 1].y));
+        }
+        const total = lengths[lengths.length - 1];
+        const points = [];
+        let segment = 1;
+        for (let k = 1; k <= count; k++) {
+            const target = total * k / (count + 1);
+            while (segment < polyline.length - 1 && lengths[segment] < target) segment++;
+            const a = polyline[segment - 1];
+            const b = polyline[segment];
+            const span = lengths[segment] - lengths[segment - 1];
+            const t = span > 0 ? (target - lengths[segment - 1]) / span : 0;
+            points.push({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+        }
+        return points;
+    }
+
+    // 按保存的偏移量还原当前端点位置下的折线
+    static forcePoints(link, offsets) {
+        const { source, target } = link;
+        const count = offsets.length + 1;
+        return [
+            [source.x, source.y],
+            ...offsets.map(([dx, dy], i) => [
+                source.x + (target.x - source.x) * (i + 1) / count + dx,
+                source.y + (target.y - source.y) * (i + 1) / count + dy
+            ]),
+            [target.x, target.y]
+        ];
+    }
+}
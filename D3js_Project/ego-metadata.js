@@ -0,0 +1,178 @@
+﻿// SNAP 自我网络元数据：每个 ego 的 .circles（人工标注的圈子）、.feat/.egofeat（0/1 特征向量）和 .featnames（特征名）
+// 特征名形如 "education;school;id;anonymized feature 50"，前面的部分为类别（education.school.id），最后的编号为取值
+// 节点 ID 与 facebook_combined.txt 一致，可直接附加到当前图的节点上
+class EgoMetadata {
+    static get extensions() {
+        return ["circles", "feat", "featnames", "egofeat"];
+    }
+
+    // 返回 { ego, type }，不是元数据文件时返回 null
+    static fileType(name) {
+        const match = /(?:^|[\\/])([^\\/.]+)\.([a-z]+)$/i.exec(name);
+        if (!match || !EgoMetadata.extensions.includes(match[2].toLowerCase())) return null;
+        return { ego: match[1], type: match[2].toLowerCase() };
+    }
+
+    // files: [{ name, text }]；返回 { egos, circles, features, categories, warnings }，warnings 为 [{ ego, message }]
+    // circles 为 [{ key, ego, name, members }]，features 为 Map<节点 ID, Map<类别, Set<取值>>>
+    static parse(files) {
+        const egos = new Map();
+        files.forEach(file => {
+            const type = EgoMetadata.fileType(file.name);
+            if (!type) return;
+            if (!egos.has(type.ego)) egos.set(type.ego, {});
+            egos.get(type.ego)[type.type] = file.text;
+        });
+
+        const circles = [];
+        const features = new Map();
+        const warnings = [];
+        const lines = text => text.split(/\r?\n/).map(d => d.trim()).filter(d => d !== "");
+        const addFeature = (id, [category, value]) => {
+            if (!features.has(id)) features.set(id, new Map());
+            const values = features.get(id);
+            if (!values.has(category)) values.set(category, new Set());
+            values.get(category).add(value);
+        };
+
+        egos.forEach((texts, ego) => {
+            if (texts.circles !== undefined) {
+                lines(texts.circles).forEach(line => {
+                    const [name, ...members] = line.split(/\s+/);
+                    circles.push({ key: `${ego}:${name}`, ego: ego, name: name, members: members });
+                });
+            }
+
+            if (texts.feat === undefined && texts.egofeat === undefined) return;
+            if (texts.featnames === undefined) {
+                warnings.push({ ego: ego, message: `缺少 ${ego}.featnames，已忽略 ego ${ego} 的特征` });
+                return;
+            }
+            const names = [];
+            lines(texts.featnames).forEach(line => {
+                const match = /^(\d+)\s+(.+)$/.exec(line);
+                if (match) names[+match[1]] = EgoMetadata.featureName(match[2]);
+            });
+
+            let malformed = 0;
+            const read = (id, bits) => {
+                if (bits.length !== names.length) {
+                    malformed++;
+                    return;
+                }
+                bits.forEach((bit, i) => {
+                    if (bit === "1" && names[i]) addFeature(id, names[i]);
+                });
+            };
+            if (texts.feat !== undefined) {
+                lines(texts.feat).forEach(line => {
+                    const [id, ...bits] = line.split(/\s+/);
+                    read(id, bits);
+                });
+            }
+            if (texts.egofeat !== undefined) {
+                lines(texts.egofeat).forEach(line => read(ego, line.split(/\s+/)));
+            }
+            if (malformed > 0) {
+                warnings.push({ ego: ego, message: `ego ${ego} 有 ${malformed} 行特征数与 featnames 不一致，已忽略` });
+            }
+        });
+
+        const categories = new Set();
+        features.forEach(values => values.forEach((value, category) => categories.add(category)));
+        return {
+            egos: Array.from(egos.keys()),
+            circles: circles,
+            features: features,
+            categories: Array.from(categories).sort(),
+            warnings: warnings
+        };
+    }
+
+    // 返回 [类别, 取值]
+    static featureName(text) {
+        const parts = text.split(";");
+        const value = parts.pop().replace(/^anonymized feature\s*/, "").trim();
+        return [parts.length > 0 ? parts.join(".") : "feature", value];
+    }
+
+    // 将圈子和特征附加到节点：node.circles 按圈子大小升序，node.features 为 Map<类别, 取值数组>
+    // 特征同时写入 originalData（多个取值以逗号分隔），所属的最小圈子写入 originalData.circle，供着色、搜索和导出使用
+    // 返回 { circles, matched, missing }，circles 只含当前图中存在的成员，missing 为图中不存在的 ID 数
+    static apply(metadata, nodes) {
+        const nodeById = new Map(nodes.map(d => [String(d.id), d]));
+        const matched = new Set();
+        const missing = new Set();
+        nodes.forEach(d => {
+            d.circles = [];
+            d.features = null;
+        });
+
+        const circles = metadata.circles.map(circle => {
+            const members = [];
+            new Set(circle.members).forEach(id => {
+                const node = nodeById.get(id);
+                if (!node) {
+                    missing.add(id);
+                    return;
+                }
+                members.push(node);
+                matched.add(node);
+            });
+            const result = { ...circle, nodes: members };
+            members.forEach(node => node.circles.push(result));
+            return result;
+        });
+
+        metadata.features.forEach((values, id) => {
+            const node = nodeById.get(id);
+            if (!node) {
+                missing.add(id);
+                return;
+            }
+            matched.add(node);
+            node.features = new Map();
+            if (!node.originalData) node.originalData = { id: node.id };
+            values.forEach((set, category) => {
+                const sorted = Array.from(set).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+                node.features.set(category, sorted);
+                node.originalData[category] = sorted.join(",");
+            });
+        });
+
+        nodes.forEach(d => {
+            if (d.circles.length === 0) return;
+            d.circles.sort((a, b) => a.nodes.length - b.nodes.length);
+            if (!d.originalData) d.originalData = { id: d.id };
+            d.originalData.circle = d.circles[0].key;
+        });
+
+        return { circles: circles, matched: matched.size, missing: missing.size };
+    }
+
+    // 圈子与检测到的社群对比：每个圈子与 Jaccard 系数最高的社群匹配
+    // NMI 在至少属于一个圈子的节点上计算，圈子重叠时取节点所属的最小圈子
+    static compare(circles, nodes) {
+        const communitySizes = d3.rollup(nodes, v => v.length, d => d.group);
+        const rows = circles.filter(circle => circle.nodes.length > 0).map(circle => {
+            const size = circle.nodes.length;
+            let best = { group: null, overlap: 0, jaccard: 0 };
+            d3.rollup(circle.nodes, v => v.length, d => d.group).forEach((overlap, group) => {
+                const jaccard = overlap / (size + communitySizes.get(group) - overlap);
+                if (jaccard > best.jaccard) best = { group: group, overlap: overlap, jaccard: jaccard };
+            });
+            return { circle: circle, size: size, ...best };
+        });
+
+        const covered = nodes.filter(d => d.circles && d.circles.length > 0);
+        return {
+            rows: rows,
+            covered: covered.length,
+            meanJaccard: d3.mean(rows, d => d.jaccard) || 0,
+            nmi: CommunityDetector.normalizedMutualInformation(
+                covered.map(d => d.circles[0].key),
+                covered.map(d => d.group)
+            )
+        };
+    }
+}
@@ -0,0 +1,310 @@
+﻿// 视觉编码：把节点属性映射到半径、填充色和文字标签，并生成图例
+// 可用属性包括度数、k-核、中心性指标、社群，以及原始数据（originalData）中的字段
+class VisualEncoding {
+    constructor(options = {}) {
+        this.minRadius = options.minRadius;
+        this.maxRadius = options.maxRadius;
+        this.defaultRadius = options.defaultRadius;
+
+        // 当前映射，radius 可为 uniform，label 可为 none 或 id
+        this.radius = "degree";
+        this.color = "group";
+        this.colorScheme = "categorical"; // categorical、sequential 或 diverging
+        this.label = "none";
+
+        this.attributes = new Map();
+        this.radiusScale = null;
+        this.colorScale = null;
+    }
+
+    // 内置属性，原始数据字段的键以 data. 开头
+    static get builtinAttributes() {
+        return [
+            { key: "group", label: "社群", type: "categorical" },
+            ...GraphMetrics.nodeMetrics.map(d => ({ ...d, type: "numeric" }))
+        ];
+    }
+
+    // 社群的固定配色，节点、元节点、社群概览和圈子对比表共用
+    static communityColor(group) {
+        return d3.schemeCategory10[group % 10];
+    }
+
+    static get colorSchemes() {
+        return [
+            { key: "categorical", label: "分类" },
+            { key: "sequential", label: "顺序" },
+            { key: "diverging", label: "发散" }
+        ];
+    }
+
+    // 扫描节点的原始数据，字段的全部取值都是数字时视为数值属性；extraAttributes 为插件注册的指标 { key, label, type }
+    discover(nodes, extraAttributes = []) {
+        this.attributes = new Map([...VisualEncoding.builtinAttributes, ...extraAttributes].map(d => [d.key, {
+            ...d,
+            value: node => node[d.key]
+        }]));
+
+        const fields = new Map();
+        nodes.forEach(node => {
+            Object.entries(node.originalData || {}).forEach(([field, value]) => {
+                if (field === "id" || value === null || value === undefined || value === "") return;
+                if (typeof value === "object") return;
+                const numeric = typeof value === "number" && isFinite(value);
+                fields.set(field, (fields.has(field) ? fields.get(field) : true) && numeric);
+            });
+        });
+
+        fields.forEach((numeric, field) => {
+            this.attributes.set(`data.${field}`, {
+                key: `data.${field}`,
+                label: field,
+                type: numeric ? "numeric" : "categorical",
+                original: true,
+                value: node => {
+                    const value = node.originalData ? node.originalData[field] : undefined;
+                    return value === "" ? undefined : value;
+                }
+            });
+        });
+
+        // 换数据后原来的属性可能不存在
+        if (this.radius !== "uniform" && !this.isNumeric(this.radius)) this.radius = "degree";
+        if (!this.attributes.has(this.color)) this.setColor("group");
+        if (this.label !== "none" && this.label !== "id" && !this.attributes.has(this.label)) this.label = "none";
+        return this;
+    }
+
+    isNumeric(key) {
+        const attribute = this.attributes.get(key);
+        return !!attribute && attribute.type === "numeric";
+    }
+
+    numericAttributes() {
+        return Array.from(this.attributes.values()).filter(d => d.type === "numeric");
+    }
+
+    // 切换颜色属性时选择与类型相符的默认色阶
+    setColor(key) {
+        this.color = key;
+        this.colorScheme = this.isNumeric(key) ? "sequential" : "categorical";
+    }
+
+    value(node, key) {
+        const attribute = this.attributes.get(key);
+        return attribute ? attribute.value(node) : undefined;
+    }
+
+    // 根据当前映射和节点数据重建比例尺，并写入节点半径
+    update(nodes) {
+        this.updateRadiusScale(nodes);
+        this.updateColorScale(nodes);
+        nodes.forEach(node => {
+            node.radius = this.radiusOf(node);
+        });
+        return this;
+    }
+
+    updateRadiusScale(nodes) {
+        this.radiusScale = null;
+        if (this.radius === "uniform" || this.radius === "degree") return;
+
+        const [min, max] = d3.extent(nodes, d => this.value(d, this.radius));
+        if (min === undefined) return;
+        // 有负值时无法使用平方根比例
+        this.radiusScale = (min < 0 ? d3.scaleLinear().domain([min, max]) : d3.scaleSqrt().domain([0, max || 1]))
+            .range([this.minRadius, this.maxRadius])
+            .clamp(true);
+    }
+
+    updateColorScale(nodes) {
+        const key = this.color;
+        if (this.colorScheme === "categorical" || !this.isNumeric(key)) {
+            const values = Array.from(new Set(nodes.map(d => this.value(d, key))))
+                .filter(v => v !== undefined)
+                .sort(d3.ascending);
+            this.colorScale = d3.scaleOrdinal(d3.schemeCategory10).domain(values);
+            return;
+        }
+
+        const values = nodes.map(d => this.value(d, key)).filter(v => v !== undefined);
+        const [min, max] = d3.extent(values);
+        if (this.colorScheme === "diverging") {
+            const mid = d3.median(values);
+            this.colorScale = d3.scaleDiverging(t => d3.interpolateRdBu(1 - t))
+                .domain([min, mid, max]);
+        } else {
+            this.colorScale = (min < 0 ? d3.scaleSequential(d3.interpolateViridis) : d3.scaleSequentialSqrt(d3.interpolateViridis))
+                .domain([min, max]);
+        }
+    }
+
+    // 度数沿用原来的 degree / 3 截断
+    radiusOf(node) {
+        if (this.radius === "uniform") return this.defaultRadius;
+        if (this.radius === "degree") {
+            return Math.max(this.minRadius, Math.min(this.maxRadius, node.degree / 3));
+        }
+        const value = this.value(node, this.radius);
+        return value === undefined || !this.radiusScale ? this.minRadius : this.radiusScale(value);
+    }
+
+    colorOf(node) {
+        // 社群沿用固定的配色，筛选后颜色不变
+        if (this.color === "group" && this.colorScheme === "categorical") {
+            return VisualEncoding.communityColor(node.group);
+        }
+        const value = this.value(node, this.color);
+        return value === undefined || !this.colorScale ? "#ccc" : this.colorScale(value);
+    }
+
+    labelOf(node) {
+        if (this.label === "none") return "";
+        if (this.label === "id") return String(node.id);
+        const value = this.value(node, this.label);
+        if (value === undefined) return "";
+        return typeof value === "number" && !Number.isInteger(value) ? value.toPrecision(3) : String(value);
+    }
+
+    attributeLabel(key) {
+        const attribute = this.attributes.get(key);
+        return attribute ? attribute.label : key;
+    }
+
+    // 生成图例，返回独立的 <g> 元素及其尺寸，可插入页面或导出的 SVG
+    legend() {
+        const width = 180;
+        const g = d3.create("svg:g")
+            .attr("class", "legend")
+            .attr("font-family", "sans-serif")
+            .attr("font-size", 10)
+            .attr("fill", "#333");
+        let y = 0;
+
+        const title = text => {
+            g.append("text")
+                .attr("x", 0)
+                .attr("y", y + 10)
+                .attr("font-weight", "bold")
+                .text(text);
+            y += 16;
+        };
+
+        // 颜色
+        title(`颜色: ${this.attributeLabel(this.color)}`);
+        if (this.colorScale && this.colorScale.interpolator) {
+            const gradientId = "legend-gradient";
+            const gradient = g.append("defs")
+                .append("linearGradient")
+                .attr("id", gradientId);
+            const domain = this.colorScale.domain();
+            const [min, max] = [domain[0], domain[domain.length - 1]];
+            d3.range(0, 1.0001, 0.1).forEach(t => {
+                gradient.append("stop")
+                    .attr("offset", `${t * 100}%`)
+                    .attr("stop-color", this.colorScale(min + t * (max - min)));
+            });
+            g.append("rect")
+                .attr("y", y)
+                .attr("width", width)
+                .attr("height", 10)
+                .attr("fill", `url(#${gradientId})`);
+            g.append("text").attr("y", y + 22).text(VisualEncoding.formatValue(min));
+            g.append("text").attr("x", width).attr("y", y + 22)
+                .attr("text-anchor", "end")
+                .text(VisualEncoding.formatValue(max));
+            y += 30;
+        } else {
+            const values = this.colorScale ? this.colorScale.domain() : [];
+            const shown = values.slice(0, 10);
+            shown.forEach((value, i) => {
+                const row = g.append("g")
+                    .attr("transform", `translate(${(i % 2) * width / 2},${y + Math.floor(i / 2) * 14})`);
+                row.append("rect")
+                    .attr("width", 10)
+                    .attr("height", 10)
+                    .attr("fill", this.colorOf(this.sampleNode(this.color, value)));
+                row.append("text")
+                    .attr("x", 14)
+                    .attr("y", 9)
+                    .text(this.color === "group" ? `社群 ${value}` : String(value).slice(0, 12));
+            });
+            y += Math.ceil(shown.length / 2) * 14;
+            if (values.length > shown.length) {
+                g.append("text")
+                    .attr("y", y + 9)
+                    .attr("fill", "#666")
+                    .text(`...另有 ${values.length - shown.length} 类（颜色循环使用）`);
+                y += 14;
+            }
+            y += 4;
+        }
+
+        // 大小
+        title(`大小: ${this.radius === "uniform" ? "固定" : this.attributeLabel(this.radius)}`);
+        if (this.radius !== "uniform") {
+            // 度数半径两端截断
+            const clamped = this.radius === "degree";
+            const [low, high] = clamped
+                ? [this.minRadius * 3, this.maxRadius * 3]
+                : this.radiusScale ? [this.radiusScale.domain()[0], this.radiusScale.domain()[1]] : [0, 0];
+            [[low, this.minRadius], [high, this.maxRadius]].forEach(([value, r], i) => {
+                const x = i * width / 2 + this.maxRadius;
+                g.append("circle")
+                    .attr("cx", x)
+                    .attr("cy", y + this.maxRadius)
+                    .attr("r", r)
+                    .attr("fill", "#999")
+                    .attr("stroke", "#fff");
+                g.append("text")
+                    .attr("x", x + this.maxRadius + 4)
+                    .attr("y", y + this.maxRadius + 3)
+                    .text(`${clamped ? (i === 0 ? "≤ " : "≥ ") : ""}${VisualEncoding.formatValue(value)}`);
+            });
+            y += this.maxRadius * 2 + 4;
+        }
+
+        if (this.label !== "none") {
+            title(`标签: ${this.label === "id" ? "节点 ID" : this.attributeLabel(this.label)}`);
+        }
+
+        return { node: g.node(), width: width, height: y };
+    }
+
+    // 图例色块只需要能取到属性值的占位节点
+    sampleNode(key, value) {
+        if (key === "group") return { group: value };
+        const field = key.startsWith("data.") ? key.slice(5) : null;
+        return field ? { originalData: { [field]: value } } : { [key]: value };
+    }
+
+    static formatValue(value) {
+        if (typeof value !== "number" || Number.isInteger(value)) return String(value);
+        return Math.abs(value) >= 0.01 ? value.toFixed(2) : value.toExponential(1);
+    }
+
+    // 导出/导入时保存的编码设置
+    toJSON() {
+        return {
+            radius: this.radius,
+            color: this.color,
+            colorScheme: this.colorScheme,
+            label: this.label
+        };
+    }
+
+    apply(settings) {
+        if (!settings) return this;
+        if (settings.radius === "uniform" || this.isNumeric(settings.radius)) this.radius = settings.radius;
+        if (this.attributes.has(settings.color)) {
+            this.color = settings.color;
+            if (VisualEncoding.colorSchemes.some(d => d.key === settings.colorScheme)) {
+                this.colorScheme = settings.colorScheme;
+            }
+        }
+        if (settings.label === "none" || settings.label === "id" || this.attributes.has(settings.label)) {
+            this.label = settings.label;
+        }
+        return this;
+    }
+}
@@ -0,0 +1,107 @@
+﻿// 图编辑：在预处理后的数据 { nodes, links, communities } 上增删节点和边
+// 每次修改都同步更新两端节点的 neighbors 与 degree；中心性等指标由调用方重新计算
+class GraphEditor {
+    // 与现有 ID 的形式保持一致：全部为整数时取最大值加一，否则使用 n1、n2 ...
+    static nextId(nodes) {
+        const ids = new Set(nodes.map(d => String(d.id)));
+        if (nodes.length > 0 && nodes.every(d => /^-?\d+$/.test(String(d.id)))) {
+            const next = d3.max(nodes, d => +d.id) + 1;
+            return typeof nodes[0].id === "number" ? next : String(next);
+        }
+        let i = 1;
+        while (ids.has(`n${i}`)) i++;
+        return `n${i}`;
+    }
+
+    // 新节点没有连接，单独成为一个社群
+    static addNode(data, { x, y }) {
+        const id = GraphEditor.nextId(data.nodes);
+        const group = data.communities.sizes.length;
+        const node = {
+            ...Object.fromEntries(GraphMetrics.nodeMetrics.map(d => [d.key, 0])),
+            id: id,
+            group: group,
+            neighbors: new Set(),
+            x: x,
+            y: y,
+            originalData: { id: id },
+            radius: 0
+        };
+
+        data.nodes.push(node);
+        data.communities.sizes.push(1);
+        data.communities.count = data.communities.sizes.length;
+        return node;
+    }
+
+    // 自环和重复边不添加，返回 null
+    static addLink(data, source, target) {
+        if (source === target || source.neighbors.has(target)) return null;
+        const link = {
+            source: source,
+            target: target,
+            originalData: { source: source.id, target: target.id }
+        };
+
+        data.links.push(link);
+        source.neighbors.add(target);
+        target.neighbors.add(source);
+        source.degree++;
+        target.degree++;
+        return link;
+    }
+
+    static removeLinks(data, links) {
+        const removed = new Set(links);
+        data.links = data.links.filter(d => !removed.has(d));
+        removed.forEach(link => {
+            link.source.neighbors.delete(link.target);
+            link.target.neighbors.delete(link.source);
+            link.source.degree--;
+            link.target.degree--;
+        });
+        return removed;
+    }
+
+    // 同时删除与这些节点相连的边，返回被删除的边
+    static removeNodes(data, nodes) {
+        const removed = new Set(nodes);
+        const links = GraphEditor.removeLinks(data, data.links.filter(d => removed.has(d.source) || removed.has(d.target)));
+        data.nodes = data.nodes.filter(d => !removed.has(d));
+        removed.forEach(node => {
+            data.communities.sizes[node.group]--;
+        });
+        return links;
+    }
+
+    // 属性保存在 originalData 中，与导入文件的字段一致；空值表示删除该属性
+    static setAttribute(node, field, text) {
+        const data = { ...node.originalData };
+        const value = GraphEditor.parseValue(text);
+        if (value === undefined) {
+            delete data[field];
+        } else {
+            data[field] = value;
+        }
+        node.originalData = data;
+    }
+
+    static parseValue(text) {
+        const trimmed = String(text).trim();
+        if (trimmed === "") return undefined;
+        const number = Number(trimmed);
+        return isFinite(number) ? number : trimmed;
+    }
+
+    // 导出为 GraphParser 可以读取的 JSON
+    static toJSON(data) {
+        return {
+            nodes: data.nodes.map(d => ({ ...d.originalData, id: d.id })),
+            links: data.links.map(d => ({
+                ...d.originalData,
+                source: d.source.id,
+                target: d.target.id
+            }))
+        };
+    }
+}
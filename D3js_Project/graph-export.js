@@ -0,0 +1,239 @@
+﻿// 图数据导出：GraphML、GEXF（含 Gephi 可读的坐标和颜色）、节点/边 CSV 以及 SNAP 边列表
+// 输入为预处理后的 { nodes, links }，计算得到的指标和原始数据字段一并导出，均可由 GraphParser 重新读取
+class GraphExporter {
+    static get formats() {
+        return [
+            { key: "graphml", label: "GraphML", fileName: "network.graphml", type: "application/xml" },
+            { key: "gexf", label: "GEXF (Gephi)", fileName: "network.gexf", type: "application/xml" },
+            { key: "nodes-csv", label: "节点 CSV", fileName: "network_nodes.csv", type: "text/csv" },
+            { key: "links-csv", label: "边 CSV", fileName: "network_links.csv", type: "text/csv" },
+            { key: "edgelist", label: "SNAP 边列表", fileName: "network_edges.txt", type: "text/plain" },
+            { key: "json", label: "JSON", fileName: "network.json", type: "application/json" }
+        ];
+    }
+
+    // options.color(node) 返回节点颜色，options.label(node) 返回 GEXF 中的节点标签，options.metrics 为插件注册的指标
+    static export(format, graph, options = {}) {
+        switch (format) {
+            case "graphml":
+                return GraphExporter.graphML(graph, options);
+            case "gexf":
+                return GraphExporter.gexf(graph, options);
+            case "nodes-csv":
+                return GraphExporter.nodeCSV(graph, options);
+            case "links-csv":
+                return GraphExporter.linkCSV(graph);
+            case "edgelist":
+                return GraphExporter.edgeList(graph);
+            default:
+                return JSON.stringify(GraphEditor.toJSON(graph), null, 2);
+        }
+    }
+
+    // 节点属性：社群、各项指标、坐标，以及原始数据中的字段；与指标重名的原始字段加 data. 前缀
+    static nodeAttributes(nodes, metrics = []) {
+        const attributes = [
+            { name: "group", type: "integer", value: d => d.group },
+            ...GraphMetrics.nodeMetrics.map(metric => ({
+                name: metric.key,
+                type: metric.key === "degree" || metric.key === "coreness" ? "integer" : "double",
+                value: d => d[metric.key]
+            })),
+            ...metrics.map(metric => ({
+                name: metric.key,
+                type: metric.type === "numeric" ? "double" : "string",
+                value: d => d[metric.key]
+            })),
+            { name: "x", type: "double", value: d => d.x },
+            { name: "y", type: "double", value: d => d.y }
+        ];
+        const reserved = new Set(["id", ...attributes.map(d => d.name)]);
+
+        GraphExporter.fieldTypes(nodes.map(d => d.originalData), ["id"]).forEach((type, field) => {
+            attributes.push({
+                name: reserved.has(field) ? `data.${field}` : field,
+                type: type,
+                value: d => d.originalData ? d.originalData[field] : undefined
+            });
+        });
+        return attributes;
+    }
+
+    static linkAttributes(links) {
+        const attributes = [];
+        GraphExporter.fieldTypes(links.map(d => d.originalData), ["source", "target"]).forEach((type, field) => {
+            attributes.push({
+                name: field,
+                type: type,
+                value: d => d.originalData ? d.originalData[field] : undefined
+            });
+        });
+        return attributes;
+    }
+
+    // 字段类型取所有取值的公共类型：integer < double < string
+    static fieldTypes(records, excluded) {
+        const types = new Map();
+        records.forEach(record => {
+            Object.entries(record || {}).forEach(([field, value]) => {
+                if (excluded.includes(field) || value === null || value === undefined || value === "") return;
+                if (typeof value === "object") return;
+                let type = "string";
+                if (typeof value === "boolean") type = "boolean";
+                else if (typeof value === "number") type = Number.isInteger(value) ? "integer" : "double";
+
+                const current = types.get(field);
+                if (!current || current === type) {
+                    types.set(field, type);
+                } else if ((current === "integer" && type === "double") || (current === "double" && type === "integer")) {
+                    types.set(field, "double");
+                } else {
+                    types.set(field, "string");
+                }
+            });
+        });
+        return types;
+    }
+
+    static graphML({ nodes, links }, options = {}) {
+        const nodeAttributes = GraphExporter.nodeAttributes(nodes, options.metrics);
+        const linkAttributes = GraphExporter.linkAttributes(links);
+        const graphMLType = type => type === "integer" ? "int" : type;
+        const lines = [
+            `<?xml version="1.0" encoding="UTF-8"?>`,
+            `<graphml xmlns="http://graphml.graphdrawing.org/xmlns">`
+        ];
+
+        nodeAttributes.forEach((attribute, i) => {
+            lines.push(`  <key id="n${i}" for="node" attr.name="${GraphExporter.escapeXML(attribute.name)}" attr.type="${graphMLType(attribute.type)}"/>`);
+        });
+        linkAttributes.forEach((attribute, i) => {
+            lines.push(`  <key id="e${i}" for="edge" attr.name="${GraphExporter.escapeXML(attribute.name)}" attr.type="${graphMLType(attribute.type)}"/>`);
+        });
+
+        const dataElements = (d, attributes, prefix) => attributes
+            .map((attribute, i) => [i, attribute.value(d)])
+            .filter(([, value]) => value !== undefined && value !== null && value !== "")
+            .map(([i, value]) => `<data key="${prefix}${i}">${GraphExporter.escapeXML(value)}</data>`)
+            .join("");
+
+        lines.push(`  <graph id="G" edgedefault="undirected">`);
+        nodes.forEach(d => {
+            lines.push(`    <node id="${GraphExporter.escapeXML(d.id)}">${dataElements(d, nodeAttributes, "n")}</node>`);
+        });
+        links.forEach(d => {
+            lines.push(`    <edge source="${GraphExporter.escapeXML(d.source.id)}" target="${GraphExporter.escapeXML(d.target.id)}">`
+                + `${dataElements(d, linkAttributes, "e")}</edge>`);
+        });
+        lines.push(`  </graph>`, `</graphml>`);
+        return lines.join("\n");
+    }
+
+    // GEXF 1.3，viz 命名空间记录坐标、半径和颜色
+    static gexf({ nodes, links }, options = {}) {
+        const color = options.color || (() => "#999");
+        const label = options.label || (d => d.id);
+        // 坐标与半径已写入 viz，不再作为属性重复导出
+        const nodeAttributes = GraphExporter.nodeAttributes(nodes, options.metrics).filter(d => d.name !== "x" && d.name !== "y");
+        const linkAttributes = GraphExporter.linkAttributes(links);
+        const lines = [
+            `<?xml version="1.0" encoding="UTF-8"?>`,
+            `<gexf xmlns="http://gexf.net/1.3" xmlns:viz="http://gexf.net/1.3/viz" version="1.3">`,
+            `  <meta lastmodifieddate="${new Date().toISOString().slice(0, 10)}">`,
+            `    <creator>Facebook 社交网络分析平台</creator>`,
+            `  </meta>`,
+            `  <graph defaultedgetype="undirected" mode="static">`
+        ];
+
+        const declare = (domain, attributes) => {
+            lines.push(`    <attributes class="${domain}">`);
+            attributes.forEach((attribute, i) => {
+                lines.push(`      <attribute id="${i}" title="${GraphExporter.escapeXML(attribute.name)}" type="${attribute.type}"/>`);
+            });
+            lines.push(`    </attributes>`);
+        };
+        declare("node", nodeAttributes);
+        if (linkAttributes.length > 0) declare("edge", linkAttributes);
+
+        const attvalues = (d, attributes) => {
+            const values = attributes
+                .map((attribute, i) => [i, attribute.value(d)])
+                .filter(([, value]) => value !== undefined && value !== null && value !== "")
+                .map(([i, value]) => `<attvalue for="${i}" value="${GraphExporter.escapeXML(value)}"/>`);
+            return values.length > 0 ? `<attvalues>${values.join("")}</attvalues>` : "";
+        };
+        const round = value => Math.round(value * 100) / 100;
+
+        lines.push(`    <nodes>`);
+        // Gephi 的 y 轴向上，取反后与页面上的方向一致
+        nodes.forEach(d => {
+            const rgb = d3.rgb(color(d));
+            lines.push(`      <node id="${GraphExporter.escapeXML(d.id)}" label="${GraphExporter.escapeXML(label(d))}">`
+                + attvalues(d, nodeAttributes)
+                + `<viz:position x="${round(d.x)}" y="${round(-d.y)}" z="0"/>`
+                + `<viz:size value="${round(d.radius)}"/>`
+                + `<viz:color r="${rgb.r}" g="${rgb.g}" b="${rgb.b}"/>`
+                + `</node>`);
+        });
+        lines.push(`    </nodes>`, `    <edges>`);
+        links.forEach((d, i) => {
+            lines.push(`      <edge id="${i}" source="${GraphExporter.escapeXML(d.source.id)}" target="${GraphExporter.escapeXML(d.target.id)}">`
+                + `${attvalues(d, linkAttributes)}</edge>`);
+        });
+        lines.push(`    </edges>`, `  </graph>`, `</gexf>`);
+        return lines.join("\n");
+    }
+
+    static nodeCSV({ nodes }, options = {}) {
+        const attributes = GraphExporter.nodeAttributes(nodes, options.metrics);
+        const rows = nodes.map(d => {
+            const row = { id: d.id };
+            attributes.forEach(attribute => {
+                const value = attribute.value(d);
+                row[attribute.name] = value === undefined || value === null ? "" : value;
+            });
+            if (options.color) row.color = d3.rgb(options.color(d)).formatHex();
+            return row;
+        });
+        const columns = ["id", ...attributes.map(d => d.name), ...(options.color ? ["color"] : [])];
+        return d3.csvFormat(rows, columns);
+    }
+
+    static linkCSV({ links }) {
+        const attributes = GraphExporter.linkAttributes(links);
+        const rows = links.map(d => {
+            const row = { source: d.source.id, target: d.target.id };
+            attributes.forEach(attribute => {
+                const value = attribute.value(d);
+                row[attribute.name] = value === undefined || value === null ? "" : value;
+            });
+            return row;
+        });
+        return d3.csvFormat(rows, ["source", "target", ...attributes.map(d => d.name)]);
+    }
+
+    // 与 facebook_combined.txt 相同的空格分隔格式；孤立节点无法在边列表中表示
+    static edgeList({ nodes, links }) {
+        const connected = new Set();
+        links.forEach(d => {
+            connected.add(d.source);
+            connected.add(d.target);
+        });
+        const isolated = nodes.filter(d => !connected.has(d)).length;
+        const lines = [
+            `# Undirected graph: ${nodes.length} nodes, ${links.length} edges`,
+            ...(isolated > 0 ? [`# ${isolated} isolated nodes omitted`] : []),
+            ...links.map(d => `${d.source.id} ${d.target.id}`)
+        ];
+        return lines.join("\n") + "\n";
+    }
+
+    static escapeXML(value) {
+        return String(value)
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;")
+            .replace(/'/g, "&apos;");
+    }
+}
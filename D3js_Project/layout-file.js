@@ -0,0 +1,160 @@
+﻿// 布局文件：导出带 schema 和版本号的 JSON，导入时校验格式并与当前图比对节点 ID
+// 版本 1 为没有 schema 字段的旧文件，仍可导入；版本 2 起记录数据集名称和导出时的筛选条件（view）
+class LayoutFile {
+    static get schema() {
+        return "network-layout";
+    }
+
+    static get version() {
+        return 2;
+    }
+
+    // view 中的无穷大在 JSON 中写为 null
+    static create({ nodes, links, layout, encoding, view, dataset }) {
+        const filters = view && view.filters;
+        return {
+            metadata: {
+                schema: LayoutFile.schema,
+                version: LayoutFile.version,
+                exportTime: new Date().toISOString(),
+                dataset: dataset || null,
+                nodeCount: nodes.length,
+                linkCount: links.length
+            },
+            layout: { ...layout },
+            encoding: encoding,
+            view: view ? {
+                filters: filters ? {
+                    ...filters,
+                    min: isFinite(filters.min) ? filters.min : null,
+                    max: isFinite(filters.max) ? filters.max : null
+                } : null,
+                ego: view.ego || []
+            } : null,
+            nodes: nodes.map(d => ({
+                id: d.id,
+                x: d.x,
+                y: d.y,
+                fx: d.fx,
+                fy: d.fy
+            })),
+            links: links.map(d => ({
+                source: d.source.id,
+                target: d.target.id
+            }))
+        };
+    }
+
+    // 返回 { layout, errors, warnings }；有 errors 时 layout 为 null
+    // 坐标无效或 ID 重复的节点条目被丢弃并记为警告
+    static validate(json) {
+        const errors = [];
+        const warnings = [];
+        const fail = message => ({ layout: null, errors: [...errors, message], warnings: warnings });
+
+        if (!json || typeof json !== "object" || Array.isArray(json)) {
+            return fail("文件内容不是布局对象");
+        }
+
+        const metadata = json.metadata && typeof json.metadata === "object" ? json.metadata : {};
+        let version = 1;
+        if (metadata.schema === undefined) {
+            warnings.push("旧版布局文件，没有 schema 版本信息");
+        } else if (metadata.schema !== LayoutFile.schema) {
+            return fail(`未知的文件类型 "${metadata.schema}"`);
+        } else {
+            version = metadata.version;
+            if (!Number.isInteger(version) || version < 1) {
+                return fail(`无效的版本号 "${metadata.version}"`);
+            }
+            if (version > LayoutFile.version) {
+                return fail(`文件版本 ${version} 高于当前支持的版本 ${LayoutFile.version}，请升级后再导入`);
+            }
+        }
+
+        if (!Array.isArray(json.nodes)) {
+            return fail("缺少 nodes 数组");
+        }
+        if (json.links !== undefined && !Array.isArray(json.links)) {
+            errors.push("links 不是数组");
+        }
+
+        const finite = value => typeof value === "number" && isFinite(value);
+        const fixed = value => finite(value) ? value : null;
+        const seen = new Set();
+        const nodes = [];
+        let invalid = 0;
+        let duplicates = 0;
+        json.nodes.forEach(entry => {
+            if (!entry || entry.id === undefined || entry.id === null || !finite(entry.x) || !finite(entry.y)) {
+                invalid++;
+                return;
+            }
+            const key = String(entry.id);
+            if (seen.has(key)) {
+                duplicates++;
+                return;
+            }
+            seen.add(key);
+            nodes.push({ id: entry.id, x: entry.x, y: entry.y, fx: fixed(entry.fx), fy: fixed(entry.fy) });
+        });
+
+        if (invalid > 0) warnings.push(`${invalid} 个节点缺少 ID 或坐标，已忽略`);
+        if (duplicates > 0) warnings.push(`${duplicates} 个重复的节点 ID，只保留第一次出现的坐标`);
+        if (json.nodes.length > 0 && nodes.length === 0) errors.push("没有有效的节点坐标");
+        if (Number.isInteger(metadata.nodeCount) && metadata.nodeCount !== json.nodes.length) {
+            warnings.push(`元数据记录 ${metadata.nodeCount} 个节点，文件中实际有 ${json.nodes.length} 个，文件可能不完整`);
+        }
+        if (errors.length > 0) return { layout: null, errors: errors, warnings: warnings };
+
+        return {
+            layout: {
+                version: version,
+                dataset: metadata.dataset || null,
+                exportTime: metadata.exportTime || null,
+                nodes: nodes,
+                layout: json.layout && typeof json.layout === "object" ? json.layout : null,
+                encoding: json.encoding && typeof json.encoding === "object" ? json.encoding : null,
+                view: LayoutFile.readView(json.view)
+            },
+            errors: errors,
+            warnings: warnings
+        };
+    }
+
+    // 转换为 applyViewState 可用的 { filters, ego }
+    static readView(view) {
+        if (!view || typeof view !== "object") return null;
+        const filters = view.filters && typeof view.filters === "object" ? view.filters : null;
+        return {
+            filters: filters ? {
+                measure: filters.measure,
+                min: typeof filters.min === "number" ? filters.min : -Infinity,
+                max: typeof filters.max === "number" ? filters.max : Infinity,
+                communities: Array.isArray(filters.communities) ? filters.communities.filter(Number.isInteger) : null,
+                excluded: Array.isArray(filters.excluded) ? filters.excluded : null
+            } : null,
+            ego: Array.isArray(view.ego)
+                ? view.ego.filter(d => d && d.center !== undefined && d.center !== null && d.hops >= 1)
+                : []
+        };
+    }
+
+    // 按 ID 的字符串形式比对：matched 为 [节点, 文件条目]，extra 为图中不存在的 ID，missing 为 nodes 中没有坐标的节点
+    static diff(layout, graphNodes, nodes = graphNodes) {
+        const entries = new Map(layout.nodes.map(d => [String(d.id), d]));
+        const nodeById = new Map(graphNodes.map(d => [String(d.id), d]));
+        const matched = [];
+        const extra = [];
+        entries.forEach((entry, key) => {
+            const node = nodeById.get(key);
+            if (node) matched.push([node, entry]);
+            else extra.push(entry.id);
+        });
+        return {
+            matched: matched,
+            extra: extra,
+            missing: nodes.filter(d => !entries.has(String(d.id)))
+        };
+    }
+}
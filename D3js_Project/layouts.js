@@ -0,0 +1,154 @@
+﻿// 静态布局：根据图结构计算节点的目标坐标，返回 Map<node, {x, y}>
+// 布局以 (cx, cy) 为中心；spacing 为相邻节点的最小间距，节点多时布局会超出 width × height
+class GraphLayouts {
+    static get types() {
+        return [
+            { key: "force", label: "力导向" },
+            { key: "cluster", label: "社群聚类力导向" },
+            { key: "circular", label: "环形（按社群）" },
+            { key: "radial", label: "径向（以选中节点为中心）" },
+            { key: "tree", label: "层次树" },
+            { key: "grid", label: "网格" }
+        ];
+    }
+
+    // 由 GraphLayouts 计算坐标并固定节点的布局，其余由力导向仿真完成
+    static isStatic(type) {
+        return ["circular", "radial", "tree", "grid"].includes(type);
+    }
+
+    // 同一社群相邻，社群之间留出空位
+    static circular(nodes, { cx, cy, width, height, spacing }) {
+        const sorted = GraphLayouts.byCommunity(nodes);
+        const groupCount = new Set(sorted.map(d => d.group)).size;
+        const gap = groupCount > 1 ? 3 : 0;
+        const slots = sorted.length + groupCount * gap;
+        const radius = Math.max(Math.min(width, height) / 2 - 40, slots * spacing / (2 * Math.PI));
+
+        const positions = new Map();
+        let slot = 0;
+        sorted.forEach((node, i) => {
+            if (i > 0 && node.group !== sorted[i - 1].group) slot += gap;
+            const angle = 2 * Math.PI * slot / slots - Math.PI / 2;
+            positions.set(node, { x: cx + radius * Math.cos(angle), y: cy + radius * Math.sin(angle) });
+            slot++;
+        });
+        return positions;
+    }
+
+    // 按到根节点的 BFS 距离分环，同一环内按父节点的角度排序以减少交叉
+    static radial(nodes, root, { cx, cy, spacing, levelGap }) {
+        const { levels, parent, unreachable } = GraphLayouts.bfsLevels(nodes, root);
+        if (unreachable.length > 0) levels.push(unreachable);
+
+        const positions = new Map([[root, { x: cx, y: cy }]]);
+        const angles = new Map([[root, 0]]);
+        let radius = 0;
+
+        levels.slice(1).forEach(level => {
+            level.sort((a, b) => (angles.get(parent.get(a)) || 0) - (angles.get(parent.get(b)) || 0)
+                || a.group - b.group);
+            // 环的周长至少容纳该层全部节点
+            radius = Math.max(radius + levelGap, level.length * spacing / (2 * Math.PI));
+            level.forEach((node, i) => {
+                const angle = 2 * Math.PI * i / level.length;
+                angles.set(node, angle);
+                positions.set(node, {
+                    x: cx + radius * Math.cos(angle - Math.PI / 2),
+                    y: cy + radius * Math.sin(angle - Math.PI / 2)
+                });
+            });
+        });
+        return positions;
+    }
+
+    // BFS 生成树上的 d3.tree 布局，根在上方；不连通的节点排成网格放在树的下方
+    static tree(nodes, root, { cx, cy, width, height, spacing, levelGap }) {
+        const { parent, unreachable } = GraphLayouts.bfsLevels(nodes, root);
+        const children = new Map();
+        parent.forEach((p, node) => {
+            if (!p) return;
+            if (!children.has(p)) children.set(p, []);
+            children.get(p).push(node);
+        });
+
+        const hierarchy = d3.hierarchy(root, d => children.get(d));
+        const leaves = hierarchy.leaves().length;
+        const treeWidth = Math.max(width - 80, leaves * spacing / 2);
+        const treeHeight = Math.max(height - 80, hierarchy.height * levelGap);
+        d3.tree()
+            .size([treeWidth, treeHeight])
+            .separation((a, b) => a.parent === b.parent ? 1 : 1.5)(hierarchy);
+
+        const left = cx - treeWidth / 2;
+        const top = cy - treeHeight / 2;
+        const positions = new Map();
+        hierarchy.each(d => positions.set(d.data, { x: left + d.x, y: top + d.y }));
+
+        const rest = GraphLayouts.grid(unreachable, { cx, cy: 0, width: treeWidth, height: 0, spacing });
+        const offset = top + treeHeight + levelGap - (d3.min(rest.values(), p => p.y) || 0);
+        rest.forEach((p, node) => positions.set(node, { x: p.x, y: p.y + offset }));
+        return positions;
+    }
+
+    // 按社群、度数排列成行
+    static grid(nodes, { cx, cy, width, height, spacing }) {
+        const sorted = GraphLayouts.byCommunity(nodes);
+        const n = sorted.length;
+        if (n === 0) return new Map();
+
+        const aspect = height > 0 ? width / height : 4;
+        const columns = Math.max(1, Math.ceil(Math.sqrt(n * aspect)));
+        const rows = Math.ceil(n / columns);
+        const step = Math.max(spacing, Math.min(width / columns, height > 0 ? height / rows : Infinity));
+        const left = cx - (columns - 1) * step / 2;
+        const top = cy - (rows - 1) * step / 2;
+
+        return new Map(sorted.map((node, i) => [node, {
+            x: left + (i % columns) * step,
+            y: top + Math.floor(i / columns) * step
+        }]));
+    }
+
+    // 社群中心：按社群大小做圆堆积（circle packing），供聚类力导向使用
+    static communityCenters(nodes, { cx, cy, width, height }) {
+        const sizes = d3.rollup(nodes, v => v.length, d => d.group);
+        const root = d3.pack()
+            .size([width * 0.9, height * 0.9])
+            .padding(20)(d3.hierarchy({ children: Array.from(sizes, ([group, size]) => ({ group, size })) })
+                .sum(d => d.size || 0));
+
+        const centers = new Map((root.children || []).map(c => [c.data.group, {
+            x: cx - width * 0.45 + c.x,
+            y: cy - height * 0.45 + c.y
+        }]));
+        return new Map(nodes.map(d => [d, centers.get(d.group)]));
+    }
+
+    static byCommunity(nodes) {
+        return nodes.slice().sort((a, b) => a.group - b.group || b.degree - a.degree);
+    }
+
+    // 只在 nodes 范围内搜索，levels[i] 为距离为 i 的节点
+    static bfsLevels(nodes, root) {
+        const allowed = new Set(nodes);
+        const parent = new Map([[root, null]]);
+        const levels = [[root]];
+
+        while (levels[levels.length - 1].length > 0) {
+            const next = [];
+            levels[levels.length - 1].forEach(node => {
+                node.neighbors.forEach(neighbor => {
+                    if (!allowed.has(neighbor) || parent.has(neighbor)) return;
+                    parent.set(neighbor, node);
+                    next.push(neighbor);
+                });
+            });
+            levels.push(next);
+        }
+        levels.pop();
+
+        const unreachable = nodes.filter(d => !parent.has(d));
+        return { levels, parent, unreachable };
+    }
+}
@@ -0,0 +1,87 @@
+﻿// 随缩放变化的细节层次：社群在屏幕上的尺寸小于阈值时合并为一个元节点，社群之间的边合并为带权的元边
+// 放大后社群的尺寸超过阈值，重新展开为各个节点；尺寸按成员到质心的均方根距离计算
+class LevelOfDetail {
+    // options: { scale, minPixels, expanded, radius(size) }，expanded 为始终展开的社群（如包含高亮节点的社群）
+    // 返回 { metaNodes, metaLinks, links, hiddenNodes }：links 为两端都已展开的原始边，hiddenNodes 为合并进元节点的节点
+    static compute(nodes, links, options) {
+        const { scale, minPixels } = options;
+        const expanded = options.expanded || new Set();
+        const radius = options.radius || (size => Math.sqrt(size) * 2);
+
+        const groups = new Map();
+        nodes.forEach(node => {
+            if (!groups.has(node.group)) groups.set(node.group, []);
+            groups.get(node.group).push(node);
+        });
+
+        // 只有一个成员的社群不需要合并
+        const metaByGroup = new Map();
+        groups.forEach((members, group) => {
+            if (members.length < 2 || expanded.has(group)) return;
+            const x = d3.mean(members, d => d.x);
+            const y = d3.mean(members, d => d.y);
+            const spread = Math.sqrt(d3.mean(members, d => (d.x - x) ** 2 + (d.y - y) ** 2));
+            if (spread * scale >= minPixels) return;
+            metaByGroup.set(group, {
+                meta: true,
+                id: `community-${group}`,
+                group: group,
+                members: members,
+                size: members.length,
+                internalLinks: 0,
+                x: x,
+                y: y,
+                radius: radius(members.length)
+            });
+        });
+
+        const hiddenNodes = new Set();
+        metaByGroup.forEach(meta => meta.members.forEach(d => hiddenNodes.add(d)));
+
+        // 端点所在社群已合并时用元节点代替，同一对端点之间的边累加权重
+        const visibleLinks = [];
+        const metaLinks = new Map();
+        links.forEach(link => {
+            const source = metaByGroup.get(link.source.group) || link.source;
+            const target = metaByGroup.get(link.target.group) || link.target;
+            if (source === link.source && target === link.target) {
+                visibleLinks.push(link);
+                return;
+            }
+            if (source === target) {
+                source.internalLinks++;
+                return;
+            }
+            const [a, b] = source.id < target.id ? [source, target] : [target, source];
+            const key = `${a.meta ? "m" : "n"}${a.id}\u0000${b.meta ? "m" : "n"}${b.id}`;
+            if (!metaLinks.has(key)) metaLinks.set(key, { meta: true, source: a, target: b, weight: 0 });
+            metaLinks.get(key).weight++;
+        });
+
+        return {
+            metaNodes: Array.from(metaByGroup.values()),
+            metaLinks: Array.from(metaLinks.values()),
+            links: visibleLinks,
+            hiddenNodes: hiddenNodes
+        };
+    }
+
+    // 元边的线宽随合并的边数对数增长
+    static linkWidth(weight) {
+        return Math.min(8, 1 + Math.log2(weight));
+    }
+
+    // 屏幕坐标换算到图坐标后，查找覆盖该点的元节点
+    static findMetaNode(metaNodes, x, y, tolerance = 0) {
+        let found = null;
+        let best = Infinity;
+        metaNodes.forEach(meta => {
+            const distance = Math.hypot(meta.x - x, meta.y - y);
+            if (distance <= meta.radius + tolerance && distance < best) {
+                found = meta;
+                best = distance;
+            }
+        });
+        return found;
+    }
+}
@@ -0,0 +1,268 @@
+﻿// 链接预测：为不相邻的节点对打分，得分越高越可能在将来连边
+// 基于邻居集合的局部相似度指标（Liben-Nowell & Kleinberg 2007；Zhou, Lü & Zhang 2009）
+// neighbors 为 Map<node, Set<node>>，可以是筛选后的子图，也可以是留出评估中去掉测试边的训练图
+class LinkPredictor {
+    static get scores() {
+        return [
+            { key: "commonNeighbors", label: "共同邻居" },
+            { key: "jaccard", label: "Jaccard 系数" },
+            { key: "adamicAdar", label: "Adamic–Adar" },
+            { key: "preferentialAttachment", label: "优先连接" },
+            { key: "resourceAllocation", label: "资源分配" }
+        ];
+    }
+
+    constructor(neighbors) {
+        this.neighbors = neighbors;
+        this.byDegree = null;
+    }
+
+    // 只保留 nodes 之间的边，忽略自环
+    static neighborMap(nodes, links) {
+        const neighbors = new Map(nodes.map(d => [d, new Set()]));
+        links.forEach(({ source, target }) => {
+            if (source === target || !neighbors.has(source) || !neighbors.has(target)) return;
+            neighbors.get(source).add(target);
+            neighbors.get(target).add(source);
+        });
+        return neighbors;
+    }
+
+    // 单个节点对的得分
+    score(method, a, b) {
+        const na = this.neighbors.get(a);
+        const nb = this.neighbors.get(b);
+        if (method === "preferentialAttachment") return na.size * nb.size;
+
+        const sums = { common: 0, adamicAdar: 0, resourceAllocation: 0 };
+        const [small, large] = na.size < nb.size ? [na, nb] : [nb, na];
+        small.forEach(w => {
+            if (large.has(w)) LinkPredictor.accumulate(sums, this.neighbors.get(w).size);
+        });
+        return LinkPredictor.value(method, sums, na.size, nb.size);
+    }
+
+    // 共同邻居 w 的度数至少为 2，log 不为 0
+    static accumulate(sums, degree) {
+        sums.common++;
+        sums.adamicAdar += 1 / Math.log(degree);
+        sums.resourceAllocation += 1 / degree;
+    }
+
+    static value(method, sums, degreeA, degreeB) {
+        switch (method) {
+            case "jaccard": {
+                const union = degreeA + degreeB - sums.common;
+                return union > 0 ? sums.common / union : 0;
+            }
+            case "adamicAdar":
+                return sums.adamicAdar;
+            case "resourceAllocation":
+                return sums.resourceAllocation;
+            case "preferentialAttachment":
+                return degreeA * degreeB;
+            default:
+                return sums.common;
+        }
+    }
+
+    // 与 node 距离为 2 的节点及累加的共同邻居得分，Map<candidate, sums>
+    twoHop(node) {
+        const direct = this.neighbors.get(node);
+        const candidates = new Map();
+        direct.forEach(w => {
+            const next = this.neighbors.get(w);
+            next.forEach(v => {
+                if (v === node || direct.has(v)) return;
+                if (!candidates.has(v)) candidates.set(v, { common: 0, adamicAdar: 0, resourceAllocation: 0 });
+                LinkPredictor.accumulate(candidates.get(v), next.size);
+            });
+        });
+        return candidates;
+    }
+
+    // 节点按度数降序，优先连接的候选按此顺序枚举
+    degreeOrder() {
+        if (!this.byDegree) {
+            this.byDegree = Array.from(this.neighbors.keys())
+                .sort((a, b) => this.neighbors.get(b).size - this.neighbors.get(a).size);
+        }
+        return this.byDegree;
+    }
+
+    // 与 node 不相邻的得分最高的 k 个节点，返回 [{ source, target, score }]
+    // 除优先连接外，没有共同邻居的节点得分为 0，不作为候选
+    forNode(node, method, k) {
+        const direct = this.neighbors.get(node);
+        if (!direct) return [];
+
+        if (method === "preferentialAttachment") {
+            const result = [];
+            for (const target of this.degreeOrder()) {
+                if (result.length >= k) break;
+                if (target === node || direct.has(target)) continue;
+                result.push({ source: node, target: target, score: direct.size * this.neighbors.get(target).size });
+            }
+            return result;
+        }
+
+        const result = [];
+        this.twoHop(node).forEach((sums, target) => {
+            result.push({
+                source: node,
+                target: target,
+                score: LinkPredictor.value(method, sums, direct.size, this.neighbors.get(target).size)
+            });
+        });
+        return result.sort((a, b) => b.score - a.score).slice(0, k);
+    }
+
+    // 全图得分最高的 k 个不相邻节点对，methods 为得分列表，返回 Map<method, [{ source, target, score }]>
+    // 共同邻居类得分对每个节点枚举一次两跳邻居，各得分共用，总代价为 Σ 度数²
+    global(methods, k) {
+        const result = new Map();
+        const local = methods.filter(method => method !== "preferentialAttachment");
+        if (methods.includes("preferentialAttachment")) {
+            result.set("preferentialAttachment", this.globalPreferentialAttachment(k));
+        }
+        if (local.length === 0) return result;
+
+        const order = new Map(Array.from(this.neighbors.keys(), (d, i) => [d, i]));
+        const tops = new Map(local.map(method => [method, new TopPairs(k)]));
+        this.neighbors.forEach((direct, node) => {
+            const index = order.get(node);
+            this.twoHop(node).forEach((sums, target) => {
+                // 每对只计一次
+                if (order.get(target) < index) return;
+                const degree = this.neighbors.get(target).size;
+                tops.forEach((top, method) => top.add(node, target, LinkPredictor.value(method, sums, direct.size, degree)));
+            });
+        });
+        tops.forEach((top, method) => result.set(method, top.values()));
+        return result;
+    }
+
+    // 按度数降序枚举节点对，乘积不超过当前第 k 名时提前结束
+    globalPreferentialAttachment(k) {
+        const order = this.degreeOrder();
+        const degree = d => this.neighbors.get(d).size;
+        const top = new TopPairs(k);
+        for (let i = 0; i < order.length - 1; i++) {
+            if (degree(order[i]) * degree(order[i + 1]) <= top.threshold()) break;
+            const direct = this.neighbors.get(order[i]);
+            for (let j = i + 1; j < order.length; j++) {
+                const score = degree(order[i]) * degree(order[j]);
+                if (score <= top.threshold()) break;
+                if (!direct.has(order[j])) top.add(order[i], order[j], score);
+            }
+        }
+        return top.values();
+    }
+
+    // 留出评估：随机隐藏 fraction 比例的边，在剩余的训练图上为每种得分计算
+    // AUC：随机抽取一条隐藏边和一对原图中不相邻的节点，隐藏边得分更高的概率（相等计 0.5）
+    // precision@k：训练图上全局得分最高的 k 对中属于隐藏边的比例
+    static evaluate(nodes, links, options = {}) {
+        const fraction = options.fraction || 0.1;
+        const samples = options.samples || 10000;
+        const k = options.k || 100;
+        const random = GraphUtils.seededRandom(options.seed !== undefined ? options.seed : 42);
+        const methods = LinkPredictor.scores.map(d => d.key);
+
+        const original = LinkPredictor.neighborMap(nodes, links);
+        const edges = [];
+        const seen = new Set();
+        const index = new Map(nodes.map((d, i) => [d, i]));
+        const pairKey = (a, b) => {
+            const [i, j] = [index.get(a), index.get(b)].sort((x, y) => x - y);
+            return i * nodes.length + j;
+        };
+        // 去掉自环和重复边
+        links.forEach(link => {
+            if (link.source === link.target || !index.has(link.source) || !index.has(link.target)) return;
+            const key = pairKey(link.source, link.target);
+            if (seen.has(key)) return;
+            seen.add(key);
+            edges.push(link);
+        });
+
+        const shuffled = GraphUtils.shuffle(edges.slice(), random);
+        const testCount = Math.round(shuffled.length * fraction);
+        const nonEdges = nodes.length * (nodes.length - 1) / 2 - shuffled.length;
+        if (testCount === 0 || testCount === shuffled.length || nonEdges <= 0) {
+            throw new Error("边数太少或图已是完全图，无法进行留出评估");
+        }
+        const test = shuffled.slice(0, testCount);
+        const train = shuffled.slice(testCount);
+        const predictor = new LinkPredictor(LinkPredictor.neighborMap(nodes, train));
+        const hidden = new Set(test.map(link => pairKey(link.source, link.target)));
+
+        const pick = () => nodes[Math.floor(random() * nodes.length)];
+        const comparisons = d3.range(samples).map(() => {
+            const link = test[Math.floor(random() * test.length)];
+            let a;
+            let b;
+            do {
+                a = pick();
+                b = pick();
+            } while (a === b || original.get(a).has(b));
+            return { missing: [link.source, link.target], absent: [a, b] };
+        });
+
+        const top = predictor.global(methods, k);
+        return {
+            train: train.length,
+            test: test.length,
+            samples: samples,
+            k: k,
+            results: LinkPredictor.scores.map(({ key, label }) => {
+                let wins = 0;
+                comparisons.forEach(({ missing, absent }) => {
+                    const a = predictor.score(key, missing[0], missing[1]);
+                    const b = predictor.score(key, absent[0], absent[1]);
+                    if (a > b) wins += 1;
+                    else if (a === b) wins += 0.5;
+                });
+                // 候选对不足 k 个时按实际数量计算
+                const predicted = top.get(key);
+                const hits = d3.sum(predicted, d => hidden.has(pairKey(d.source, d.target)) ? 1 : 0);
+                return {
+                    key: key,
+                    label: label,
+                    auc: wins / samples,
+                    precision: predicted.length > 0 ? hits / predicted.length : 0
+                };
+            })
+        };
+    }
+}
+
+// 保留得分最高的 k 个节点对：缓冲到 2k 时排序截断，threshold 为当前确定能进入前 k 的下限
+class TopPairs {
+    constructor(k) {
+        this.k = k;
+        this.items = [];
+        this.minimum = -Infinity;
+    }
+
+    threshold() {
+        return this.items.length >= this.k ? this.minimum : -Infinity;
+    }
+
+    add(source, target, score) {
+        if (score <= this.threshold()) return;
+        this.items.push({ source: source, target: target, score: score });
+        if (this.items.length >= 2 * this.k) this.truncate();
+    }
+
+    truncate() {
+        this.items.sort((a, b) => b.score - a.score);
+        this.items.length = Math.min(this.items.length, this.k);
+        if (this.items.length >= this.k) this.minimum = this.items[this.items.length - 1].score;
+    }
+
+    values() {
+        this.truncate();
+        return this.items.slice();
+    }
+}
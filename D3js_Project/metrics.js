@@ -0,0 +1,396 @@
+﻿// 图指标计算，节点需已由 preprocessData 建立 neighbors 集合
+// 大图的介数、接近中心性、直径和平均路径长度基于抽样的 BFS 源点估计
+class GraphMetrics {
+    // 可用作筛选、映射的节点指标
+    static get nodeMetrics() {
+        return [
+            { key: "degree", label: "度数" },
+            { key: "coreness", label: "k-核" },
+            { key: "betweenness", label: "介数中心性" },
+            { key: "closeness", label: "接近中心性" },
+            { key: "pagerank", label: "PageRank" },
+            { key: "eigenvector", label: "特征向量中心性" },
+            { key: "clustering", label: "聚类系数" }
+        ];
+    }
+
+    // options.budget: BFS 总工作量上限（源点数 × 边数），超出时抽样源点
+    static compute(nodes, options = {}) {
+        const adjacency = GraphMetrics.indexAdjacency(nodes);
+        const m = adjacency.reduce((sum, list) => sum + list.length, 0) / 2;
+        const budget = options.budget || 3e7;
+        const sampleSize = m > 0 ? Math.min(nodes.length, Math.max(32, Math.ceil(budget / m))) : nodes.length;
+
+        const paths = GraphMetrics.shortestPathMetrics(adjacency, sampleSize, options.seed || 42);
+        const clustering = GraphMetrics.clustering(adjacency);
+        const n = nodes.length;
+
+        return {
+            nodes: {
+                betweenness: paths.betweenness,
+                closeness: paths.closeness,
+                pagerank: GraphMetrics.pageRank(adjacency, options.damping || 0.85),
+                eigenvector: GraphMetrics.eigenvector(adjacency),
+                clustering: clustering.local
+            },
+            global: {
+                density: n > 1 ? m / (n * (n - 1) / 2) : 0,
+                diameter: paths.diameter,
+                averagePathLength: paths.averagePathLength,
+                transitivity: clustering.transitivity,
+                averageClustering: n > 0 ? d3.mean(clustering.local) : 0,
+                components: GraphMetrics.componentCount(adjacency),
+                sampled: paths.sampled,
+                sampleSize: paths.sampleSize
+            }
+        };
+    }
+
+    // 以下标数组表示的邻接表
+    static indexAdjacency(nodes) {
+        const index = new Map(nodes.map((d, i) => [d, i]));
+        return nodes.map(d => {
+            const list = [];
+            d.neighbors.forEach(neighbor => {
+                const j = index.get(neighbor);
+                if (j !== undefined) list.push(j);
+            });
+            return Int32Array.from(list);
+        });
+    }
+
+    // Brandes 介数中心性，同一组 BFS 顺带得到接近中心性、直径和平均路径长度
+    static shortestPathMetrics(adjacency, sampleSize, seed) {
+        const n = adjacency.length;
+        const sampled = sampleSize < n;
+        const sources = Array.from({ length: n }, (_, i) => i);
+        if (sampled) GraphUtils.shuffle(sources, GraphUtils.seededRandom(seed));
+        const k = sampled ? sampleSize : n;
+
+        const betweenness = new Float64Array(n);
+        const distanceSum = new Float64Array(n);
+        const reachCount = new Float64Array(n);
+        const sigma = new Float64Array(n);
+        const delta = new Float64Array(n);
+        const distance = new Int32Array(n);
+        const order = new Int32Array(n);
+        let diameter = 0;
+        let pathLengthSum = 0;
+        let pathCount = 0;
+
+        for (let si = 0; si < k; si++) {
+            const s = sources[si];
+            distance.fill(-1);
+            sigma.fill(0);
+            delta.fill(0);
+            distance[s] = 0;
+            sigma[s] = 1;
+            order[0] = s;
+            let head = 0;
+            let tail = 1;
+
+            while (head < tail) {
+                const v = order[head++];
+                const list = adjacency[v];
+                for (let j = 0; j < list.length; j++) {
+                    const w = list[j];
+                    if (distance[w] < 0) {
+                        distance[w] = distance[v] + 1;
+                        order[tail++] = w;
+                    }
+                    if (distance[w] === distance[v] + 1) sigma[w] += sigma[v];
+                }
+            }
+
+            // 逆 BFS 序累积依赖值
+            for (let i = tail - 1; i > 0; i--) {
+                const w = order[i];
+                const d = distance[w];
+                distanceSum[w] += d;
+                reachCount[w]++;
+                pathLengthSum += d;
+                pathCount++;
+                if (d > diameter) diameter = d;
+
+                const list = adjacency[w];
+                for (let j = 0; j < list.length; j++) {
+                    const v = list[j];
+                    if (distance[v] === d - 1) {
+                        delta[v] += sigma[v] / sigma[w] * (1 + delta[w]);
+                    }
+                }
+                betweenness[w] += delta[w];
+            }
+        }
+
+        // 无向图每对节点计算了两次；抽样时按比例放大，最后归一化到 [0, 1]
+        const scale = (sampled ? n / k : 1) / 2;
+        const pairs = (n - 1) * (n - 2) / 2;
+        const normalizedBetweenness = Array.from(betweenness, b => pairs > 0 ? b * scale / pairs : 0);
+
+        // Wasserman-Faust 接近中心性，兼容非连通图：((r - 1) / (n - 1)) / 平均距离
+        const closeness = Array.from(distanceSum, (sum, i) => {
+            if (sum === 0 || n < 2) return 0;
+            const reachFraction = reachCount[i] / (sampled ? k : n - 1);
+            return Math.min(1, reachFraction) * reachCount[i] / sum;
+        });
+
+        return {
+            betweenness: normalizedBetweenness,
+            closeness: closeness,
+            diameter: diameter,
+            averagePathLength: pathCount > 0 ? pathLengthSum / pathCount : 0,
+            sampled: sampled,
+            sampleSize: k
+        };
+    }
+
+    static pageRank(adjacency, damping = 0.85, maxIterations = 100, tolerance = 1e-8) {
+        const n = adjacency.length;
+        if (n === 0) return [];
+        let rank = new Float64Array(n).fill(1 / n);
+
+        for (let iteration = 0; iteration < maxIterations; iteration++) {
+            const next = new Float64Array(n);
+            let danglingSum = 0;
+
+            adjacency.forEach((list, v) => {
+                if (list.length === 0) {
+                    danglingSum += rank[v];
+                    return;
+                }
+                const share = rank[v] / list.length;
+                for (let j = 0; j < list.length; j++) next[list[j]] += share;
+            });
+
+            // 孤立节点的得分均匀分配
+            const base = (1 - damping) / n + damping * danglingSum / n;
+            let change = 0;
+            for (let v = 0; v < n; v++) {
+                next[v] = base + damping * next[v];
+                change += Math.abs(next[v] - rank[v]);
+            }
+            rank = next;
+            if (change < tolerance) break;
+        }
+
+        return Array.from(rank);
+    }
+
+    // 幂迭代，使用 A + I 避免二分图上振荡，结果按最大值归一化
+    static eigenvector(adjacency, maxIterations = 200, tolerance = 1e-8) {
+        const n = adjacency.length;
+        if (n === 0) return [];
+        let vector = new Float64Array(n).fill(1 / Math.sqrt(n));
+
+        for (let iteration = 0; iteration < maxIterations; iteration++) {
+            const next = Float64Array.from(vector);
+            adjacency.forEach((list, v) => {
+                for (let j = 0; j < list.length; j++) next[v] += vector[list[j]];
+            });
+
+            let norm = 0;
+            for (let v = 0; v < n; v++) norm += next[v] * next[v];
+            norm = Math.sqrt(norm) || 1;
+            let change = 0;
+            for (let v = 0; v < n; v++) {
+                next[v] /= norm;
+                change += Math.abs(next[v] - vector[v]);
+            }
+            vector = next;
+            if (change < n * tolerance) break;
+        }
+
+        const max = d3.max(vector) || 1;
+        return Array.from(vector, x => x / max);
+    }
+
+    // 局部聚类系数与传递性，三角形按边枚举较小端点的邻居
+    static clustering(adjacency) {
+        const n = adjacency.length;
+        const neighborSets = adjacency.map(list => new Set(list));
+        const triangles = new Float64Array(n);
+
+        adjacency.forEach((list, u) => {
+            for (let j = 0; j < list.length; j++) {
+                const v = list[j];
+                if (v <= u) continue;
+                const [small, large] = list.length < adjacency[v].length
+                    ? [list, neighborSets[v]]
+                    : [adjacency[v], neighborSets[u]];
+                for (let i = 0; i < small.length; i++) {
+                    const w = small[i];
+                    if (w !== u && w !== v && large.has(w)) {
+                        // 每个三角形在它的三条边上各计一次
+                        triangles[u] += 0.5;
+                        triangles[v] += 0.5;
+                    }
+                }
+            }
+        });
+
+        let triangleSum = 0;
+        let tripleSum = 0;
+        const local = adjacency.map((list, v) => {
+            const k = list.length;
+            const triples = k * (k - 1) / 2;
+            triangleSum += triangles[v];
+            tripleSum += triples;
+            return triples > 0 ? triangles[v] / triples : 0;
+        });
+
+        return {
+            local: local,
+            // 每个三角形在三个顶点上各计一次
+            transitivity: tripleSum > 0 ? triangleSum / tripleSum : 0
+        };
+    }
+
+    static componentCount(adjacency) {
+        const n = adjacency.length;
+        const visited = new Uint8Array(n);
+        let count = 0;
+
+        for (let start = 0; start < n; start++) {
+            if (visited[start]) continue;
+            count++;
+            visited[start] = 1;
+            const stack = [start];
+            while (stack.length > 0) {
+                const v = stack.pop();
+                const list = adjacency[v];
+                for (let j = 0; j < list.length; j++) {
+                    if (!visited[list[j]]) {
+                        visited[list[j]] = 1;
+                        stack.push(list[j]);
+                    }
+                }
+            }
+        }
+
+        return count;
+    }
+
+    // k 跳自我网络：返回成员到中心的距离（Map<node, hop>）和每一跳的节点数
+    static egoNetwork(center, hops) {
+        const distance = new Map([[center, 0]]);
+        const hopCounts = [1];
+        let frontier = [center];
+
+        for (let hop = 1; hop <= hops && frontier.length > 0; hop++) {
+            const next = [];
+            frontier.forEach(node => {
+                node.neighbors.forEach(neighbor => {
+                    if (distance.has(neighbor)) return;
+                    distance.set(neighbor, hop);
+                    next.push(neighbor);
+                });
+            });
+            if (next.length > 0) hopCounts.push(next.length);
+            frontier = next;
+        }
+
+        return { distance, hopCounts };
+    }
+
+    // 自我网络统计，他者（alter）为中心以外的成员
+    static egoStats(center, members) {
+        let edges = 0;
+        let alterTies = 0;
+        members.forEach((_, node) => {
+            node.neighbors.forEach(neighbor => {
+                if (!members.has(neighbor)) return;
+                edges++;
+                if (node !== center && neighbor !== center) alterTies++;
+            });
+        });
+        // 每条边从两端各计一次
+        edges /= 2;
+        alterTies /= 2;
+
+        const size = members.size;
+        const alters = size - 1;
+        return {
+            size: size,
+            alters: alters,
+            edges: edges,
+            density: size > 1 ? 2 * edges / (size * (size - 1)) : 0,
+            alterTies: alterTies,
+            alterDensity: alters > 1 ? 2 * alterTies / (alters * (alters - 1)) : 0
+        };
+    }
+
+    // 诱导子图统计：内部边数、与子图外相连的边界边数
+    static subgraphStats(members) {
+        let internal = 0;
+        let boundary = 0;
+        for (const node of members.keys()) {
+            node.neighbors.forEach(neighbor => {
+                if (members.has(neighbor)) internal++;
+                else boundary++;
+            });
+        }
+        internal /= 2;
+
+        const size = members.size;
+        return {
+            size: size,
+            edges: internal,
+            boundary: boundary,
+            density: size > 1 ? 2 * internal / (size * (size - 1)) : 0,
+            averageDegree: size > 0 ? 2 * internal / size : 0
+        };
+    }
+
+    // k-核分解（Batagelj-Zaversnik 算法，O(m)），返回与 nodes 对齐的核数数组
+    static coreNumbers(nodes) {
+        const n = nodes.length;
+        const index = new Map(nodes.map((d, i) => [d, i]));
+        const degree = nodes.map(d => d.neighbors.size);
+        const maxDegree = degree.reduce((a, b) => Math.max(a, b), 0);
+
+        // 按度数桶排序
+        const binStart = new Array(maxDegree + 1).fill(0);
+        degree.forEach(k => binStart[k]++);
+        let start = 0;
+        for (let k = 0; k <= maxDegree; k++) {
+            const count = binStart[k];
+            binStart[k] = start;
+            start += count;
+        }
+
+        const order = new Array(n);
+        const position = new Array(n);
+        degree.forEach((k, i) => {
+            position[i] = binStart[k];
+            order[position[i]] = i;
+            binStart[k]++;
+        });
+        for (let k = maxDegree; k > 0; k--) binStart[k] = binStart[k - 1];
+        binStart[0] = 0;
+
+        // 依次剥离度数最小的节点，邻居度数减一并移动到前一个桶
+        for (let i = 0; i < n; i++) {
+            const v = order[i];
+            nodes[v].neighbors.forEach(neighbor => {
+                const u = index.get(neighbor);
+                if (u === undefined || degree[u] <= degree[v]) return;
+
+                const du = degree[u];
+                const pu = position[u];
+                const pw = binStart[du];
+                const w = order[pw];
+                if (u !== w) {
+                    order[pu] = w;
+                    order[pw] = u;
+                    position[u] = pw;
+                    position[w] = pu;
+                }
+                binStart[du]++;
+                degree[u]--;
+            });
+        }
+
+        return degree;
+    }
+}
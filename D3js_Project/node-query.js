@@ -0,0 +1,204 @@
+﻿// 节点查询：属性条件表达式或文本搜索
+// 条件表达式如 degree > 50 AND group = 3，支持 AND、OR、NOT 和括号，比较符为 = != > >= < <= 以及 ~（包含）
+// 不含比较符时按文本搜索节点 ID 和原始数据中的文本字段：完全匹配、前缀、包含、按顺序出现的字符（模糊）依次排序
+class NodeQuery {
+    // attributes 为 VisualEncoding.attributes，字段名可用属性键（degree、group、data.name）或原始字段名（name）
+    constructor(text, attributes) {
+        this.text = String(text || "").trim();
+        this.attributes = attributes;
+        try {
+            this.tokens = NodeQuery.tokenize(this.text);
+        } catch (error) {
+            // 不含比较符时是文本搜索，其中单独的 ! 或不成对的引号不算语法错误
+            if (/[=<>~]/.test(this.text)) throw error;
+            this.tokens = [];
+        }
+        this.isPredicate = this.tokens.some(d => d.type === "operator");
+
+        if (this.isPredicate) {
+            this.position = 0;
+            this.predicate = this.parseOr();
+            if (this.position < this.tokens.length) {
+                throw new Error(`无法解析 "${this.tokens[this.position].text}" 附近的条件`);
+            }
+        }
+    }
+
+    static tokenize(text) {
+        const tokens = [];
+        const pattern = /\s*(?:(\()|(\))|(>=|<=|!=|==|=|>|<|~)|"([^"]*)"|'([^']*)'|([^\s()=<>!~"']+))/gy;
+        let position = 0;
+        while (position < text.length) {
+            pattern.lastIndex = position;
+            const match = pattern.exec(text);
+            if (!match) break;
+            position = pattern.lastIndex;
+            if (match[1]) tokens.push({ type: "open", text: "(" });
+            else if (match[2]) tokens.push({ type: "close", text: ")" });
+            else if (match[3]) tokens.push({ type: "operator", text: match[3] });
+            else if (match[4] !== undefined || match[5] !== undefined) {
+                tokens.push({ type: "string", text: match[4] !== undefined ? match[4] : match[5] });
+            } else if (match[6]) {
+                const keyword = match[6].toUpperCase();
+                tokens.push(["AND", "OR", "NOT"].includes(keyword)
+                    ? { type: "keyword", text: keyword }
+                    : { type: "word", text: match[6] });
+            }
+        }
+        const rest = text.slice(position).trim();
+        if (rest !== "") throw new Error(`无法识别的字符 "${rest[0]}"`);
+        return tokens;
+    }
+
+    // 返回 node => boolean；文本搜索时为是否匹配
+    matches(node) {
+        return this.isPredicate ? this.predicate(node) : this.rank(node) !== null;
+    }
+
+    // 文本搜索的排序分值，越小越靠前，不匹配时为 null；条件表达式不排序
+    rank(node) {
+        if (this.isPredicate || this.text === "") return 0;
+        const query = this.text.toLowerCase();
+        let best = null;
+        NodeQuery.searchValues(node).forEach((value, i) => {
+            const score = NodeQuery.textScore(value.toLowerCase(), query);
+            if (score === null) return;
+            // 同等匹配时 ID 优先于其他字段
+            const weighted = i > 0 ? score + 0.5 : score;
+            if (best === null || weighted < best) best = weighted;
+        });
+        return best;
+    }
+
+    static searchValues(node) {
+        const values = [String(node.id)];
+        Object.entries(node.originalData || {}).forEach(([field, value]) => {
+            if (field !== "id" && typeof value === "string" && value !== "") values.push(value);
+        });
+        return values;
+    }
+
+    // 0 完全匹配，1 前缀，2 包含，3 以上为模糊匹配（字符间的间隔越多分值越大）
+    static textScore(value, query) {
+        if (value === query) return 0;
+        if (value.startsWith(query)) return 1;
+        if (value.includes(query)) return 2;
+
+        let gaps = 0;
+        let index = -1;
+        for (const char of query) {
+            const next = value.indexOf(char, index + 1);
+            if (next === -1) return null;
+            if (index >= 0 && next > index + 1) gaps++;
+            index = next;
+        }
+        return 3 + gaps / query.length;
+    }
+
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    next() {
+        return this.tokens[this.position++];
+    }
+
+    parseOr() {
+        let left = this.parseAnd();
+        while (this.peek() && this.peek().text === "OR" && this.peek().type === "keyword") {
+            this.next();
+            const a = left;
+            const b = this.parseAnd();
+            left = node => a(node) || b(node);
+        }
+        return left;
+    }
+
+    // 相邻的条件之间省略 AND 时也按 AND 处理
+    parseAnd() {
+        let left = this.parseNot();
+        while (this.peek() && this.peek().type !== "close" && !(this.peek().type === "keyword" && this.peek().text === "OR")) {
+            if (this.peek().type === "keyword" && this.peek().text === "AND") this.next();
+            const a = left;
+            const b = this.parseNot();
+            left = node => a(node) && b(node);
+        }
+        return left;
+    }
+
+    parseNot() {
+        const token = this.peek();
+        if (token && token.type === "keyword" && token.text === "NOT") {
+            this.next();
+            const inner = this.parseNot();
+            return node => !inner(node);
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.next();
+        if (!token) throw new Error("条件不完整");
+        if (token.type === "open") {
+            const inner = this.parseOr();
+            const close = this.next();
+            if (!close || close.type !== "close") throw new Error("缺少右括号");
+            return inner;
+        }
+        if (token.type !== "word" && token.type !== "string") {
+            throw new Error(`"${token.text}" 处需要字段名`);
+        }
+
+        const operator = this.next();
+        if (!operator || operator.type !== "operator") {
+            throw new Error(`字段 ${token.text} 后需要比较符`);
+        }
+        const operand = this.next();
+        if (!operand || (operand.type !== "word" && operand.type !== "string")) {
+            throw new Error(`${token.text} ${operator.text} 后需要取值`);
+        }
+        return NodeQuery.comparison(this.field(token.text), operator.text, operand);
+    }
+
+    // 字段取值函数；id 和 community 为额外的别名
+    field(name) {
+        const key = name.toLowerCase();
+        if (key === "id") return node => node.id;
+        if (key === "community") return this.attributes.get("group").value;
+        const attribute = this.attributes.get(name)
+            || this.attributes.get(`data.${name}`)
+            || Array.from(this.attributes.values()).find(d => d.key.toLowerCase() === key || d.label.toLowerCase() === key);
+        if (!attribute) throw new Error(`未知字段 ${name}`);
+        return attribute.value;
+    }
+
+    // 两边都是数字（包括数字形式的 ID）时按数值比较，否则按不区分大小写的文本比较；缺失的取值只满足 !=
+    static comparison(value, operator, operand) {
+        const text = operand.text.toLowerCase();
+        const number = operand.type === "word" && isFinite(operand.text) ? +operand.text : null;
+        return node => {
+            const raw = value(node);
+            if (raw === undefined || raw === null || raw === "") return operator === "!=";
+            const numeric = number !== null && typeof raw !== "boolean" && isFinite(raw);
+            const a = numeric ? +raw : String(raw).toLowerCase();
+            const b = numeric ? number : text;
+            switch (operator) {
+                case "=":
+                case "==":
+                    return a === b;
+                case "!=":
+                    return a !== b;
+                case ">":
+                    return a > b;
+                case ">=":
+                    return a >= b;
+                case "<":
+                    return a < b;
+                case "<=":
+                    return a <= b;
+                default:
+                    return String(raw).toLowerCase().includes(text);
+            }
+        };
+    }
+}
@@ -0,0 +1,428 @@
+﻿// 图文件解析：SNAP 边列表、CSV/TSV 边表与节点表、GraphML、GEXF 以及 JSON
+// 输出统一为 { nodes: [{ id, ... }], links: [{ source, target, ... }] }，节点 ID 一律为字符串
+class GraphParser {
+    constructor(options = {}) {
+        // 可视化按无向图处理，默认合并重复边并丢弃自环
+        this.dropSelfLoops = options.dropSelfLoops !== false;
+        this.dropDuplicates = options.dropDuplicates !== false;
+    }
+
+    // files: [{ name, text }]，边表和节点表可以一起传入
+    parseFiles(files) {
+        const nodes = [];
+        const links = [];
+        const parsed = files.map(file => this.parse(file.text, file.name));
+
+        parsed.forEach(graph => {
+            nodes.push(...graph.nodes);
+            links.push(...graph.links);
+        });
+
+        if (links.length === 0 && nodes.length === 0) {
+            throw new Error("文件中没有找到节点或边");
+        }
+
+        // 多个文件之间也可能有重复边
+        const graph = this.normalize(nodes, links);
+        graph.metadata.format = parsed.map(d => d.metadata.format).join("+");
+        parsed.forEach(d => {
+            graph.metadata.selfLoops += d.metadata.selfLoops;
+            graph.metadata.duplicateLinks += d.metadata.duplicateLinks;
+        });
+        return graph;
+    }
+
+    parse(text, fileName = "") {
+        const format = GraphParser.detectFormat(text, fileName);
+        let graph;
+
+        switch (format) {
+            case "graphml":
+                graph = this.parseGraphML(text);
+                break;
+            case "gexf":
+                graph = this.parseGEXF(text);
+                break;
+            case "json":
+                graph = this.parseJSON(text);
+                break;
+            case "csv":
+                graph = this.parseDelimited(text, GraphParser.sniffDelimiter(text));
+                break;
+            case "tsv":
+                graph = this.parseDelimited(text, "\t");
+                break;
+            default:
+                graph = this.parseEdgeList(text);
+        }
+
+        const normalized = this.normalize(graph.nodes, graph.links);
+        normalized.metadata.format = format;
+        return normalized;
+    }
+
+    static detectFormat(text, fileName) {
+        const extension = fileName.toLowerCase().split(".").pop();
+        if (extension === "graphml" || extension === "gexf" || extension === "json"
+            || extension === "csv" || extension === "tsv") {
+            return extension;
+        }
+
+        // 根据内容判断
+        const head = text.slice(0, 2000).trimStart();
+        if (head.startsWith("<")) {
+            return /<gexf[\s>]/i.test(head) ? "gexf" : "graphml";
+        }
+        if (head.startsWith("{")) return "json";
+        return "edgelist";
+    }
+
+    static sniffDelimiter(text) {
+        const firstLine = text.slice(0, text.indexOf("\n") === -1 ? text.length : text.indexOf("\n"));
+        const counts = [",", ";", "\t"].map(d => [d, firstLine.split(d).length - 1]);
+        counts.sort((a, b) => b[1] - a[1]);
+        return counts[0][1] > 0 ? counts[0][0] : ",";
+    }
+
+    // SNAP 格式：每行 "源 目标 [权重/时间戳]" 或 "源 目标 权重 时间戳"，# 或 % 开头为注释
+    // 第三列全部为非负整数且最大值不小于 minTimestamp 时视为时间戳（如 SNAP 的时序网络），否则为权重
+    parseEdgeList(text) {
+        const links = [];
+        const thirdColumn = [];
+
+        text.split(/\r?\n/).forEach(rawLine => {
+            const line = rawLine.trim();
+            if (!line || line.startsWith("#") || line.startsWith("%")) return;
+
+            const parts = line.split(/[\s,]+/);
+            if (parts.length < 2) return;
+
+            const link = { source: parts[0], target: parts[1] };
+            if (parts.length > 3 && isFinite(parts[2]) && isFinite(parts[3])) {
+                link.weight = +parts[2];
+                link.time = +parts[3];
+            } else if (parts.length > 2 && isFinite(parts[2])) {
+                thirdColumn.push(link);
+                link.weight = +parts[2];
+            }
+            links.push(link);
+        });
+
+        const temporal = thirdColumn.length > 0 && thirdColumn.length === links.length
+            && thirdColumn.every(link => Number.isInteger(link.weight) && link.weight >= 0)
+            && d3.max(thirdColumn, link => link.weight) >= GraphParser.minTimestamp;
+        if (temporal) {
+            thirdColumn.forEach(link => {
+                link.time = link.weight;
+                delete link.weight;
+            });
+        }
+
+        return { nodes: [], links: links };
+    }
+
+    static get minTimestamp() {
+        return 100000;
+    }
+
+    // 含 source/target 列的视为边表，含 id 列的视为节点表，无表头时取前两列作为边
+    parseDelimited(text, delimiter) {
+        const format = d3.dsvFormat(delimiter);
+        const rows = format.parse(text.replace(/^\uFEFF/, ""));
+        const columns = rows.columns.map(c => c.trim());
+        const sourceKey = GraphParser.findColumn(rows.columns, ["source", "src", "from", "node1", "u"]);
+        const targetKey = GraphParser.findColumn(rows.columns, ["target", "dst", "to", "node2", "v"]);
+        const idKey = GraphParser.findColumn(rows.columns, ["id", "node", "node_id", "nodeid", "name"]);
+        const timeKey = GraphParser.findColumn(rows.columns, ["time", "timestamp", "unixts", "ts", "date", "datetime"]);
+
+        if (sourceKey && targetKey) {
+            return {
+                nodes: [],
+                links: rows.map(row => {
+                    const link = {
+                        ...GraphParser.typedAttributes(row, [sourceKey, targetKey]),
+                        source: row[sourceKey].trim(),
+                        target: row[targetKey].trim()
+                    };
+                    if (timeKey) {
+                        const time = GraphParser.parseTime(row[timeKey]);
+                        if (time !== null) link.time = time;
+                    }
+                    return link;
+                })
+            };
+        }
+
+        if (idKey) {
+            return {
+                nodes: rows.map(row => ({
+                    ...GraphParser.typedAttributes(row, [idKey]),
+                    id: row[idKey].trim()
+                })),
+                links: []
+            };
+        }
+
+        if (columns.length < 2) {
+            throw new Error("无法识别 CSV 表头，需要 source/target 列或 id 列");
+        }
+
+        // 表头也是数字时说明文件没有表头
+        if (columns.slice(0, 2).every(c => c !== "" && isFinite(c))) {
+            return {
+                nodes: [],
+                links: format.parseRows(text)
+                    .filter(row => row.length >= 2 && !row[0].trim().startsWith("#"))
+                    .map(row => ({ source: row[0].trim(), target: row[1].trim() }))
+            };
+        }
+
+        const [first, second] = rows.columns;
+        return {
+            nodes: [],
+            links: rows.map(row => ({
+                ...GraphParser.typedAttributes(row, [first, second]),
+                source: row[first].trim(),
+                target: row[second].trim()
+            }))
+        };
+    }
+
+    parseJSON(text) {
+        const data = JSON.parse(text);
+        const links = data.links || data.edges;
+        if (!Array.isArray(data.nodes) && !Array.isArray(links)) {
+            throw new Error("JSON 需要包含 nodes 和 links 数组");
+        }
+
+        return {
+            nodes: (data.nodes || []).map(node => ({ ...node, id: String(node.id) })),
+            links: (links || []).map(link => ({
+                ...link,
+                source: String(GraphUtils.endpointId(link.source)),
+                target: String(GraphUtils.endpointId(link.target))
+            }))
+        };
+    }
+
+    parseGraphML(text) {
+        const doc = GraphParser.parseXML(text);
+        const keys = new Map();
+
+        GraphParser.elements(doc, "key").forEach(key => {
+            keys.set(key.getAttribute("id"), {
+                name: key.getAttribute("attr.name") || key.getAttribute("id"),
+                type: key.getAttribute("attr.type") || "string",
+                domain: key.getAttribute("for") || "all",
+                defaultValue: GraphParser.childText(key, "default")
+            });
+        });
+
+        const readData = (element, domain) => {
+            const attributes = {};
+            keys.forEach(key => {
+                if (key.defaultValue !== null && (key.domain === domain || key.domain === "all")) {
+                    attributes[key.name] = GraphParser.castValue(key.defaultValue, key.type);
+                }
+            });
+            GraphParser.children(element, "data").forEach(data => {
+                const key = keys.get(data.getAttribute("key"));
+                const name = key ? key.name : data.getAttribute("key");
+                attributes[name] = GraphParser.castValue(data.textContent.trim(), key ? key.type : "string");
+            });
+            return attributes;
+        };
+
+        return {
+            nodes: GraphParser.elements(doc, "node").map(node => ({
+                ...readData(node, "node"),
+                id: node.getAttribute("id")
+            })),
+            links: GraphParser.elements(doc, "edge").map(edge => ({
+                ...readData(edge, "edge"),
+                source: edge.getAttribute("source"),
+                target: edge.getAttribute("target")
+            }))
+        };
+    }
+
+    parseGEXF(text) {
+        const doc = GraphParser.parseXML(text);
+        const attributes = { node: new Map(), edge: new Map() };
+
+        GraphParser.elements(doc, "attributes").forEach(group => {
+            const domain = group.getAttribute("class") === "edge" ? "edge" : "node";
+            GraphParser.children(group, "attribute").forEach(attribute => {
+                attributes[domain].set(attribute.getAttribute("id"), {
+                    name: attribute.getAttribute("title") || attribute.getAttribute("id"),
+                    type: attribute.getAttribute("type") || "string"
+                });
+            });
+        });
+
+        const readValues = (element, domain) => {
+            const values = {};
+            const label = element.getAttribute("label");
+            if (label !== null) values.label = label;
+
+            GraphParser.children(element, "attvalues").forEach(group => {
+                GraphParser.children(group, "attvalue").forEach(attvalue => {
+                    const id = attvalue.getAttribute("for") || attvalue.getAttribute("id");
+                    const attribute = attributes[domain].get(id);
+                    values[attribute ? attribute.name : id] = GraphParser.castValue(
+                        attvalue.getAttribute("value"),
+                        attribute ? attribute.type : "string"
+                    );
+                });
+            });
+            return values;
+        };
+
+        return {
+            nodes: GraphParser.elements(doc, "node").map(node => ({
+                ...readValues(node, "node"),
+                id: node.getAttribute("id")
+            })),
+            links: GraphParser.elements(doc, "edge").map(edge => {
+                const link = {
+                    ...readValues(edge, "edge"),
+                    source: edge.getAttribute("source"),
+                    target: edge.getAttribute("target")
+                };
+                if (edge.hasAttribute("weight")) link.weight = +edge.getAttribute("weight");
+                return link;
+            })
+        };
+    }
+
+    // 补全只出现在边中的节点，合并重复边，统计被丢弃的边
+    normalize(nodes, links) {
+        const nodeById = new Map();
+        nodes.forEach(node => {
+            const id = String(node.id);
+            nodeById.set(id, { ...(nodeById.get(id) || {}), ...node, id: id });
+        });
+
+        const seen = new Map();
+        const keptLinks = [];
+        let selfLoops = 0;
+        let duplicates = 0;
+        let events = 0;
+
+        links.forEach(link => {
+            const source = String(link.source);
+            const target = String(link.target);
+            if (!source || !target) return;
+
+            if (source === target) {
+                selfLoops++;
+                if (this.dropSelfLoops) return;
+            }
+
+            // 时序网络中同一对节点的多次交互合并为一条边，times 记录全部时间戳
+            const times = GraphParser.linkTimes(link);
+            events += times.length;
+            const key = source < target ? `${source}\u0000${target}` : `${target}\u0000${source}`;
+            if (seen.has(key)) {
+                const kept = seen.get(key);
+                if (times.length > 0 && kept.times && this.dropDuplicates) {
+                    kept.times.push(...times);
+                    return;
+                }
+                duplicates++;
+                if (this.dropDuplicates) return;
+            }
+
+            if (!nodeById.has(source)) nodeById.set(source, { id: source });
+            if (!nodeById.has(target)) nodeById.set(target, { id: target });
+            const kept = { ...link, source: source, target: target };
+            if (times.length > 0) kept.times = times;
+            seen.set(key, kept);
+            keptLinks.push(kept);
+        });
+
+        keptLinks.forEach(link => {
+            if (!link.times) return;
+            link.times.sort((a, b) => a - b);
+            link.time = link.times[0];
+        });
+
+        return {
+            nodes: Array.from(nodeById.values()),
+            links: keptLinks,
+            metadata: {
+                selfLoops: selfLoops,
+                duplicateLinks: duplicates,
+                temporalEvents: events
+            }
+        };
+    }
+
+    // 边的时间戳：time 字段，或重新导入时的 times 数组
+    static linkTimes(link) {
+        if (Array.isArray(link.times)) return link.times.filter(t => typeof t === "number" && isFinite(t));
+        return typeof link.time === "number" && isFinite(link.time) ? [link.time] : [];
+    }
+
+    // 数值直接使用（如 Unix 秒），日期字符串转换为 Unix 秒
+    static parseTime(value) {
+        const text = String(value === undefined || value === null ? "" : value).trim();
+        if (text === "") return null;
+        if (isFinite(text)) return +text;
+        const time = Date.parse(text);
+        return isNaN(time) ? null : time / 1000;
+    }
+
+    static parseXML(text) {
+        const doc = new DOMParser().parseFromString(text, "application/xml");
+        if (doc.getElementsByTagName("parsererror").length > 0) {
+            throw new Error("XML 格式错误");
+        }
+        return doc;
+    }
+
+    // 忽略命名空间按本地名查找
+    static elements(root, localName) {
+        return Array.from(root.getElementsByTagNameNS("*", localName));
+    }
+
+    static children(element, localName) {
+        return Array.from(element.children).filter(child => child.localName === localName);
+    }
+
+    static childText(element, localName) {
+        const child = GraphParser.children(element, localName)[0];
+        return child ? child.textContent.trim() : null;
+    }
+
+    static castValue(value, type) {
+        if (value === null || value === undefined) return value;
+        switch (type.toLowerCase()) {
+            case "int":
+            case "integer":
+            case "long":
+            case "float":
+            case "double":
+                return value === "" ? null : +value;
+            case "boolean":
+                return value === "true" || value === "1";
+            default:
+                return value;
+        }
+    }
+
+    static findColumn(columns, candidates) {
+        return columns.find(column => candidates.includes(column.trim().toLowerCase()));
+    }
+
+    // 除 ID 列外，数值字符串转为数字
+    static typedAttributes(row, excluded) {
+        const attributes = {};
+        Object.keys(row).forEach(key => {
+            if (excluded.includes(key)) return;
+            const value = row[key].trim();
+            attributes[key.trim()] = value !== "" && isFinite(value) ? +value : value;
+        });
+        return attributes;
+    }
+}
@@ -0,0 +1,144 @@
+﻿// 最短路径查找：在节点的 neighbors 集合上做 BFS（无权图）
+// 路径以节点对象数组表示，只经过构造时传入的节点（即当前筛选后可见的节点）
+class PathFinder {
+    constructor(nodes) {
+        this.allowed = new Set(nodes);
+    }
+
+    // 返回最短距离、最短路径总数和最多 limit 条最短路径
+    shortestPaths(source, target, limit = 50) {
+        if (!this.allowed.has(source) || !this.allowed.has(target)) {
+            return { distance: Infinity, count: 0, paths: [] };
+        }
+        if (source === target) {
+            return { distance: 0, count: 1, paths: [[source]] };
+        }
+
+        // BFS 记录每个节点在最短路径上的全部前驱，以及最短路径条数
+        const distance = new Map([[source, 0]]);
+        const predecessors = new Map([[source, []]]);
+        const counts = new Map([[source, 1]]);
+        let frontier = [source];
+
+        while (frontier.length > 0 && !distance.has(target)) {
+            const next = [];
+            frontier.forEach(node => {
+                const d = distance.get(node);
+                node.neighbors.forEach(neighbor => {
+                    if (!this.allowed.has(neighbor)) return;
+                    if (!distance.has(neighbor)) {
+                        distance.set(neighbor, d + 1);
+                        predecessors.set(neighbor, []);
+                        counts.set(neighbor, 0);
+                        next.push(neighbor);
+                    }
+                    if (distance.get(neighbor) === d + 1) {
+                        predecessors.get(neighbor).push(node);
+                        counts.set(neighbor, counts.get(neighbor) + counts.get(node));
+                    }
+                });
+            });
+            frontier = next;
+        }
+
+        if (!distance.has(target)) {
+            return { distance: Infinity, count: 0, paths: [] };
+        }
+
+        // 从目标沿前驱回溯，枚举至多 limit 条路径
+        const paths = [];
+        const walk = (node, suffix) => {
+            if (paths.length >= limit) return;
+            if (node === source) {
+                paths.push([source, ...suffix]);
+                return;
+            }
+            predecessors.get(node).forEach(prev => walk(prev, [node, ...suffix]));
+        };
+        walk(target, []);
+
+        return { distance: distance.get(target), count: counts.get(target), paths: paths };
+    }
+
+    // Yen 算法：按长度返回前 k 条无环路径
+    kShortestPaths(source, target, k) {
+        const first = this.bfsPath(source, target, new Set(), new Set());
+        if (!first) return [];
+
+        const accepted = [first];
+        const candidates = [];
+        const seen = new Set([PathFinder.pathKey(first)]);
+
+        while (accepted.length < k) {
+            const previous = accepted[accepted.length - 1];
+
+            for (let i = 0; i < previous.length - 1; i++) {
+                const spur = previous[i];
+                const root = previous.slice(0, i + 1);
+
+                // 去掉与已有路径共享同一前缀的下一条边，以及前缀上的节点
+                const blockedEdges = new Set();
+                accepted.forEach(path => {
+                    if (path.length > i + 1 && root.every((node, j) => path[j] === node)) {
+                        blockedEdges.add(PathFinder.edgeKey(path[i], path[i + 1]));
+                    }
+                });
+                const blockedNodes = new Set(root.slice(0, -1));
+
+                const spurPath = this.bfsPath(spur, target, blockedNodes, blockedEdges);
+                if (!spurPath) continue;
+
+                const path = [...root.slice(0, -1), ...spurPath];
+                const key = PathFinder.pathKey(path);
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    candidates.push(path);
+                }
+            }
+
+            if (candidates.length === 0) break;
+            candidates.sort((a, b) => a.length - b.length);
+            accepted.push(candidates.shift());
+        }
+
+        return accepted;
+    }
+
+    bfsPath(source, target, blockedNodes, blockedEdges) {
+        if (!this.allowed.has(source) || !this.allowed.has(target)) return null;
+
+        const previous = new Map([[source, null]]);
+        const queue = [source];
+
+        for (let head = 0; head < queue.length; head++) {
+            const node = queue[head];
+            if (node === target) break;
+
+            node.neighbors.forEach(neighbor => {
+                if (previous.has(neighbor) || !this.allowed.has(neighbor) || blockedNodes.has(neighbor)) return;
+                if (blockedEdges.has(PathFinder.edgeKey(node, neighbor))) return;
+                previous.set(neighbor, node);
+                queue.push(neighbor);
+            });
+        }
+
+        if (!previous.has(target)) return null;
+
+        const path = [];
+        for (let node = target; node !== null; node = previous.get(node)) {
+            path.unshift(node);
+        }
+        return path;
+    }
+
+    // 无向边的键，与方向无关
+    static edgeKey(a, b) {
+        const x = String(a.id);
+        const y = String(b.id);
+        return x < y ? `${x}\u0000${y}` : `${y}\u0000${x}`;
+    }
+
+    static pathKey(path) {
+        return path.map(d => d.id).join("\u0000");
+    }
+}
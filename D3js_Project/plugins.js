@@ -0,0 +1,173 @@
+﻿// 插件接口：在不修改 script.js 的情况下添加分析功能、面板、节点指标、布局和导出格式
+// 插件脚本放在 plugins.js 之后、script.js 之前或之后均可，通过全局的 networkPlugins 注册：
+//
+//     networkPlugins.register({
+//         name: "triangles",
+//         metrics: [{ key: "triangles", label: "三角形数", compute: nodes => nodes.map(countTriangles) }],
+//         panels: [{ id: "triangles", title: "三角形", render: (container, vis) => container.text(...) }],
+//         onNodeSelected: (node, vis) => console.log(node && node.triangles)
+//     });
+//
+// 钩子（也可以用 networkPlugins.on(event, handler) 单独订阅，返回取消订阅的函数）：
+//     onDataLoaded(data, vis)                    加载或抽样出新数据之后，data 为 { nodes, links, metrics, communities }
+//     onNodeSelected(node, vis)                  高亮节点之后；取消高亮时 node 为 null
+//     onFilterChanged(filteredData, filters, vis) 筛选条件改变、筛选结果更新之后
+//     onTick(vis)                                节点位置更新之后（仿真 tick、布局动画、拖拽），已节流
+// 扩展点：
+//     panels    { id, title, render(container, vis, event) }，container 为 d3 选择集，每次绘制前清空
+//               在加载数据、选择节点、筛选和注册插件后重新绘制，event 为 dataLoaded、nodeSelected、filterChanged 或 registered
+//     metrics   { key, label, type, compute(nodes) }，返回与 nodes 对齐的数组，写入 node[key]；type 为 numeric（默认）或 categorical
+//               节点已建立 neighbors 集合；指标可用于大小、颜色、标签映射，表格、搜索条件和数据导出
+//     layouts   { key, label, compute(nodes, bounds, root) }，返回 Map<node, { x, y }>，与内置的静态布局一样过渡后固定节点
+//     exporters { key, label, fileName, type, export(graph, options) }，返回文件内容，graph 为筛选后的 { nodes, links }
+// 钩子和扩展点抛出的异常只记录到控制台，不影响其他插件和主程序
+class PluginRegistry {
+    static get events() {
+        return ["dataLoaded", "nodeSelected", "filterChanged", "tick"];
+    }
+
+    constructor() {
+        this.plugins = [];
+        this.handlers = new Map(PluginRegistry.events.map(event => [event, []]));
+        this.panels = [];
+        this.metrics = [];
+        this.layouts = [];
+        this.exporters = [];
+        this.vis = null;
+    }
+
+    // NetworkVisualization 创建时连接；之后注册的插件立即生效
+    attach(vis) {
+        this.vis = vis;
+        return this;
+    }
+
+    register(plugin) {
+        if (!plugin || !plugin.name) throw new Error("插件需要 name");
+        if (this.plugins.some(d => d.name === plugin.name)) throw new Error(`插件 ${plugin.name} 已注册`);
+
+        // 任何一项冲突时整个插件都不注册
+        const owner = plugin.name;
+        const kinds = ["panels", "metrics", "layouts", "exporters"];
+        const lengths = kinds.map(kind => this[kind].length);
+        try {
+            kinds.forEach(kind => (plugin[kind] || []).forEach(item => this.add(kind, item, owner)));
+        } catch (error) {
+            kinds.forEach((kind, i) => {
+                this[kind].length = lengths[i];
+            });
+            throw error;
+        }
+        PluginRegistry.events.forEach(event => {
+            const hook = plugin[`on${event[0].toUpperCase()}${event.slice(1)}`];
+            if (typeof hook === "function") this.handlers.get(event).push({ owner: owner, handler: hook.bind(plugin) });
+        });
+        this.plugins.push(plugin);
+
+        if (this.vis) this.vis.refreshPlugins();
+        return this;
+    }
+
+    registerPanel(panel) {
+        return this.add("panels", panel).refresh();
+    }
+
+    registerMetric(metric) {
+        return this.add("metrics", metric).refresh();
+    }
+
+    registerLayout(layout) {
+        return this.add("layouts", layout).refresh();
+    }
+
+    registerExporter(exporter) {
+        return this.add("exporters", exporter).refresh();
+    }
+
+    refresh() {
+        if (this.vis) this.vis.refreshPlugins();
+        return this;
+    }
+
+    // 面板以 id 区分，其余以 key 区分；键不能与内置的指标、节点字段、布局或导出格式重复
+    add(kind, item, owner = "") {
+        const field = kind === "panels" ? "id" : "key";
+        const label = { panels: "面板", metrics: "指标", layouts: "布局", exporters: "导出格式" }[kind];
+        const key = item && item[field];
+        if (!key) throw new Error(`${label}需要 ${field}`);
+        const reserved = {
+            panels: [],
+            metrics: PluginRegistry.reservedNodeFields,
+            layouts: GraphLayouts.types.map(d => d.key),
+            exporters: GraphExporter.formats.map(d => d.key)
+        }[kind];
+        if (this[kind].some(d => d[field] === key) || reserved.includes(key)) {
+            throw new Error(`${label} ${key} 已存在`);
+        }
+        this[kind].push({ ...item, owner: owner });
+        return this;
+    }
+
+    // 内置指标和预处理、仿真写入节点的字段
+    static get reservedNodeFields() {
+        return [
+            ...VisualEncoding.builtinAttributes.map(d => d.key),
+            "id", "x", "y", "vx", "vy", "fx", "fy", "index", "radius", "neighbors", "originalData", "circles", "features"
+        ];
+    }
+
+    on(event, handler) {
+        if (!this.handlers.has(event)) throw new Error(`未知的事件 ${event}，可用事件: ${PluginRegistry.events.join(", ")}`);
+        const entry = { owner: "", handler: handler };
+        this.handlers.get(event).push(entry);
+        return () => {
+            const handlers = this.handlers.get(event);
+            const index = handlers.indexOf(entry);
+            if (index >= 0) handlers.splice(index, 1);
+        };
+    }
+
+    emit(event, ...args) {
+        this.handlers.get(event).forEach(({ owner, handler }) => {
+            PluginRegistry.guard(owner, event, () => handler(...args));
+        });
+    }
+
+    // 计算插件指标并写入节点，出错的指标记为 undefined
+    computeMetrics(nodes) {
+        this.metrics.forEach(metric => {
+            const values = PluginRegistry.guard(metric.owner, `指标 ${metric.key}`, () => metric.compute(nodes)) || [];
+            nodes.forEach((node, i) => {
+                node[metric.key] = values[i];
+            });
+        });
+    }
+
+    // 供 VisualEncoding 使用的属性定义
+    metricAttributes() {
+        return this.metrics.map(metric => ({
+            key: metric.key,
+            label: metric.label || metric.key,
+            type: metric.type === "categorical" ? "categorical" : "numeric"
+        }));
+    }
+
+    layout(key) {
+        return this.layouts.find(d => d.key === key) || null;
+    }
+
+    exporter(key) {
+        return this.exporters.find(d => d.key === key) || null;
+    }
+
+    static guard(owner, context, callback) {
+        try {
+            return callback();
+        } catch (error) {
+            console.error(`插件${owner ? ` ${owner}` : ""}（${context}）出错:`, error);
+            return undefined;
+        }
+    }
+}
+
+const networkPlugins = new PluginRegistry();
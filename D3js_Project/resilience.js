@@ -0,0 +1,159 @@
+﻿// 网络鲁棒性：按策略逐步移除节点，记录每一步后最大连通分量的大小和连通分量数（Albert, Jeong & Barabási 2000）
+// 移除顺序确定后按逆序加回节点，用并查集合并，一次得到所有步骤的连通分量
+class ResilienceSimulator {
+    static get strategies() {
+        return [
+            { key: "random", label: "随机失效" },
+            { key: "degree", label: "最高度数" },
+            { key: "betweenness", label: "最高介数" },
+            { key: "adaptive", label: "自适应攻击（每步重算介数）" }
+        ];
+    }
+
+    // options: { strategy, steps, seed, budget }，每步移除 ceil(n / steps) 个节点，直到全部移除
+    // budget 为介数计算的 BFS 总工作量上限，自适应攻击分摊到各步
+    // 返回 { strategy, label, total, curve, robustness }：curve[0] 为移除前的状态，之后每步为 { removed, nodes, giant, components }，nodes 为该步移除的节点
+    static simulate(nodes, options = {}) {
+        const strategy = options.strategy || "random";
+        const n = nodes.length;
+        const steps = options.steps || 50;
+        const stepSize = Math.max(1, Math.ceil(n / steps));
+        const budget = options.budget || 3e7;
+        const seed = options.seed !== undefined ? options.seed : 42;
+        const adjacency = GraphMetrics.indexAdjacency(nodes);
+
+        // 先随机打乱再稳定排序，得分相同的节点按随机顺序移除
+        const shuffled = GraphUtils.shuffle(d3.range(n), GraphUtils.seededRandom(seed));
+        let order;
+        switch (strategy) {
+            case "degree":
+                order = shuffled.sort((a, b) => adjacency[b].length - adjacency[a].length);
+                break;
+            case "betweenness": {
+                const betweenness = ResilienceSimulator.betweenness(adjacency, budget, seed);
+                order = shuffled.sort((a, b) => betweenness[b] - betweenness[a]);
+                break;
+            }
+            case "adaptive":
+                order = ResilienceSimulator.adaptiveOrder(adjacency, shuffled, stepSize, budget / steps, seed);
+                break;
+            default:
+                order = shuffled;
+        }
+
+        const states = ResilienceSimulator.components(adjacency, order, stepSize);
+        const curve = states.map((state, i) => ({
+            removed: state.removed,
+            nodes: i > 0 ? order.slice(states[i - 1].removed, state.removed).map(v => nodes[v]) : [],
+            giant: state.giant,
+            components: state.components
+        }));
+
+        // R 指标（Schneider et al. 2011）：每移除一个节点后最大连通分量占比的平均，按步长近似
+        let robustness = 0;
+        for (let i = 1; i < curve.length; i++) {
+            robustness += curve[i].giant * (curve[i].removed - curve[i - 1].removed);
+        }
+
+        return {
+            strategy: strategy,
+            label: ResilienceSimulator.strategies.find(d => d.key === strategy).label,
+            total: n,
+            curve: curve,
+            robustness: n > 0 ? robustness / (n * n) : 0
+        };
+    }
+
+    // 与 GraphMetrics.compute 相同的抽样规则：源点数 × 边数不超过 budget
+    static betweenness(adjacency, budget, seed) {
+        const m = adjacency.reduce((sum, list) => sum + list.length, 0) / 2;
+        if (m === 0) return new Float64Array(adjacency.length);
+        const sampleSize = Math.min(adjacency.length, Math.max(32, Math.ceil(budget / m)));
+        return GraphMetrics.shortestPathMetrics(adjacency, sampleSize, seed).betweenness;
+    }
+
+    // 每步在剩余节点的子图上重新计算介数，移除最高的 stepSize 个；没有边之后按 initial 的顺序移除
+    static adaptiveOrder(adjacency, initial, stepSize, budget, seed) {
+        const alive = new Uint8Array(adjacency.length).fill(1);
+        const local = new Int32Array(adjacency.length);
+        const order = [];
+        while (order.length < adjacency.length) {
+            const remaining = initial.filter(v => alive[v]);
+            remaining.forEach((v, i) => {
+                local[v] = i;
+            });
+            const sub = remaining.map(v => Int32Array.from(Array.from(adjacency[v]).filter(w => alive[w]), w => local[w]));
+            if (sub.every(list => list.length === 0)) {
+                order.push(...remaining);
+                break;
+            }
+
+            const betweenness = ResilienceSimulator.betweenness(sub, budget, seed);
+            d3.range(remaining.length)
+                .sort((a, b) => betweenness[b] - betweenness[a])
+                .slice(0, stepSize)
+                .forEach(i => {
+                    alive[remaining[i]] = 0;
+                    order.push(remaining[i]);
+                });
+        }
+        return order;
+    }
+
+    // 逆序加回节点：加回 order[i..] 之后的状态即移除了前 i 个节点；返回移除数为 0、stepSize、2·stepSize……直到 n 时的状态
+    static components(adjacency, order, stepSize) {
+        const n = adjacency.length;
+        const parent = new Int32Array(n);
+        const size = new Int32Array(n);
+        const present = new Uint8Array(n);
+        const find = v => {
+            while (parent[v] !== v) {
+                parent[v] = parent[parent[v]];
+                v = parent[v];
+            }
+            return v;
+        };
+
+        const states = [{ removed: n, giant: 0, components: 0 }];
+        let giant = 0;
+        let components = 0;
+        for (let i = n - 1; i >= 0; i--) {
+            const v = order[i];
+            parent[v] = v;
+            size[v] = 1;
+            present[v] = 1;
+            components++;
+            giant = Math.max(giant, 1);
+            adjacency[v].forEach(w => {
+                if (!present[w]) return;
+                let a = find(v);
+                let b = find(w);
+                if (a === b) return;
+                if (size[a] < size[b]) [a, b] = [b, a];
+                parent[b] = a;
+                size[a] += size[b];
+                components--;
+                giant = Math.max(giant, size[a]);
+            });
+            if (i % stepSize === 0) states.push({ removed: i, giant: giant, components: components });
+        }
+        return states.reverse();
+    }
+
+    // 各策略每一步的结果，removed_nodes 为该步移除的节点 ID，以空格分隔
+    static toCSV(results) {
+        const rows = results.flatMap(result => result.curve.map((state, step) => ({
+            strategy: result.strategy,
+            step: step,
+            removed: state.removed,
+            removed_fraction: result.total > 0 ? +(state.removed / result.total).toFixed(4) : 0,
+            giant_component: state.giant,
+            giant_fraction: result.total > 0 ? +(state.giant / result.total).toFixed(4) : 0,
+            components: state.components,
+            removed_nodes: state.nodes.map(d => d.id).join(" ")
+        })));
+        return d3.csvFormat(rows, [
+            "strategy", "step", "removed", "removed_fraction", "giant_component", "giant_fraction", "components", "removed_nodes"
+        ]);
+    }
+}
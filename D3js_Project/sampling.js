@@ -0,0 +1,231 @@
+﻿// 大图抽样：节点数超过上限时选出 size 个节点，保留它们之间的全部边（诱导子图）
+// 输入为原始的 { nodes, links }（端点为节点 ID），使用固定种子的随机数，同样的设置每次得到相同的样本
+class GraphSampler {
+    static get methods() {
+        return [
+            { key: "forestFire", label: "森林火灾" },
+            { key: "randomWalk", label: "随机游走" },
+            { key: "snowball", label: "滚雪球" },
+            { key: "node", label: "随机节点" },
+            { key: "edge", label: "随机边" },
+            { key: "community", label: "按社群分层" },
+            { key: "degree", label: "最高度数" }
+        ];
+    }
+
+    constructor(options = {}) {
+        this.seed = options.seed !== undefined ? options.seed : 42;
+        this.restartProbability = options.restartProbability || 0.15; // 随机游走回到起点的概率
+        this.burnProbability = options.burnProbability || 0.7; // 森林火灾的前向燃烧概率
+        this.maxStaleSteps = options.maxStaleSteps || 1000; // 随机游走连续这么多步没有新节点时换起点
+    }
+
+    // options: { method, size, seedNode }，seedNode 为滚雪球的起点 ID，缺省时取度数最高的节点
+    // 返回 { nodes, links, seedNode }
+    sample(graph, options) {
+        const { method } = options;
+        const size = Math.min(options.size, graph.nodes.length);
+        this.random = GraphUtils.seededRandom(this.seed);
+        this.ids = graph.nodes.map(d => String(d.id));
+        this.adjacency = GraphSampler.adjacency(this.ids, graph.links);
+
+        let selected;
+        let seedNode = null;
+        switch (method) {
+            case "node":
+                selected = GraphUtils.shuffle(this.ids.slice(), this.random).slice(0, size);
+                break;
+            case "edge":
+                selected = this.edgeSample(graph.links, size);
+                break;
+            case "randomWalk":
+                selected = this.randomWalk(size);
+                break;
+            case "snowball":
+                seedNode = this.adjacency.has(String(options.seedNode)) ? String(options.seedNode) : this.highestDegree();
+                selected = this.snowball(seedNode, size);
+                break;
+            case "community":
+                selected = this.stratified(graph, size);
+                break;
+            case "degree":
+                selected = this.ids.slice()
+                    .sort((a, b) => this.adjacency.get(b).length - this.adjacency.get(a).length)
+                    .slice(0, size);
+                break;
+            default:
+                selected = this.forestFire(size);
+        }
+
+        const kept = new Set(selected);
+        return {
+            nodes: graph.nodes.filter(d => kept.has(String(d.id))),
+            links: graph.links.filter(link => kept.has(String(GraphUtils.endpointId(link.source)))
+                && kept.has(String(GraphUtils.endpointId(link.target)))),
+            seedNode: seedNode
+        };
+    }
+
+    // Map<ID, 邻居 ID 数组>
+    static adjacency(ids, links) {
+        const adjacency = new Map(ids.map(id => [id, []]));
+        links.forEach(link => {
+            const source = String(GraphUtils.endpointId(link.source));
+            const target = String(GraphUtils.endpointId(link.target));
+            if (source === target || !adjacency.has(source) || !adjacency.has(target)) return;
+            adjacency.get(source).push(target);
+            adjacency.get(target).push(source);
+        });
+        return adjacency;
+    }
+
+    highestDegree() {
+        return this.ids.reduce((best, id) =>
+            this.adjacency.get(id).length > this.adjacency.get(best).length ? id : best, this.ids[0]);
+    }
+
+    // 未被抽到的随机节点，用于游走或燃烧中断后重新开始
+    randomUnselected(selected) {
+        let id;
+        do {
+            id = this.ids[Math.floor(this.random() * this.ids.length)];
+        } while (selected.has(id));
+        return id;
+    }
+
+    // 随机抽边，两个端点一起加入样本
+    edgeSample(links, size) {
+        const selected = new Set();
+        const order = GraphUtils.shuffle(d3.range(links.length), this.random);
+        for (const i of order) {
+            if (selected.size >= size) break;
+            selected.add(String(GraphUtils.endpointId(links[i].source)));
+            if (selected.size >= size) break;
+            selected.add(String(GraphUtils.endpointId(links[i].target)));
+        }
+        // 边不够时用孤立节点补足
+        if (selected.size < size) {
+            GraphUtils.shuffle(this.ids.slice(), this.random).forEach(id => {
+                if (selected.size < size) selected.add(id);
+            });
+        }
+        return Array.from(selected);
+    }
+
+    // 带回跳的随机游走；长时间没有新节点（如困在小连通分量中）时换一个起点
+    randomWalk(size) {
+        const selected = new Set();
+        let start = this.randomUnselected(selected);
+        let current = start;
+        let stale = 0;
+        selected.add(start);
+        while (selected.size < size) {
+            const neighbors = this.adjacency.get(current);
+            if (stale > this.maxStaleSteps || neighbors.length === 0) {
+                start = this.randomUnselected(selected);
+                current = start;
+                stale = 0;
+            } else if (this.random() < this.restartProbability) {
+                current = start;
+            } else {
+                current = neighbors[Math.floor(this.random() * neighbors.length)];
+            }
+            if (selected.has(current)) {
+                stale++;
+            } else {
+                selected.add(current);
+                stale = 0;
+            }
+        }
+        return Array.from(selected);
+    }
+
+    // 森林火灾：每个燃烧的节点点燃几何分布数量（均值 p / (1 - p)）的未燃烧邻居，火熄灭后从新的随机节点重新点燃
+    forestFire(size) {
+        const selected = new Set();
+        const queue = [];
+        while (selected.size < size) {
+            if (queue.length === 0) {
+                const start = this.randomUnselected(selected);
+                selected.add(start);
+                queue.push(start);
+                continue;
+            }
+            const current = queue.shift();
+            let count = 0;
+            while (this.random() < this.burnProbability) count++;
+            const candidates = GraphUtils.shuffle(this.adjacency.get(current).filter(id => !selected.has(id)), this.random);
+            for (const id of candidates.slice(0, count)) {
+                if (selected.size >= size) break;
+                selected.add(id);
+                queue.push(id);
+            }
+        }
+        return Array.from(selected);
+    }
+
+    // 从起点广度优先逐层加入邻居，最后一层不够时随机截取；连通分量耗尽后从剩余度数最高的节点继续
+    snowball(seedNode, size) {
+        const selected = new Set([seedNode]);
+        let wave = [seedNode];
+        const remaining = () => this.ids
+            .filter(id => !selected.has(id))
+            .reduce((best, id) => best === null || this.adjacency.get(id).length > this.adjacency.get(best).length ? id : best, null);
+        while (selected.size < size) {
+            const next = new Set();
+            wave.forEach(id => this.adjacency.get(id).forEach(neighbor => {
+                if (!selected.has(neighbor)) next.add(neighbor);
+            }));
+            if (next.size === 0) {
+                const start = remaining();
+                selected.add(start);
+                wave = [start];
+                continue;
+            }
+            wave = GraphUtils.shuffle(Array.from(next), this.random).slice(0, size - selected.size);
+            wave.forEach(id => selected.add(id));
+        }
+        return Array.from(selected);
+    }
+
+    // 在完整图上做标签传播，按社群大小比例（最大余数法）分配名额，在社群内随机抽取节点
+    stratified(graph, size) {
+        const { membership, count } = new CommunityDetector({ method: "labelPropagation", seed: this.seed })
+            .detect(graph.nodes.map(d => ({ id: String(d.id) })), graph.links.map(link => ({
+                source: String(GraphUtils.endpointId(link.source)),
+                target: String(GraphUtils.endpointId(link.target))
+            })));
+        const strata = Array.from({ length: count }, () => []);
+        this.ids.forEach((id, i) => strata[membership[i]].push(id));
+
+        const quotas = strata.map(members => members.length * size / this.ids.length);
+        const counts = quotas.map(Math.floor);
+        let left = size - d3.sum(counts);
+        d3.range(count)
+            .sort((a, b) => (quotas[b] - counts[b]) - (quotas[a] - counts[a]))
+            .forEach(i => {
+                if (left > 0 && counts[i] < strata[i].length) {
+                    counts[i]++;
+                    left--;
+                }
+            });
+        return strata.flatMap((members, i) => GraphUtils.shuffle(members.slice(), this.random).slice(0, counts[i]));
+    }
+
+    // 两组取值的经验分布函数之间的最大差（双样本 Kolmogorov-Smirnov 统计量）
+    static ksDistance(a, b) {
+        if (a.length === 0 || b.length === 0) return 0;
+        const x = Float64Array.from(a).sort();
+        const y = Float64Array.from(b).sort();
+        let i = 0;
+        let j = 0;
+        let distance = 0;
+        while (i < x.length && j < y.length) {
+            const value = Math.min(x[i], y[j]);
+            while (i < x.length && x[i] === value) i++;
+            while (j < y.length && y[j] === value) j++;
+            distance = Math.max(distance, Math.abs(i / x.length - j / y.length));
+        }
+        return distance;
+    }
+}
@@ -4,6 +4,7 @@
         this.simulation = null;
         this.svg = null;
         this.nodeGroup = null;
+        this.labelGroup = null;
         this.linkGroup = null;
         this.tooltip = null;
         this.zoom = null;
@@ -13,6 +14,115 @@
         this.animationFrameId = null;
         this.lastUpdateTime = 0;
         this.updateThrottle = 16;
+        this.communityStats = [];
+        this.datasetName = "";
+        this.dataSource = null; // 数据集的下载地址，本地文件为 null
+        
+        // 视图状态同步到 URL hash；pendingViewState 为等待用户重新打开本地文件后恢复的状态
+        this.viewStateTimer = null;
+        this.pendingViewState = null;
+        
+        // 渲染器：auto 根据图规模在 SVG 和 Canvas 之间选择
+        this.canvasRenderer = null;
+        this.rendererMode = "auto";
+        this.rendererType = "svg";
+        this.transform = d3.zoomIdentity;
+        
+        // 节点/连接的样式类（highlighted、neighbor、hidden），SVG 和 Canvas 共用
+        this.nodeClasses = new Map();
+        this.linkClasses = new Map();
+        
+        this.histogramScale = null;
+        this.histogramBrush = null;
+        
+        // 当前布局，root 为径向/层次布局的根节点 ID
+        this.layout = {
+            type: "force",
+            root: null
+        };
+        this.layoutTimer = null;
+        
+        // 路径查找模式：依次选择起点和终点
+        this.pathMode = {
+            active: false,
+            source: null,
+            target: null,
+            option: "single", // single、all 或 k
+            k: 3,
+            result: null
+        };
+        
+        // 链接预测：method 为得分（见 LinkPredictor.scores），links 为以虚线绘制的预测边 [{ source, target, score }]
+        // global 为预测面板中的全局预测结果，evaluation 为留出评估的结果
+        this.prediction = {
+            method: "adamicAdar",
+            links: [],
+            global: null,
+            evaluation: null
+        };
+        
+        // 当前筛选条件，measure 为 degree（度数）或 coreness（k-核数），ego 为自我网络成员，time 为时序网络当前时刻的活跃边和节点，metadata 为按圈子或特征筛选的 { label, nodes }
+        this.filters = {
+            measure: "degree",
+            min: -Infinity,
+            max: Infinity,
+            communities: null,
+            ego: null,
+            excluded: null,
+            time: null,
+            metadata: null
+        };
+        
+        // 编辑模式：links 为选中的边，connect 为正在拖动连接的起点和终点
+        this.editMode = {
+            active: false,
+            links: new Set(),
+            connect: null,
+            metricsTimer: null
+        };
+        
+        // 时序播放：data 为 GraphTimeline，time 为当前时刻，window 为时间窗口，series 为缓存的演化曲线
+        this.timeline = {
+            data: null,
+            time: null,
+            window: Infinity,
+            series: null,
+            timer: null,
+            frames: null
+        };
+        
+        // 键盘导航：node 为当前聚焦的节点，anchor 为 Tab 轮流访问其邻居的节点，index 为邻居序号（-1 表示 anchor 本身）
+        this.keyboardNav = {
+            node: null,
+            anchor: null,
+            index: -1
+        };
+        
+        // 表格视图：tab 为 nodes 或 links，query 为节点表格的搜索条件（NodeQuery），anchor 为 Shift 连选的起点
+        this.tableView = {
+            open: false,
+            tab: "nodes",
+            query: null,
+            anchor: null
+        };
+        this.dataTable = null;
+        
+        // 已校验、等待用户确认导入方式的布局文件
+        this.pendingLayout = null;
+        
+        // SNAP 自我网络元数据：files 为已读取的 .circles/.feat 等文件，circles 为附加到当前图的圈子
+        this.egoMetadata = null;
+        
+        // 框选得到的节点集合
+        this.selection = new Set();
+        this.selectionTool = null;
+        
+        // 子图视图：stack 为面包屑上的各级，自我网络为 {center, hops}，孤立的选择集为 {members, label}
+        // 返回完整图时恢复保存的坐标
+        this.ego = {
+            stack: [],
+            savedPositions: null
+        };
         
         // 配置参数
         this.config = {
@@ -21,34 +131,128 @@
             chargeStrength: -30,
             linkDistance: 80,
             nodeRadius: 4,
-            maxNodes: 2000, // 减少最大节点数
+            maxNodes: 20000, // Canvas 渲染可承载的最大节点数，也是默认的抽样规模
+            samplingMethod: "forestFire", // 节点数超过抽样规模时的抽样方法，见 GraphSampler.methods
+            svgMaxNodes: 2000, // 超过时自动切换到 Canvas 渲染
+            svgMaxLinks: 50000,
             minNodeRadius: 2,
             maxNodeRadius: 6,
             simulationAlpha: 0.3,
-            simulationDecay: 0.02
+            simulationDecay: 0.02,
+            useWorker: true, // 在 Web Worker 中计算布局
+            simulationWorkerUrl: "simulation-worker.js",
+            communityMethod: "louvain", // louvain 或 labelPropagation
+            communitySeed: 42,
+            dataUrl: "data/facebook_graph.json",
+            edgeListUrl: "data/facebook_combined.txt", // 没有运行 convert.py 时直接读取原始边列表
+            datasetName: "Facebook (SNAP)",
+            viewStateDelay: 300, // 视图变化后延迟写入 URL hash
+            maxHashPins: 500, // hash 中最多保存的固定节点数
+            editMetricsDelay: 800, // 编辑停止后延迟重新计算中心性指标
+            maxExportSize: 16384, // 导出 PNG 的最大边长（像素）
+            timelineSteps: 200, // 时间轴的刻度数，每次播放前进一格
+            timelineInterval: 150, // 播放时每一格的间隔（毫秒）
+            timelineSeriesSteps: 120, // 演化曲线的采样点数
+            frameCount: 60, // 导出的帧数
+            frameDelay: 400, // 导出每帧前等待布局调整的时间（毫秒）
+            tableRowHeight: 22, // 表格行高，与 style.css 中 .virtual-table 的行高一致
+            neighborPageSize: 20, // 详情面板中邻居列表每页的数量
+            levelOfDetail: true, // 缩小时将屏幕上过小的社群合并为元节点
+            lodMinPixels: 24, // 社群在屏幕上的尺寸（成员到质心的均方根距离）小于该值时合并
+            edgeBundling: "none", // 边捆绑方式，见 EdgeBundler.modes
+            bundlingMaxLinks: 2000, // 力导向捆绑的边数上限，超过时改用社群捆绑
+            bundlingWorkerUrl: "bundling-worker.js", // 在 Web Worker 中计算力导向捆绑
+            bundlingLocalMaxLinks: 200, // Worker 不可用、在主线程计算时的边数上限
+            predictionCount: 10, // 推荐连接的数量
+            predictionHoldout: 0.1, // 留出评估隐藏的边比例
+            predictionSamples: 10000, // 留出评估计算 AUC 的抽样次数
+            predictionPrecisionK: 100, // 留出评估的 precision@k
+            resilienceSteps: 50, // 鲁棒性模拟的步数，每步移除 1/50 的节点
+            resilienceInterval: 400, // 播放时每一步的间隔（毫秒）
+            resilienceBudget: 3e7 // 介数攻击的 BFS 总工作量上限（源点数 × 边数），超出时抽样源点
+        };
+        
+        // 大图抽样：节点数超过 size 时按 method 抽取 size 个节点，seedNode 为滚雪球的起点
+        // rawData 为完整的原始数据，重新抽样时使用
+        this.sampling = {
+            method: this.config.samplingMethod,
+            size: this.config.maxNodes,
+            seedNode: null
+        };
+        this.rawData = null;
+        
+        // 边捆绑：line 为绘制边的 d3.line，offsets 为力导向捆绑的结果，centers 为社群捆绑使用的社群质心
+        // job 为后台计算中的力导向捆绑 { worker }，完成后才切换到 force
+        this.bundling = {
+            mode: this.config.edgeBundling,
+            line: d3.line(),
+            offsets: null,
+            centers: null,
+            job: null
+        };
+        
+        // 细节层次：view 为当前缩放下的合并结果（见 LevelOfDetail.compute），expanded 为点击展开的社群及展开时的缩放比例
+        // key 为已应用到 SVG 元素的合并状态，状态不变时只更新元节点的位置
+        this.lod = {
+            enabled: this.config.levelOfDetail,
+            view: null,
+            expanded: new Map(),
+            key: null
+        };
+        
+        // 鲁棒性模拟：results 为各策略的结果（见 ResilienceSimulator.simulate），current 为当前显示的策略
+        // step 为当前步骤，该步及之前移除的节点带有 removed 样式类
+        this.resilience = {
+            results: new Map(),
+            current: null,
+            step: 0,
+            timer: null
         };
         
+        // 节点大小、颜色和标签的属性映射
+        this.encoding = new VisualEncoding({
+            minRadius: this.config.minNodeRadius,
+            maxRadius: this.config.maxNodeRadius,
+            defaultRadius: this.config.nodeRadius
+        });
+        
+        // 插件注册的钩子、面板、指标、布局和导出格式，见 plugins.js
+        this.plugins = networkPlugins.attach(this);
+        
         this.init();
     }
     
     async init() {
         this.showLoading(true);
-        await this.loadData();
         this.setupSVG();
         this.setupEventListeners();
-        this.createVisualization();
-        this.updateStatistics();
+        
+        // 从 URL hash 恢复分享的视图
+        const viewState = ViewState.decode(window.location.hash);
+        await this.loadData(viewState.source);
+        this.restoreViewState(viewState);
         this.showLoading(false);
     }
     
-    async loadData() {
+    // source 为任意可下载的图文件地址，缺省时加载 Facebook 数据集
+    async loadData(source = null) {
         try {
-            const rawData = await d3.json("data/facebook_graph.json");
+            let rawData;
+            if (source) {
+                const text = await d3.text(source);
+                rawData = new GraphParser().parse(text, source);
+            } else {
+                try {
+                    rawData = await d3.json(this.config.dataUrl);
+                } catch (error) {
+                    console.warn("未找到预转换的 JSON，改为读取原始边列表:", error);
+                    const text = await d3.text(this.config.edgeListUrl);
+                    rawData = new GraphParser().parse(text, this.config.edgeListUrl);
+                }
+            }
             console.log("原始数据加载完成:", rawData);
             
-            // 数据预处理
-            this.data = this.preprocessData(rawData);
-            this.filteredData = { ...this.data };
+            this.setData(rawData, source || this.config.datasetName, source);
             
             console.log("数据预处理完成:", this.data);
         } catch (error) {
@@ -57,43 +261,160 @@
         }
     }
     
+    // 打开本地图文件（文件选择或拖放）
+    async openGraphFiles(fileList) {
+        const files = Array.from(fileList || []);
+        if (files.length === 0) return;
+        
+        this.showLoading(true);
+        try {
+            const inputs = await Promise.all(files.map(async file => ({
+                name: file.name,
+                text: await this.readFileText(file)
+            })));
+            // SNAP 的圈子和特征文件附加到图上，可与边列表一起打开
+            const metadataFiles = inputs.filter(d => EgoMetadata.fileType(d.name));
+            const graphFiles = inputs.filter(d => !EgoMetadata.fileType(d.name));
+            if (graphFiles.length > 0) {
+                const rawData = new GraphParser().parseFiles(graphFiles);
+                
+                const name = graphFiles.map(file => file.name).join(", ");
+                this.setData(rawData, name);
+                // 解析摘要附在数据集名称的提示中
+                const { format, selfLoops, duplicateLinks } = rawData.metadata;
+                const datasetName = d3.select("#datasetName");
+                datasetName.attr("title", `${datasetName.attr("title")}（${format}，丢弃 ${selfLoops} 个自环，合并 ${duplicateLinks} 条重复边）`);
+                this.restorePendingViewState(name);
+            }
+            if (metadataFiles.length > 0) this.loadEgoMetadata(metadataFiles);
+        } catch (error) {
+            console.error("图文件解析失败:", error);
+            alert(`图文件解析失败: ${error.message}`);
+        }
+        this.showLoading(false);
+    }
+    
+    readFileText(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsText(file);
+        });
+    }
+    
+    // 用新数据替换当前图并重建可视化，source 为数据的下载地址
+    setData(rawData, name, source = null) {
+        if (this.simulation) this.simulation.stop();
+        this.stopLayoutAnimation();
+        this.layout.root = null;
+        this.ego = { stack: [], savedPositions: null };
+        this.selection = new Set();
+        this.closeLayoutImport();
+        this.focusNode(null);
+        this.renderBreadcrumb();
+        this.togglePathMode(false);
+        this.clearHighlight();
+        this.closeDetailPanel();
+        clearTimeout(this.editMode.metricsTimer);
+        this.editMode.links = new Set();
+        this.editMode.connect = null;
+        this.egoMetadata = null;
+        this.lod.expanded = new Map();
+        this.prediction.global = null;
+        this.prediction.evaluation = null;
+        this.resetResilience();
+        // 新数据的布局尚未稳定，力导向捆绑需在布局完成后重新选择
+        this.cancelForceBundling();
+        if (this.bundling.mode === "force") this.setEdgeBundling("none");
+        
+        // 数据预处理
+        this.rawData = rawData;
+        this.data = this.preprocessData(rawData);
+        this.filteredData = { ...this.data };
+        this.datasetName = name;
+        this.dataSource = source;
+        this.resetFilterControls();
+        this.setupTimeline();
+        
+        this.computeCommunityStats();
+        this.populateCommunityFilter();
+        this.renderCommunityPanel();
+        
+        this.nodeClasses = new Map();
+        this.linkClasses = new Map();
+        this.rendererType = this.resolveRendererType();
+        this.showRenderer();
+        
+        this.linkGroup.selectAll(".link").remove();
+        this.nodeGroup.selectAll(".node").remove();
+        this.labelGroup.selectAll(".node-label").remove();
+        this.populateEncodingControls();
+        // 先重置缩放，静态布局会在创建后缩放到合适的范围
+        this.zoomTarget().call(this.zoom.transform, d3.zoomIdentity);
+        this.createVisualization();
+        this.renderLegend();
+        this.updateStatistics();
+        
+        d3.select("#datasetName")
+            .text(name)
+            .attr("title", `${this.data.nodes.length} 个节点, ${this.data.links.length} 条边`);
+        this.notifyPlugins("dataLoaded", this.data);
+    }
+    
+    resetFilterControls() {
+        const [min, max] = this.measureExtent("degree");
+        this.filters = {
+            measure: "degree",
+            min: min,
+            max: max,
+            communities: null,
+            ego: null,
+            excluded: null,
+            time: null,
+            metadata: null
+        };
+        this.updateRestoreHiddenButton();
+        
+        d3.select("#rangeMeasure").property("value", "degree");
+        d3.select("#displayMode").property("value", "all");
+        this.updateRangeSliders();
+        this.renderHistogram();
+    }
+    
     preprocessData(rawData) {
-        // 限制节点数量以提高性能
-        const maxNodes = this.config.maxNodes;
+        // 节点数超过抽样规模时抽样以提高性能
         let nodes = rawData.nodes;
         let links = rawData.links;
+        let sample = null;
         
-        if (nodes.length > maxNodes) {
-            // 选择度数最高的节点
-            const nodeDegrees = new Map();
-            links.forEach(link => {
-                nodeDegrees.set(link.source, (nodeDegrees.get(link.source) || 0) + 1);
-                nodeDegrees.set(link.target, (nodeDegrees.get(link.target) || 0) + 1);
-            });
-            
-            const sortedNodes = nodes
-                .map(node => ({ ...node, degree: nodeDegrees.get(node.id) || 0 }))
-                .sort((a, b) => b.degree - a.degree)
-                .slice(0, maxNodes);
-            
-            const selectedNodeIds = new Set(sortedNodes.map(n => n.id));
-            nodes = sortedNodes;
-            links = links.filter(link => 
-                selectedNodeIds.has(link.source) && selectedNodeIds.has(link.target)
-            );
+        if (nodes.length > this.sampling.size) {
+            const sampler = new GraphSampler({ seed: this.config.communitySeed });
+            const sampled = sampler.sample(rawData, this.sampling);
+            sample = {
+                method: this.sampling.method,
+                seedNode: sampled.seedNode,
+                totalNodes: nodes.length,
+                totalLinks: links.length,
+                // 完整图的度数，用于评估样本的代表性
+                degrees: sampler.ids.map(id => sampler.adjacency.get(id).length)
+            };
+            nodes = sampled.nodes;
+            links = sampled.links;
         }
         
         // 处理节点数据 - 优化数据结构
         const processedNodes = nodes.map((node, i) => ({
             id: node.id,
-            group: node.group || Math.floor(Math.random() * 10),
+            group: 0,
             degree: 0,
             neighbors: new Set(),
             x: Math.random() * this.config.width,
             y: Math.random() * this.config.height,
             originalData: node,
             // 预计算半径避免重复计算
-            radius: 0
+            radius: 0,
+            coreness: 0
         }));
         
         // 建立节点映射
@@ -119,18 +440,105 @@
             return null;
         }).filter(Boolean);
         
-        // 预计算节点半径
-        processedNodes.forEach(node => {
-            node.radius = Math.max(
-                this.config.minNodeRadius, 
-                Math.min(this.config.maxNodeRadius, node.degree / 3)
-            );
+        // 社群检测，结果作为节点的 group
+        const communities = new CommunityDetector({
+            method: this.config.communityMethod,
+            seed: this.config.communitySeed
+        }).detect(processedNodes, processedLinks);
+        processedNodes.forEach((node, i) => {
+            node.group = communities.membership[i];
         });
         
+        // k-核、中心性与全局指标
+        const metrics = this.computeStructuralMetrics(processedNodes);
+        
+        // 预计算节点半径
+        this.encoding.discover(processedNodes, this.plugins.metricAttributes()).update(processedNodes);
+        
+        // 样本的度分布与完整图的 KS 距离，以及两者的密度
+        if (sample) {
+            sample.ks = GraphSampler.ksDistance(sample.degrees, processedNodes.map(d => d.degree));
+            sample.totalDensity = sample.totalNodes > 1
+                ? 2 * sample.totalLinks / (sample.totalNodes * (sample.totalNodes - 1))
+                : 0;
+            delete sample.degrees;
+        }
+        
         return {
             nodes: processedNodes,
-            links: processedLinks
+            links: processedLinks,
+            communities: {
+                count: communities.count,
+                sizes: communities.sizes,
+                modularity: communities.modularity,
+                method: communities.method
+            },
+            metrics: metrics,
+            sample: sample
+        };
+    }
+    
+    // 按抽样控件的设置重新加载当前数据；已加载的圈子和特征附加到新样本上
+    resample() {
+        const size = Math.round(+d3.select("#sampleSize").property("value"));
+        if (!(size > 0)) {
+            alert("抽样规模须为正整数");
+            return;
+        }
+        this.sampling = {
+            method: d3.select("#samplingMethod").property("value"),
+            size: size,
+            seedNode: d3.select("#sampleSeedNode").property("value").trim() || null
         };
+        if (!this.rawData) return;
+        
+        const metadataFiles = this.egoMetadata ? this.egoMetadata.files : null;
+        this.showLoading(true);
+        // 让加载提示先显示出来
+        setTimeout(() => {
+            try {
+                this.setData(this.rawData, this.datasetName, this.dataSource);
+                if (metadataFiles) {
+                    try {
+                        this.loadEgoMetadata(metadataFiles);
+                    } catch (error) {
+                        console.warn("样本中没有圈子和特征文件中的节点:", error);
+                    }
+                }
+            } catch (error) {
+                console.error("重新抽样失败:", error);
+                alert(`重新抽样失败: ${error.message}`);
+            } finally {
+                this.showLoading(false);
+            }
+        }, 0);
+    }
+    
+    syncSamplingControls() {
+        d3.select("#samplingMethod").property("value", this.sampling.method);
+        d3.select("#sampleSize").property("value", this.sampling.size);
+        d3.select("#sampleSeedNode")
+            .property("value", this.sampling.seedNode || "")
+            .style("display", this.sampling.method === "snowball" ? null : "none");
+    }
+    
+    // 写入节点的 k-核数和中心性，返回全局指标；编辑图之后也会调用
+    computeStructuralMetrics(nodes) {
+        // k-核分解，用于逐层剥离到稠密核心
+        const coreNumbers = GraphMetrics.coreNumbers(nodes);
+        nodes.forEach((node, i) => {
+            node.coreness = coreNumbers[i];
+        });
+        
+        // 中心性与全局指标，大图上抽样估计
+        const metrics = GraphMetrics.compute(nodes, { seed: this.config.communitySeed });
+        nodes.forEach((node, i) => {
+            Object.keys(metrics.nodes).forEach(key => {
+                node[key] = metrics.nodes[key][i];
+            });
+        });
+        this.plugins.computeMetrics(nodes);
+        return metrics.global;
     }
     
     setupSVG() {
@@ -141,16 +549,55 @@
         // 设置缩放 - 优化性能
         this.zoom = d3.zoom()
             .scaleExtent([0.1, 5]) // 限制缩放范围
+            // 按住 Shift 拖动用于框选，不触发平移
+            // 编辑模式下双击用于添加节点
+            .filter(event => (!event.ctrlKey || event.type === "wheel") && !event.button
+                && !(event.shiftKey && event.type === "mousedown")
+                && !(this.editMode.active && event.type === "dblclick"))
             .on("zoom", (event) => {
+                this.transform = event.transform;
                 this.nodeGroup.attr("transform", event.transform);
                 this.linkGroup.attr("transform", event.transform);
+                this.metaGroup.attr("transform", event.transform);
+                this.predictionGroup.attr("transform", event.transform);
+                this.labelGroup.attr("transform", event.transform);
+                this.focusGroup.attr("transform", event.transform);
+                this.updateLevelOfDetail();
+                this.canvasRenderer.setTransform(event.transform);
+                this.scheduleViewStateUpdate();
             });
         
         this.svg.call(this.zoom);
         
         // 创建组
         this.linkGroup = this.svg.append("g").attr("class", "links");
+        // 细节层次合并出的元边和元节点
+        this.metaGroup = this.svg.append("g").attr("class", "meta-layer");
+        this.metaGroup.append("g").attr("class", "meta-links");
+        this.metaGroup.append("g").attr("class", "meta-nodes");
+        // 链接预测的虚线
+        this.predictionGroup = this.svg.append("g").attr("class", "prediction-layer");
         this.nodeGroup = this.svg.append("g").attr("class", "nodes");
+        this.labelGroup = this.svg.append("g").attr("class", "labels");
+        this.focusGroup = this.svg.append("g").attr("class", "focus-layer");
+        
+        // Canvas 画布与 SVG 叠放，同一时间只显示其中一个
+        this.canvasRenderer = new CanvasRenderer(this, ".main-container");
+        this.canvasRenderer.resize(this.config.width, this.config.height);
+        this.canvasRenderer.canvas.call(this.zoom);
+        
+        // Shift 拖动框选
+        d3.select("#selectionOverlay")
+            .attr("width", this.config.width)
+            .attr("height", this.config.height);
+        this.selectionTool = new SelectionTool("#selectionOverlay", (polygon, additive) => {
+            this.selectByPolygon(polygon, additive);
+        });
+        this.selectionTool.attach(this.svg).attach(this.canvasRenderer.canvas);
+        this.setupEditEvents(this.svg);
+        this.setupEditEvents(this.canvasRenderer.canvas);
+        this.setupKeyboardNavigation(this.svg);
+        this.setupKeyboardNavigation(this.canvasRenderer.canvas);
         
         // 工具提示
         this.tooltip = d3.select("#tooltip");
@@ -163,6 +610,8 @@
             if (event.key === "Enter") this.searchNode();
         });
         d3.select("#clearSearchBtn").on("click", () => this.clearSearch());
+        d3.select("#pathModeBtn").on("click", () => this.togglePathMode());
+        d3.select("#predictionBtn").on("click", () => this.openPredictionPanel());
         
         // 缩放控制
         d3.select("#zoomInBtn").on("click", () => this.zoomIn());
@@ -170,17 +619,55 @@
         d3.select("#resetZoomBtn").on("click", () => this.resetZoom());
         
         // 筛选控制
-        d3.select("#degreeRange").on("input", (event) => {
-            const value = event.target.value;
-            d3.select("#degreeValue").text(value);
-            this.filterByDegree(value);
+        d3.select("#degreeMin").on("input", (event) => {
+            const min = +event.target.value;
+            this.filterByDegree(min, Math.max(min, this.filters.max));
+        });
+        
+        d3.select("#degreeMax").on("input", (event) => {
+            const max = +event.target.value;
+            this.filterByDegree(Math.min(max, this.filters.min), max);
+        });
+        
+        d3.select("#rangeMeasure").on("change", (event) => {
+            this.setRangeMeasure(event.target.value);
+        });
+        
+        d3.select("#communityFilter").on("change", (event) => {
+            const selected = Array.from(event.target.selectedOptions).map(option => option.value);
+            this.filterByCommunity(selected.includes("all") ? [] : selected.map(Number));
+        });
+        
+        d3.select("#restoreHiddenBtn").on("click", () => this.restoreHidden());
+        d3.select("#selectionMode").on("change", (event) => {
+            this.selectionTool.mode = event.target.value;
         });
         
         d3.select("#displayMode").on("change", (event) => {
             this.setDisplayMode(event.target.value);
         });
         
+        // 视觉编码
+        d3.select("#radiusAttribute").on("change", (event) => this.setEncoding("radius", event.target.value));
+        d3.select("#colorAttribute").on("change", (event) => this.setEncoding("color", event.target.value));
+        d3.select("#colorScheme").on("change", (event) => this.setEncoding("colorScheme", event.target.value));
+        d3.select("#labelAttribute").on("change", (event) => this.setEncoding("label", event.target.value));
+        
         // 布局控制
+        d3.select("#layoutType").on("change", (event) => this.setLayout(event.target.value));
+        this.populateLayoutOptions();
+        d3.select("#edgeBundling")
+            .on("change", (event) => this.setEdgeBundling(event.target.value))
+            .selectAll("option")
+            .data(EdgeBundler.modes)
+            .join("option")
+            .attr("value", d => d.key)
+            .text(d => d.label);
+        d3.select("#edgeBundling").property("value", this.bundling.mode);
+        d3.select("#bundlingCancelBtn").on("click", () => this.cancelForceBundling());
+        d3.select("#levelOfDetail")
+            .property("checked", this.lod.enabled)
+            .on("change", (event) => this.setLevelOfDetail(event.target.checked));
         d3.select("#restartSimulationBtn").on("click", () => this.restartSimulation());
         d3.select("#pauseSimulationBtn").on("click", () => this.togglePause());
         
@@ -197,31 +684,438 @@
         });
         
         // 导出功能
-        d3.select("#exportPNGBtn").on("click", () => this.exportPNG());
+        d3.select("#exportPNGBtn").on("click", () => {
+            this.exportPNG().catch(error => {
+                console.error("PNG 导出失败:", error);
+                alert(`PNG 导出失败: ${error.message}`);
+            });
+        });
         d3.select("#exportSVGBtn").on("click", () => this.exportSVG());
+        this.populateExportFormats();
+        d3.select("#exportDataBtn").on("click", () => this.exportData());
         d3.select("#exportJSONBtn").on("click", () => this.exportLayout());
         d3.select("#importLayoutBtn").on("click", () => d3.select("#layoutFileInput").node().click());
         d3.select("#layoutFileInput").on("change", (event) => this.importLayout(event));
+        d3.select("#applyLayoutImportBtn").on("click", () => this.confirmLayoutImport());
+        d3.select("#cancelLayoutImportBtn").on("click", () => this.closeLayoutImport());
+        d3.select("#copyLinkBtn").on("click", () => this.copyViewLink());
+        
+        // 打开图文件
+        d3.select("#openGraphBtn").on("click", () => d3.select("#graphFileInput").node().click());
+        d3.select("#graphFileInput").on("change", (event) => {
+            this.openGraphFiles(event.target.files);
+            event.target.value = "";
+        });
+        this.setupFileDrop();
+        
+        // 大图抽样
+        d3.select("#samplingMethod")
+            .selectAll("option")
+            .data(GraphSampler.methods)
+            .join("option")
+            .attr("value", d => d.key)
+            .text(d => d.label);
+        d3.select("#samplingMethod").on("change", (event) => {
+            d3.select("#sampleSeedNode").style("display", event.target.value === "snowball" ? null : "none");
+        });
+        d3.select("#resampleBtn").on("click", () => this.resample());
+        this.syncSamplingControls();
         
         // 详情面板
-        d3.select("#closeDetailBtn").on("click", () => this.closeDetailPanel());
+        d3.select("#closeDetailBtn").on("click", () => {
+            this.togglePathMode(false);
+            this.closeDetailPanel();
+        });
+        
+        // 渲染器切换
+        d3.select("#rendererMode").on("change", (event) => this.setRendererMode(event.target.value));
+        
+        // 图编辑
+        d3.select("#editModeBtn").on("click", () => this.toggleEditMode());
+        d3.select("#deleteSelectedBtn").on("click", () => this.deleteSelected());
+        d3.select("#exportGraphBtn").on("click", () => this.exportGraph());
+        d3.select(document).on("keydown.edit", (event) => {
+            if (!this.editMode.active || !["Delete", "Backspace"].includes(event.key)) return;
+            if (["INPUT", "SELECT", "TEXTAREA"].includes(event.target.tagName)) return;
+            event.preventDefault();
+            this.deleteSelected();
+        });
+        
+        // 键盘快捷键：+/- 缩放，0 重置视图，P 或空格暂停布局
+        d3.select(document).on("keydown.shortcuts", (event) => this.handleShortcut(event));
+        
+        // 表格视图
+        d3.select("#tableViewBtn").on("click", () => this.toggleTableView());
+        d3.select("#closeTableViewBtn").on("click", () => this.toggleTableView(false));
+        d3.selectAll(".table-tab").on("click", (event) => this.showTableTab(event.currentTarget.dataset.tab));
+        d3.select("#tableSearch").on("input", (event) => this.setTableQuery(event.target.value));
+        d3.select("#tableSelectBtn").on("click", () => this.setSelection(this.dataTable.rows));
+        this.dataTable = new VirtualTable("#dataTableContainer", {
+            rowHeight: this.config.tableRowHeight,
+            onRowClick: (row, event) => this.handleTableRowClick(row, event),
+            onNodeClick: (node) => this.revealNode(node)
+        });
+        
+        // 时序播放
+        d3.select("#timelinePlayBtn").on("click", () => this.togglePlayback());
+        d3.select("#timelineSlider").on("input", (event) => {
+            this.stopPlayback();
+            this.setTime(this.timelineTimeAt(+event.target.value), this.config.simulationAlpha);
+        });
+        d3.select("#timelineWindow").on("change", (event) => this.setTimelineWindow(+event.target.value));
+        d3.select("#exportFramesBtn").on("click", () => this.exportFrames());
+        
+        // 鲁棒性模拟
+        d3.select("#resilienceStrategy")
+            .selectAll("option")
+            .data(ResilienceSimulator.strategies)
+            .enter()
+            .append("option")
+            .attr("value", d => d.key)
+            .text(d => d.label);
+        d3.select("#resilienceRunBtn").on("click", () => this.runResilience());
+        d3.select("#resiliencePlayBtn").on("click", () => this.toggleResiliencePlayback());
+        d3.select("#resilienceSlider").on("input", (event) => {
+            this.stopResiliencePlayback();
+            this.setResilienceStep(+event.target.value);
+        });
+        d3.select("#resilienceExportBtn").on("click", () => this.exportResilience());
+        d3.select("#resilienceResetBtn").on("click", () => this.resetResilience());
+        
+        // 社群概览面板
+        d3.select("#toggleCommunityPanelBtn").on("click", () => {
+            const panel = d3.select("#communityPanel");
+            const collapsed = !panel.classed("collapsed");
+            panel.classed("collapsed", collapsed);
+            d3.select("#toggleCommunityPanelBtn").text(collapsed ? "+" : "−");
+        });
         
         // 窗口大小调整
         window.addEventListener("resize", () => this.handleResize());
+        
+        // 手动修改或粘贴 hash 时恢复对应的视图（replaceState 不会触发此事件）
+        window.addEventListener("hashchange", () => this.restoreFromHash());
+    }
+    
+    // 内置布局和插件注册的布局
+    layoutTypes() {
+        return [...GraphLayouts.types, ...this.plugins.layouts.map(d => ({ key: d.key, label: d.label || d.key }))];
+    }
+    
+    populateLayoutOptions() {
+        d3.select("#layoutType")
+            .selectAll("option")
+            .data(this.layoutTypes())
+            .join("option")
+            .attr("value", d => d.key)
+            .text(d => d.label);
+        d3.select("#layoutType").property("value", this.layout.type);
+    }
+    
+    populateExportFormats() {
+        const select = d3.select("#exportFormat");
+        const value = select.property("value");
+        select.selectAll("option")
+            .data([...GraphExporter.formats, ...this.plugins.exporters.map(d => ({ key: d.key, label: d.label || d.key }))])
+            .join("option")
+            .attr("value", d => d.key)
+            .text(d => d.label);
+        if (value) select.property("value", value);
+    }
+    
+    // 插件
+    // 事件传给插件的钩子，最后一个参数为当前的 NetworkVisualization；除 tick 外同时重新绘制插件面板
+    notifyPlugins(event, ...args) {
+        this.plugins.emit(event, ...args, this);
+        if (event !== "tick") this.renderPluginPanels(event);
+    }
+    
+    // 注册插件之后更新布局和导出选项、插件面板；已有数据时补算插件指标
+    refreshPlugins() {
+        this.populateLayoutOptions();
+        this.populateExportFormats();
+        if (this.data) {
+            this.plugins.computeMetrics(this.data.nodes);
+            this.encoding.discover(this.data.nodes, this.plugins.metricAttributes());
+            this.populateEncodingControls();
+            this.applyEncoding(false);
+        }
+        this.renderPluginPanels("registered");
+    }
+    
+    // 插件面板追加在控制面板末尾，每次重新绘制前清空内容
+    renderPluginPanels(event = "dataLoaded") {
+        const sections = d3.select("#pluginPanels")
+            .selectAll(".plugin-panel")
+            .data(this.plugins.panels, d => d.id)
+            .join(enter => {
+                const section = enter.append("div").attr("class", "panel-section plugin-panel");
+                section.append("h3");
+                section.append("div").attr("class", "plugin-panel-content");
+                return section;
+            });
+        sections.select("h3").text(d => d.title || d.id);
+        if (!this.data) return;
+        
+        sections.select(".plugin-panel-content").each((panel, i, elements) => {
+            const container = d3.select(elements[i]);
+            container.selectAll("*").remove();
+            PluginRegistry.guard(panel.owner, `面板 ${panel.id}`, () => panel.render(container, this, event));
+        });
+    }
+    
+    // 拖放文件到页面任意位置即可打开
+    setupFileDrop() {
+        const body = d3.select("body");
+        let dragDepth = 0;
+        const hasFiles = event => Array.from(event.dataTransfer.types || []).includes("Files");
+        
+        body.on("dragenter", (event) => {
+            if (!hasFiles(event)) return;
+            event.preventDefault();
+            dragDepth++;
+            body.classed("file-dragging", true);
+        });
+        body.on("dragover", (event) => {
+            if (hasFiles(event)) event.preventDefault();
+        });
+        body.on("dragleave", () => {
+            dragDepth = Math.max(0, dragDepth - 1);
+            if (dragDepth === 0) body.classed("file-dragging", false);
+        });
+        body.on("drop", (event) => {
+            if (!hasFiles(event)) return;
+            event.preventDefault();
+            dragDepth = 0;
+            body.classed("file-dragging", false);
+            this.openGraphFiles(event.dataTransfer.files);
+        });
     }
     
     createVisualization() {
-        this.createLinks();
-        this.createNodes();
+        this.renderElements();
         this.startSimulation();
     }
     
+    // 按当前渲染器创建图元
+    renderElements() {
+        this.lod.key = null;
+        if (this.rendererType === "canvas") {
+            this.canvasRenderer.setData(this.filteredData.nodes, this.filteredData.links);
+        } else {
+            this.createLinks();
+            this.createNodes();
+        }
+    }
+    
+    resolveRendererType() {
+        if (this.rendererMode !== "auto") return this.rendererMode;
+        const large = this.data.nodes.length > this.config.svgMaxNodes
+            || this.data.links.length > this.config.svgMaxLinks;
+        return large ? "canvas" : "svg";
+    }
+    
+    showRenderer() {
+        this.svg.style("display", this.rendererType === "svg" ? null : "none");
+        this.canvasRenderer.show(this.rendererType === "canvas");
+        d3.select("#rendererStatus").text(this.rendererType === "canvas" ? "Canvas" : "SVG");
+    }
+    
+    // 切换渲染器，保留当前缩放
+    setRendererMode(mode) {
+        this.rendererMode = mode;
+        const type = this.resolveRendererType();
+        if (type === this.rendererType) return;
+        
+        const transform = this.transform;
+        this.rendererType = type;
+        this.linkGroup.selectAll(".link").remove();
+        this.nodeGroup.selectAll(".node").remove();
+        this.labelGroup.selectAll(".node-label").remove();
+        this.hideTooltip();
+        this.showRenderer();
+        this.renderElements();
+        this.renderFocusRing();
+        this.updatePositions();
+        this.zoomTarget().call(this.zoom.transform, transform);
+    }
+    
+    // 当前接收缩放手势的元素
+    zoomTarget() {
+        return this.rendererType === "canvas" ? this.canvasRenderer.canvas : this.svg;
+    }
+    
+    nodeColor(d) {
+        return this.encoding.colorOf(d);
+    }
+    
+    // 按当前数据的属性重建编码选项，原始数据字段单独分组
+    populateEncodingControls() {
+        const attributes = Array.from(this.encoding.attributes.values());
+        const fill = (id, fixed, filter) => {
+            const select = d3.select(id);
+            select.selectAll("*").remove();
+            fixed.forEach(([value, text]) => select.append("option").attr("value", value).text(text));
+            [["计算属性", false], ["原始属性", true]].forEach(([label, original]) => {
+                const options = attributes.filter(d => !!d.original === original && filter(d));
+                if (options.length === 0) return;
+                select.append("optgroup")
+                    .attr("label", label)
+                    .selectAll("option")
+                    .data(options)
+                    .join("option")
+                    .attr("value", d => d.key)
+                    .text(d => d.label);
+            });
+        };
+        
+        fill("#radiusAttribute", [["uniform", "固定大小"]], d => d.type === "numeric");
+        fill("#colorAttribute", [], () => true);
+        fill("#labelAttribute", [["none", "无"], ["id", "节点 ID"]], () => true);
+        d3.select("#colorScheme")
+            .selectAll("option")
+            .data(VisualEncoding.colorSchemes)
+            .join("option")
+            .attr("value", d => d.key)
+            .text(d => d.label);
+        this.syncEncodingControls();
+    }
+    
+    syncEncodingControls() {
+        d3.select("#radiusAttribute").property("value", this.encoding.radius);
+        d3.select("#colorAttribute").property("value", this.encoding.color);
+        d3.select("#colorScheme")
+            .property("value", this.encoding.colorScheme)
+            .property("disabled", !this.encoding.isNumeric(this.encoding.color));
+        d3.select("#labelAttribute").property("value", this.encoding.label);
+    }
+    
+    // channel 为 radius、color、colorScheme 或 label
+    setEncoding(channel, value) {
+        if (channel === "color") {
+            this.encoding.setColor(value);
+        } else {
+            this.encoding[channel] = value;
+        }
+        this.syncEncodingControls();
+        if (!this.data) return;
+        this.applyEncoding(channel === "radius");
+        this.scheduleViewStateUpdate();
+    }
+    
+    applyEncoding(radiusChanged = true) {
+        this.encoding.update(this.data.nodes);
+        this.nodeGroup.selectAll(".node")
+            .attr("r", d => d.radius)
+            .attr("fill", d => this.nodeColor(d));
+        this.renderLabels();
+        this.refreshCanvas();
+        this.renderLegend();
+        
+        // 半径变化后更新碰撞力
+        if (radiusChanged) {
+            this.simulation
+                .setData(this.filteredData.nodes, this.filteredData.links)
+                .restart(this.config.simulationAlpha);
+        }
+    }
+    
+    // SVG 渲染时的节点标签，Canvas 渲染器自行绘制
+    renderLabels() {
+        const nodes = this.rendererType === "svg" && this.encoding.label !== "none" ? this.filteredData.nodes : [];
+        this.labelGroup.selectAll(".node-label")
+            .data(nodes)
+            .join("text")
+            .attr("class", d => this.nodeClassName(d).replace(/^node\b/, "node-label"))
+            .attr("font-size", 8)
+            .attr("fill", "#333")
+            .attr("dx", d => d.radius + 2)
+            .attr("dy", 3)
+            .attr("x", d => d.x)
+            .attr("y", d => d.y)
+            .attr("display", d => this.isCollapsed(d) ? "none" : null)
+            .text(d => this.encoding.labelOf(d));
+    }
+    
+    renderLegend() {
+        const { node, width, height } = this.encoding.legend();
+        const padding = 10;
+        const legend = d3.select("#legendSvg")
+            .attr("width", width + padding * 2)
+            .attr("height", height + padding * 2);
+        legend.selectAll("*").remove();
+        legend.append(() => node).attr("transform", `translate(${padding},${padding})`);
+    }
+    
+    // 在导出的 SVG 右下角附上图例，并以 metadata 记录编码设置
+    appendLegend(svgNode, width, height) {
+        const legend = this.encoding.legend();
+        const padding = 10;
+        const svg = d3.select(svgNode);
+        svg.append("metadata")
+            .attr("id", "visual-encoding")
+            .text(JSON.stringify(this.encoding.toJSON()));
+        const group = svg.append("g")
+            .attr("transform", `translate(${width - legend.width - padding * 3},${height - legend.height - padding * 3})`);
+        group.append("rect")
+            .attr("width", legend.width + padding * 2)
+            .attr("height", legend.height + padding * 2)
+            .attr("rx", 8)
+            .attr("fill", "#fff")
+            .attr("fill-opacity", 0.85);
+        group.append(() => legend.node).attr("transform", `translate(${padding},${padding})`);
+        return svgNode;
+    }
+    
+    // 设置样式类：predicate 为 false 的节点移除该类
+    setNodeClass(name, predicate) {
+        const nodes = this.data ? this.data.nodes.filter(predicate) : [];
+        const members = new Set(nodes);
+        this.nodeClasses.set(name, members);
+        this.nodeGroup.selectAll(".node").classed(name, d => members.has(d));
+        this.labelGroup.selectAll(".node-label").classed(name, d => members.has(d));
+        this.refreshCanvas();
+    }
+    
+    setLinkClass(name, predicate) {
+        const links = this.data ? this.data.links.filter(predicate) : [];
+        const members = new Set(links);
+        this.linkClasses.set(name, members);
+        this.linkGroup.selectAll(".link").classed(name, d => members.has(d));
+        this.refreshCanvas();
+    }
+    
+    hasNodeClass(d, name) {
+        const members = this.nodeClasses.get(name);
+        return !!members && members.has(d);
+    }
+    
+    hasLinkClass(d, name) {
+        const members = this.linkClasses.get(name);
+        return !!members && members.has(d);
+    }
+    
+    nodeClassName(d, classes = this.nodeClasses) {
+        return ["node", ...Array.from(classes.keys()).filter(name => classes.get(name).has(d))].join(" ");
+    }
+    
+    linkClassName(d, classes = this.linkClasses) {
+        return ["link", ...Array.from(classes.keys()).filter(name => classes.get(name).has(d))].join(" ");
+    }
+    
+    refreshCanvas() {
+        if (this.rendererType !== "canvas") return;
+        // 隐藏状态影响命中检测
+        this.canvasRenderer.positionsChanged();
+    }
+    
     createLinks() {
         this.linkGroup.selectAll(".link")
             .data(this.filteredData.links)
             .enter()
-            .append("line")
-            .attr("class", "link")
+            .append("path")
+            .attr("class", d => this.linkClassName(d))
+            .attr("fill", "none")
             .attr("stroke", "#999")
             .attr("stroke-opacity", 0.6)
             .attr("stroke-width", 1);
@@ -232,29 +1126,150 @@
             .data(this.filteredData.nodes)
             .enter()
             .append("circle")
-            .attr("class", "node")
+            .attr("class", d => this.nodeClassName(d))
             .attr("r", d => d.radius) // 使用预计算的半径
-            .attr("fill", d => d3.schemeCategory10[d.group % 10])
+            .attr("fill", d => this.nodeColor(d))
             .attr("stroke", "#fff")
             .attr("stroke-width", 1.5)
             .call(this.drag())
             .on("mouseover", (event, d) => this.showTooltip(event, d))
             .on("mouseout", () => this.hideTooltip())
-            .on("click", (event, d) => this.showNodeDetail(d));
+            .on("click", (event, d) => this.handleNodeClick(d));
+        
+        this.renderLabels();
     }
     
     startSimulation() {
-        this.simulation = d3.forceSimulation(this.filteredData.nodes)
-            .force("link", d3.forceLink(this.filteredData.links)
-                .id(d => d.id)
-                .distance(this.config.linkDistance))
-            .force("charge", d3.forceManyBody()
-                .strength(this.config.chargeStrength))
-            .force("center", d3.forceCenter(this.config.width / 2, this.config.height / 2))
-            .force("collision", d3.forceCollide().radius(d => d.radius + 2))
-            .alpha(this.config.simulationAlpha)
-            .alphaDecay(this.config.simulationDecay)
-            .on("tick", () => this.throttledUpdate());
+        // 切换数据时复用同一个 Worker
+        if (!this.simulation) {
+            this.simulation = new SimulationController({
+                chargeStrength: parseInt(d3.select("#chargeStrength").property("value")),
+                linkDistance: parseInt(d3.select("#linkDistance").property("value")),
+                centerX: this.config.width / 2,
+                centerY: this.config.height / 2,
+                alphaDecay: this.config.simulationDecay,
+                useWorker: this.config.useWorker,
+                workerUrl: this.config.simulationWorkerUrl,
+                onTick: () => this.throttledUpdate()
+            });
+        }
+        
+        if (this.layout.type === "force") {
+            this.simulation
+                .setData(this.filteredData.nodes, this.filteredData.links)
+                .restart(this.config.simulationAlpha);
+        } else {
+            this.runLayout();
+        }
+    }
+    
+    setLayout(type) {
+        this.layout.type = type;
+        d3.select("#layoutType").property("value", type);
+        if (this.data) this.runLayout();
+        this.scheduleViewStateUpdate();
+    }
+    
+    // 插件布局与内置的静态布局一样计算坐标后固定节点
+    isStaticLayout() {
+        return GraphLayouts.isStatic(this.layout.type) || !!this.plugins.layout(this.layout.type);
+    }
+    
+    // 径向/层次布局的根：当前高亮的节点，否则取度数最大的节点
+    layoutRoot() {
+        const nodes = this.filteredData.nodes;
+        const highlighted = this.currentHighlighted && nodes.includes(this.currentHighlighted)
+            ? this.currentHighlighted
+            : null;
+        const root = highlighted
+            || nodes.find(d => d.id === this.layout.root)
+            || nodes.reduce((best, d) => (!best || d.degree > best.degree ? d : best), null);
+        this.layout.root = root ? root.id : null;
+        return root;
+    }
+    
+    layoutBounds() {
+        return {
+            cx: this.config.width / 2,
+            cy: this.config.height / 2,
+            width: this.config.width,
+            height: this.config.height,
+            spacing: this.config.maxNodeRadius,
+            levelGap: parseInt(d3.select("#linkDistance").property("value"))
+        };
+    }
+    
+    // 按当前布局重新排列筛选后的节点
+    runLayout() {
+        const nodes = this.filteredData.nodes;
+        const links = this.filteredData.links;
+        const type = this.layout.type;
+        const bounds = this.layoutBounds();
+        this.stopLayoutAnimation();
+        
+        // 力导向类布局：取消固定，由仿真过渡到新位置
+        if (!this.isStaticLayout()) {
+            nodes.forEach(d => {
+                d.fx = null;
+                d.fy = null;
+            });
+            this.simulation
+                .setData(nodes, links)
+                .setClusterTargets(type === "cluster" ? GraphLayouts.communityCenters(nodes, bounds) : null)
+                .restart(1);
+            return;
+        }
+        
+        this.simulation
+            .setData(nodes, links)
+            .setClusterTargets(null);
+        
+        let targets;
+        const plugin = this.plugins.layout(type);
+        if (plugin) {
+            targets = PluginRegistry.guard(plugin.owner, `布局 ${type}`, () => plugin.compute(nodes, bounds, this.layoutRoot()))
+                || new Map();
+        } else if (type === "radial" || type === "tree") {
+            const root = this.layoutRoot();
+            targets = root ? GraphLayouts[type](nodes, root, bounds) : new Map();
+        } else {
+            targets = GraphLayouts[type](nodes, bounds);
+        }
+        this.animateTo(targets);
+    }
+    
+    // 从当前位置过渡到目标位置，结束后把节点固定在目标处
+    animateTo(targets, duration = 750) {
+        this.simulation.stop();
+        if (targets.size === 0) return;
+        
+        const start = new Map(Array.from(targets.keys(), d => [d, { x: d.x, y: d.y }]));
+        this.zoomToNodes(Array.from(targets.values()));
+        
+        this.layoutTimer = d3.timer(elapsed => {
+            const t = d3.easeCubicInOut(Math.min(1, elapsed / duration));
+            targets.forEach((target, d) => {
+                const from = start.get(d);
+                d.x = from.x + (target.x - from.x) * t;
+                d.y = from.y + (target.y - from.y) * t;
+            });
+            this.updatePositions();
+            
+            if (elapsed >= duration) {
+                this.stopLayoutAnimation();
+                targets.forEach((target, d) => {
+                    d.fx = target.x;
+                    d.fy = target.y;
+                });
+                this.simulation.syncPositions();
+            }
+        });
+    }
+    
+    stopLayoutAnimation() {
+        if (!this.layoutTimer) return;
+        this.layoutTimer.stop();
+        this.layoutTimer = null;
     }
     
     // 节流更新以提高性能
@@ -267,90 +1282,776 @@
     }
     
     updatePositions() {
+        this.updateGeometry();
+        this.notifyPlugins("tick");
+        if (this.rendererType === "canvas") {
+            this.canvasRenderer.positionsChanged();
+            return;
+        }
+        
         // 使用更高效的批量更新
         const links = this.linkGroup.selectAll(".link");
         const nodes = this.nodeGroup.selectAll(".node");
         
-        links
-            .attr("x1", d => d.source.x)
-            .attr("y1", d => d.source.y)
-            .attr("x2", d => d.target.x)
-            .attr("y2", d => d.target.y);
+        links.attr("d", d => this.linkPath(d));
         
         nodes
             .attr("cx", d => d.x)
             .attr("cy", d => d.y);
-    }
+        
+        this.labelGroup.selectAll(".node-label")
+            .attr("x", d => d.x)
+            .attr("y", d => d.y);
+        
+        this.focusGroup.select(".focus-ring")
+            .attr("cx", d => d.x)
+            .attr("cy", d => d.y);
+    }
+    
+    // 节点移动后更新社群捆绑使用的质心和细节层次
+    updateGeometry() {
+        if (!this.filteredData) return;
+        this.bundling.centers = this.bundling.mode === "community"
+            ? EdgeBundler.communityCenters(this.filteredData.nodes)
+            : null;
+        this.updateLevelOfDetail();
+    }
+    
+    // 边捆绑
+    setEdgeBundling(mode) {
+        const links = this.filteredData ? this.filteredData.links.length : 0;
+        if (mode === "force" && links > this.config.bundlingMaxLinks) {
+            alert(`力导向捆绑最多支持 ${this.config.bundlingMaxLinks} 条边（当前 ${links} 条），已改用社群捆绑`);
+            mode = "community";
+        }
+        this.cancelForceBundling();
+        if (mode === "force" && this.filteredData) {
+            this.computeForceBundling(this.filteredData.links);
+            return;
+        }
+        this.applyEdgeBundling(mode);
+    }
+    
+    // 力导向捆绑按当前位置计算一次，之后节点移动时捆绑形状随两端变换；筛选后新出现的边保持直线，重新选择时再计算
+    applyEdgeBundling(mode, offsets = null) {
+        this.bundling.mode = mode;
+        this.bundling.line = d3.line().curve(mode === "community" ? EdgeBundler.communityCurve() : d3.curveLinear);
+        this.bundling.offsets = offsets;
+        d3.select("#edgeBundling").property("value", mode);
+        this.updatePositions();
+    }
+    
+    // 在 Worker 中计算，期间显示进度，可以取消；Worker 不可用时在主线程计算，边数上限较低
+    computeForceBundling(links) {
+        const segments = EdgeBundler.segments(links);
+        const finish = offsets => this.applyEdgeBundling("force", EdgeBundler.offsetMap(links, offsets));
+        let worker = null;
+        if (typeof Worker !== "undefined") {
+            try {
+                worker = new Worker(this.config.bundlingWorkerUrl);
+            } catch (error) {
+                console.warn("无法启动边捆绑 Worker，改为主线程计算:", error);
+            }
+        }
+        if (!worker) {
+            this.computeForceBundlingLocally(segments, finish);
+            return;
+        }
+        
+        const job = { worker: worker };
+        this.bundling.job = job;
+        worker.onmessage = (event) => {
+            // 取消后到达的消息不再处理
+            if (this.bundling.job !== job) return;
+            const message = event.data;
+            if (message.type === "progress") {
+                this.updateBundlingProgress(message.done / message.total);
+                return;
+            }
+            this.cancelForceBundling();
+            finish(message.offsets);
+        };
+        // 例如通过 file:// 打开页面、无法加载 Worker 脚本时
+        worker.onerror = (event) => {
+            if (this.bundling.job !== job) return;
+            console.warn("边捆绑 Worker 出错，改为主线程计算:", event.message);
+            event.preventDefault();
+            this.cancelForceBundling();
+            this.computeForceBundlingLocally(segments, finish);
+        };
+        worker.postMessage({ segments: segments });
+        d3.select("#edgeBundling").property("value", "force");
+        this.updateBundlingProgress(0);
+    }
+    
+    computeForceBundlingLocally(segments, finish) {
+        const limit = this.config.bundlingLocalMaxLinks;
+        if (segments.length > limit) {
+            alert(`无法在后台计算，主线程中力导向捆绑最多支持 ${limit} 条边（当前 ${segments.length} 条），已改用社群捆绑`);
+            this.applyEdgeBundling("community");
+            return;
+        }
+        this.showLoading(true);
+        // 让加载提示先显示出来
+        setTimeout(() => {
+            finish(EdgeBundler.bundleSegments(segments));
+            this.showLoading(false);
+        }, 0);
+    }
+    
+    // 终止后台计算，下拉框恢复为当前生效的捆绑方式
+    cancelForceBundling() {
+        const job = this.bundling.job;
+        if (!job) return;
+        job.worker.terminate();
+        this.bundling.job = null;
+        this.updateBundlingProgress(null);
+        d3.select("#edgeBundling").property("value", this.bundling.mode);
+    }
+    
+    // fraction 为 null 时隐藏进度
+    updateBundlingProgress(fraction) {
+        d3.select("#bundlingProgress").property("hidden", fraction === null);
+        if (fraction !== null) d3.select("#bundlingProgressText").text(`力导向捆绑计算中 ${Math.round(fraction * 100)}%`);
+    }
+    
+    // 边经过的点：捆绑时包含控制点，否则为两个端点
+    linkPoints(link) {
+        const { mode, offsets, centers } = this.bundling;
+        if (mode === "community" && centers) return EdgeBundler.communityPoints(link, centers);
+        if (mode === "force" && offsets && offsets.has(link)) return EdgeBundler.forcePoints(link, offsets.get(link));
+        return [[link.source.x, link.source.y], [link.target.x, link.target.y]];
+    }
+    
+    linkPath(link) {
+        return this.bundling.line(this.linkPoints(link));
+    }
+    
+    // 细节层次
+    setLevelOfDetail(enabled) {
+        this.lod.enabled = enabled;
+        this.lod.expanded = new Map();
+        d3.select("#levelOfDetail").property("checked", enabled);
+        this.updateLevelOfDetail();
+        this.refreshCanvas();
+    }
+    
+    // 按当前缩放重新合并社群；高亮或键盘聚焦的节点所在的社群始终展开
+    updateLevelOfDetail() {
+        if (!this.lod.enabled || !this.filteredData) {
+            this.lod.view = null;
+        } else {
+            const k = this.transform.k;
+            // 缩小到展开时的比例以下，点击展开的社群重新合并
+            this.lod.expanded.forEach((scale, group) => {
+                if (k < scale) this.lod.expanded.delete(group);
+            });
+            const expanded = new Set(this.lod.expanded.keys());
+            [this.currentHighlighted, this.keyboardNav.node].forEach(d => {
+                if (d) expanded.add(d.group);
+            });
+            this.lod.view = LevelOfDetail.compute(this.filteredData.nodes, this.filteredData.links, {
+                scale: k,
+                minPixels: this.config.lodMinPixels,
+                expanded: expanded,
+                // 元节点的屏幕大小不随缩放变化
+                radius: size => (this.config.maxNodeRadius + Math.sqrt(size)) / k
+            });
+        }
+        if (this.rendererType === "svg") this.renderLevelOfDetail();
+    }
+    
+    // 合并进元节点的节点不显示，也不响应鼠标和键盘
+    isCollapsed(d) {
+        return !!this.lod.view && this.lod.view.hiddenNodes.has(d);
+    }
+    
+    renderLevelOfDetail() {
+        const view = this.lod.view;
+        const metaNodes = view ? view.metaNodes : [];
+        const metaLinks = view ? view.metaLinks : [];
+        const k = this.transform.k;
+        
+        const key = metaNodes.map(d => d.id).join(",");
+        if (key !== this.lod.key) {
+            this.lod.key = key;
+            const shown = view ? new Set(view.links) : null;
+            this.nodeGroup.selectAll(".node").attr("display", d => this.isCollapsed(d) ? "none" : null);
+            this.labelGroup.selectAll(".node-label").attr("display", d => this.isCollapsed(d) ? "none" : null);
+            this.linkGroup.selectAll(".link").attr("display", d => !shown || shown.has(d) ? null : "none");
+        }
+        
+        this.metaGroup.select(".meta-links")
+            .selectAll(".meta-link")
+            .data(metaLinks)
+            .join("line")
+            .attr("class", "meta-link")
+            .attr("x1", d => d.source.x)
+            .attr("y1", d => d.source.y)
+            .attr("x2", d => d.target.x)
+            .attr("y2", d => d.target.y)
+            .attr("stroke-width", d => LevelOfDetail.linkWidth(d.weight) / k);
+        
+        this.metaGroup.select(".meta-nodes")
+            .selectAll(".meta-node")
+            .data(metaNodes, d => d.id)
+            .join(enter => enter.append("circle")
+                .attr("class", "meta-node")
+                .on("mouseover", (event, d) => this.showCommunityTooltip(event, d))
+                .on("mouseout", () => this.hideTooltip())
+                .on("click", (event, d) => this.expandMetaNode(d)))
+            .attr("cx", d => d.x)
+            .attr("cy", d => d.y)
+            .attr("r", d => d.radius)
+            .attr("fill", d => VisualEncoding.communityColor(d.group))
+            .attr("stroke-width", 1.5 / k);
+        
+        this.renderPredictions();
+    }
+    
+    // 点击元节点：展开该社群并缩放到其成员
+    expandMetaNode(meta) {
+        this.hideTooltip();
+        this.lod.expanded.set(meta.group, this.transform.k);
+        this.updateLevelOfDetail();
+        this.refreshCanvas();
+        this.zoomToNodes(meta.members);
+    }
     
     drag() {
         const drag = d3.drag()
-            .on("start", (event, d) => {
-                if (!event.active) this.simulation.alphaTarget(0.3).restart();
-                d.fx = d.x;
-                d.fy = d.y;
-            })
-            .on("drag", (event, d) => {
-                d.fx = event.x;
-                d.fy = event.y;
-            })
-            .on("end", (event, d) => {
-                if (!event.active) this.simulation.alphaTarget(0);
-                d.fx = null;
-                d.fy = null;
-            });
+            // 按住 Shift 时交给框选工具
+            .filter(event => !event.ctrlKey && !event.shiftKey && !event.button)
+            .on("start", (event, d) => this.dragStarted(event, d))
+            .on("drag", (event, d) => this.dragged(d, event.x, event.y))
+            .on("end", (event, d) => this.dragEnded(event, d));
         return drag;
     }
     
+    // 拖拽处理，SVG 和 Canvas 渲染器共用
+    dragStarted(event, d) {
+        if (this.editMode.active) {
+            this.startConnect(d);
+            return;
+        }
+        if (!event.active) this.simulation.alphaTarget(0.3).restart();
+        d.fx = d.x;
+        d.fy = d.y;
+        this.simulation.pin(d);
+    }
+    
+    dragged(d, x, y) {
+        if (this.editMode.active) {
+            this.moveConnect(x, y);
+            return;
+        }
+        d.fx = x;
+        d.fy = y;
+        this.simulation.pin(d);
+    }
+    
+    dragEnded(event, d) {
+        if (this.editMode.connect) {
+            this.endConnect();
+            return;
+        }
+        if (!event.active) this.simulation.alphaTarget(0);
+        // 静态布局中节点停在放下的位置
+        if (!this.isStaticLayout()) {
+            d.fx = null;
+            d.fy = null;
+        }
+        this.simulation.pin(d);
+        this.scheduleViewStateUpdate();
+    }
+    
     // 搜索功能
     searchNode() {
         const searchId = d3.select("#searchInput").property("value");
         if (!searchId) return;
         
-        const node = this.filteredData.nodes.find(d => d.id.toString() === searchId);
-        if (node) {
-            this.highlightNode(node);
-            this.centerOnNode(node);
+        let node = this.filteredData.nodes.find(d => d.id.toString() === searchId);
+        if (!node) {
+            // 没有该 ID 时按模糊搜索或属性条件在表格中列出结果，文本搜索取最佳匹配
+            this.toggleTableView(true);
+            if (this.tableView.tab !== "nodes") this.showTableTab("nodes");
+            d3.select("#tableSearch").property("value", searchId);
+            const query = this.setTableQuery(searchId);
+            if (!query) return;
+            const rows = this.dataTable.rows;
+            if (rows.length === 0) {
+                alert(`未找到匹配的节点: ${searchId}`);
+                return;
+            }
+            if (query.isPredicate && rows.length > 1) return;
+            node = rows[0];
+        }
+        
+        if (this.pathMode.active) {
+            this.selectPathEndpoint(node);
         } else {
-            alert(`未找到节点 ID: ${searchId}`);
+            this.revealNode(node);
         }
     }
     
+    // 高亮节点并移到视图中心
+    revealNode(node) {
+        this.highlightNode(node);
+        this.centerOnNode(node);
+    }
+    
     clearSearch() {
         d3.select("#searchInput").property("value", "");
         this.clearHighlight();
+        if (this.pathMode.active) {
+            this.pathMode.source = null;
+            this.pathMode.target = null;
+            this.pathMode.result = null;
+            this.renderPathPanel();
+        }
     }
     
-    highlightNode(node) {
+    // 节点点击：路径模式下选择端点，否则显示详情
+    handleNodeClick(node) {
+        if (this.pathMode.active) {
+            this.selectPathEndpoint(node);
+        } else if (this.editMode.active) {
+            // 编辑模式下点击的节点会被 Delete 删除
+            this.highlightNode(node);
+        } else {
+            this.showNodeDetail(node);
+        }
+    }
+    
+    // 路径查找
+    togglePathMode(active = !this.pathMode.active) {
+        const mode = this.pathMode;
+        if (!active && !mode.active) return;
+        
+        mode.active = active;
+        mode.source = null;
+        mode.target = null;
+        mode.result = null;
+        d3.select("#pathModeBtn").classed("active", active);
+        this.clearHighlight();
+        
+        if (active) {
+            this.renderPathPanel();
+        } else {
+            this.closeDetailPanel();
+        }
+    }
+    
+    // 第一次点击设为起点，第二次设为终点并查找
+    selectPathEndpoint(node) {
+        const mode = this.pathMode;
+        if (!mode.source || mode.target) {
+            mode.source = node;
+            mode.target = null;
+            mode.result = null;
+            this.clearHighlight();
+            this.setNodeClass("highlighted", d => d === node);
+        } else {
+            mode.target = node;
+            this.findPaths();
+        }
+        this.renderPathPanel();
+    }
+    
+    findPaths() {
+        const { source, target, option, k } = this.pathMode;
+        if (!source || !target) return;
+        
+        const finder = new PathFinder(this.filteredData.nodes);
+        let result;
+        if (option === "k") {
+            const paths = finder.kShortestPaths(source, target, k);
+            result = {
+                distance: paths.length > 0 ? paths[0].length - 1 : Infinity,
+                count: paths.length,
+                paths: paths
+            };
+        } else {
+            result = finder.shortestPaths(source, target, option === "all" ? 50 : 1);
+        }
+        
+        this.pathMode.result = result;
+        this.highlightPaths(result.paths);
+    }
+    
+    // 与 highlightNode 相同的样式：端点为 highlighted，途经节点为 neighbor
+    highlightPaths(paths) {
+        const { source, target } = this.pathMode;
+        const pathNodes = new Set();
+        const pathEdges = new Set();
+        paths.forEach(path => path.forEach((node, i) => {
+            pathNodes.add(node);
+            if (i > 0) pathEdges.add(PathFinder.edgeKey(path[i - 1], node));
+        }));
+        
+        this.clearHighlight();
+        this.setNodeClass("highlighted", d => d === source || d === target);
+        this.setNodeClass("neighbor", d => pathNodes.has(d) && d !== source && d !== target);
+        this.setLinkClass("highlighted", d => pathEdges.has(PathFinder.edgeKey(d.source, d.target)));
+        
+        if (pathNodes.size > 0) {
+            this.zoomToNodes(Array.from(pathNodes));
+        }
+    }
+    
+    renderPathPanel() {
+        const mode = this.pathMode;
+        const detailContent = d3.select("#detailContent");
+        d3.select("#detailTitle").text("路径查找");
+        
+        detailContent.html(`
+            <div class="path-finder">
+                <div class="path-inputs">
+                    <input type="text" id="pathSource" placeholder="起点 ID">
+                    <span>→</span>
+                    <input type="text" id="pathTarget" placeholder="终点 ID">
+                </div>
+                <div class="path-options">
+                    <select id="pathOption">
+                        <option value="single">最短路径</option>
+                        <option value="all">所有最短路径</option>
+                        <option value="k">k 条最短路径</option>
+                    </select>
+                    <input type="number" id="pathK" min="1" max="20" title="k">
+                    <button id="findPathBtn">查找</button>
+                </div>
+                <p class="path-hint">在图中依次点击起点和终点，或输入节点 ID</p>
+                <div class="path-results"></div>
+            </div>
+        `);
+        
+        detailContent.select("#pathSource").property("value", mode.source ? mode.source.id : "");
+        detailContent.select("#pathTarget").property("value", mode.target ? mode.target.id : "");
+        detailContent.select("#pathOption")
+            .property("value", mode.option)
+            .on("change", (event) => {
+                mode.option = event.target.value;
+                detailContent.select("#pathK").style("display", mode.option === "k" ? null : "none");
+                if (mode.source && mode.target) {
+                    this.findPaths();
+                    this.renderPathPanel();
+                }
+            });
+        detailContent.select("#pathK")
+            .property("value", mode.k)
+            .style("display", mode.option === "k" ? null : "none")
+            .on("change", (event) => {
+                mode.k = Math.max(1, Math.min(20, parseInt(event.target.value) || 1));
+            });
+        detailContent.select("#findPathBtn").on("click", () => this.findPathsByInput());
+        
+        this.renderPathResults(detailContent.select(".path-results"));
+        d3.select("#detailPanel").classed("active", true);
+    }
+    
+    findPathsByInput() {
+        const lookup = id => this.filteredData.nodes.find(d => d.id.toString() === id.trim());
+        const sourceId = d3.select("#pathSource").property("value");
+        const targetId = d3.select("#pathTarget").property("value");
+        const source = lookup(sourceId);
+        const target = lookup(targetId);
+        
+        if (!source || !target) {
+            alert(`未找到节点 ID: ${source ? targetId : sourceId}`);
+            return;
+        }
+        
+        this.pathMode.source = source;
+        this.pathMode.target = target;
+        this.findPaths();
+        this.renderPathPanel();
+    }
+    
+    renderPathResults(container) {
+        const { source, target, result } = this.pathMode;
+        if (!result) {
+            if (source) container.append("p").text(`起点: ${source.id}，请选择终点`);
+            return;
+        }
+        
+        if (result.paths.length === 0) {
+            container.append("p").text(`节点 ${source.id} 与 ${target.id} 在当前视图中不连通`);
+            return;
+        }
+        
+        const summary = this.pathMode.option === "k"
+            ? `找到 ${result.paths.length} 条路径，最短距离 ${result.distance}`
+            : `最短距离 ${result.distance}，共 ${result.count} 条最短路径` +
+                (result.count > result.paths.length ? `（显示前 ${result.paths.length} 条）` : "");
+        container.append("div").attr("class", "detail-item").text(summary);
+        
+        const items = container.selectAll(".path-item")
+            .data(result.paths)
+            .enter()
+            .append("div")
+            .attr("class", "path-item");
+        
+        items.append("h5").text((d, i) => `路径 ${i + 1}（${d.length - 1} 跳）`);
+        items.append("div")
+            .attr("class", "path-hops")
+            .selectAll(".neighbor-tag")
+            .data(d => d)
+            .enter()
+            .append("span")
+            .attr("class", "neighbor-tag")
+            .text(d => d.id)
+            .on("click", (event, d) => this.centerOnNode(d));
+    }
+    
+    // 链接预测
+    // 在当前筛选后的子图上预测
+    linkPredictor() {
+        return new LinkPredictor(LinkPredictor.neighborMap(this.filteredData.nodes, this.filteredData.links));
+    }
+    
+    // 以虚线绘制预测的边
+    showPredictions(predictions) {
+        this.prediction.links = predictions;
+        this.renderPredictions();
+        this.refreshCanvas();
+    }
+    
+    // 端点合并进元节点的预测边不绘制
+    renderPredictions() {
+        const links = this.rendererType === "svg"
+            ? this.prediction.links.filter(d => !this.isCollapsed(d.source) && !this.isCollapsed(d.target))
+            : [];
+        this.predictionGroup.selectAll(".predicted-link")
+            .data(links)
+            .join(enter => enter.append("line")
+                .attr("class", "predicted-link")
+                .call(line => line.append("title")))
+            .attr("x1", d => d.source.x)
+            .attr("y1", d => d.source.y)
+            .attr("x2", d => d.target.x)
+            .attr("y2", d => d.target.y)
+            .select("title")
+            .text(d => `${d.source.id} — ${d.target.id}: ${this.formatPredictionScore(d.score)}`);
+    }
+    
+    formatPredictionScore(score) {
+        return Number.isInteger(score) ? String(score) : score.toFixed(3);
+    }
+    
+    // 选择得分的下拉框，改变时调用 onChange
+    renderPredictionMethod(container, onChange) {
+        const select = container.append("select")
+            .attr("class", "prediction-method")
+            .attr("title", "预测得分");
+        select.selectAll("option")
+            .data(LinkPredictor.scores)
+            .enter()
+            .append("option")
+            .attr("value", d => d.key)
+            .text(d => d.label);
+        select.property("value", this.prediction.method)
+            .on("change", (event) => {
+                this.prediction.method = event.target.value;
+                onChange();
+            });
+    }
+    
+    // 节点详情中的推荐连接：与该节点不相邻、得分最高的节点，同时以虚线绘制
+    renderNodePredictions(container, node) {
+        container.selectAll("*").remove();
+        const predictions = this.linkPredictor().forNode(node, this.prediction.method, this.config.predictionCount);
+        
+        const header = container.append("div").attr("class", "prediction-header");
+        header.append("h5").text("推荐连接:");
+        this.renderPredictionMethod(header, () => this.renderNodePredictions(container, node));
+        
+        if (predictions.length === 0) {
+            container.append("p").attr("class", "path-hint").text("没有可推荐的节点");
+        }
+        container.append("div")
+            .attr("class", "neighbor-nodes")
+            .selectAll(".neighbor-tag")
+            .data(predictions)
+            .enter()
+            .append("button")
+            .attr("class", "neighbor-tag prediction-tag")
+            .attr("title", "得分，点击定位到该节点")
+            .text(d => `${d.target.id} (${this.formatPredictionScore(d.score)})`)
+            .on("click", (event, d) => this.revealNode(d.target));
+        
+        if (this.currentHighlighted === node) this.showPredictions(predictions);
+    }
+    
+    openPredictionPanel() {
+        this.togglePathMode(false);
         this.clearHighlight();
+        this.renderPredictionPanel();
+    }
+    
+    // 预测面板：全图推荐连接和留出评估
+    renderPredictionPanel() {
+        const { global, evaluation } = this.prediction;
+        const detailContent = d3.select("#detailContent");
+        d3.select("#detailTitle").text("链接预测");
+        
+        detailContent.html(`
+            <div class="link-prediction">
+                <div class="path-options prediction-options"></div>
+                <p class="path-hint">选中节点时，节点详情中列出该节点的推荐连接</p>
+                <div class="prediction-results"></div>
+                <h5>留出评估</h5>
+                <div class="path-options">
+                    <button id="evaluatePredictionBtn">评估</button>
+                </div>
+                <p class="path-hint">随机隐藏 ${Math.round(this.config.predictionHoldout * 100)}% 的边，用其余的边预测，比较各得分的 AUC 和 precision@${this.config.predictionPrecisionK}</p>
+                <div class="prediction-evaluation"></div>
+            </div>
+        `);
+        
+        const options = detailContent.select(".prediction-options");
+        this.renderPredictionMethod(options, () => {
+            if (this.prediction.global) this.runGlobalPrediction();
+        });
+        options.append("button")
+            .attr("id", "globalPredictionBtn")
+            .text("全局预测")
+            .on("click", () => this.runGlobalPrediction());
+        detailContent.select("#evaluatePredictionBtn").on("click", () => this.evaluatePrediction());
+        
+        if (global) this.renderGlobalPredictions(detailContent.select(".prediction-results"), global);
+        if (evaluation) this.renderPredictionEvaluation(detailContent.select(".prediction-evaluation"), evaluation);
+        d3.select("#detailPanel").classed("active", true);
+    }
+    
+    runGlobalPrediction() {
+        const method = this.prediction.method;
+        this.showLoading(true);
+        // 让加载提示先显示出来
+        setTimeout(() => {
+            const links = this.linkPredictor().global([method], this.config.predictionCount).get(method);
+            this.prediction.global = { method: method, links: links };
+            this.showPredictions(links);
+            this.renderPredictionPanel();
+            this.showLoading(false);
+        }, 0);
+    }
+    
+    renderGlobalPredictions(container, global) {
+        const label = LinkPredictor.scores.find(d => d.key === global.method).label;
+        if (global.links.length === 0) {
+            container.append("p").text("没有可推荐的节点对");
+            return;
+        }
+        
+        const table = container.append("table").attr("class", "community-table");
+        table.append("caption").text(`${label}得分最高的 ${global.links.length} 对不相邻节点`);
+        table.append("thead").append("tr")
+            .selectAll("th")
+            .data(["节点", "节点", "得分"])
+            .enter()
+            .append("th")
+            .text(d => d);
+        const rows = table.append("tbody")
+            .selectAll("tr")
+            .data(global.links)
+            .enter()
+            .append("tr")
+            .attr("class", "community-row")
+            .attr("title", "点击高亮并缩放到这两个节点")
+            .on("click", (event, d) => this.focusPrediction(d));
+        rows.append("td").text(d => d.source.id);
+        rows.append("td").text(d => d.target.id);
+        rows.append("td").text(d => this.formatPredictionScore(d.score));
+    }
+    
+    focusPrediction(prediction) {
+        const pair = [prediction.source, prediction.target];
+        this.setNodeClass("highlighted", d => pair.includes(d));
+        this.zoomToNodes(pair);
+    }
+    
+    evaluatePrediction() {
+        this.showLoading(true);
+        setTimeout(() => {
+            try {
+                this.prediction.evaluation = LinkPredictor.evaluate(this.filteredData.nodes, this.filteredData.links, {
+                    fraction: this.config.predictionHoldout,
+                    samples: this.config.predictionSamples,
+                    k: this.config.predictionPrecisionK,
+                    seed: this.config.communitySeed
+                });
+            } catch (error) {
+                alert(error.message);
+            }
+            this.renderPredictionPanel();
+            this.showLoading(false);
+        }, 0);
+    }
+    
+    // 各得分的 AUC 和 precision@k，最高值加粗
+    renderPredictionEvaluation(container, evaluation) {
+        const { results } = evaluation;
+        const bestAuc = d3.max(results, d => d.auc);
+        const bestPrecision = d3.max(results, d => d.precision);
+        
+        const table = container.append("table").attr("class", "community-table");
+        table.append("caption")
+            .text(`训练 ${evaluation.train} 条边，隐藏 ${evaluation.test} 条；AUC 抽样比较 ${evaluation.samples} 次`);
+        table.append("thead").append("tr")
+            .selectAll("th")
+            .data(["得分", "AUC", `Precision@${evaluation.k}`])
+            .enter()
+            .append("th")
+            .text(d => d);
+        const rows = table.append("tbody")
+            .selectAll("tr")
+            .data(results)
+            .enter()
+            .append("tr");
+        rows.append("td").text(d => d.label);
+        rows.append("td")
+            .classed("best", d => d.auc === bestAuc)
+            .text(d => d.auc.toFixed(3));
+        rows.append("td")
+            .classed("best", d => d.precision === bestPrecision)
+            .text(d => d.precision.toFixed(3));
+    }
+    
+    highlightNode(node) {
+        this.clearHighlight(false);
         
         // 高亮选中的节点
-        this.nodeGroup.selectAll(".node")
-            .filter(d => d.id === node.id)
-            .classed("highlighted", true);
+        this.setNodeClass("highlighted", d => d.id === node.id);
         
         // 高亮邻居节点
-        this.nodeGroup.selectAll(".node")
-            .filter(d => node.neighbors.has(d))
-            .classed("neighbor", true);
+        this.setNodeClass("neighbor", d => node.neighbors.has(d));
         
         // 高亮相关连接
-        this.linkGroup.selectAll(".link")
-            .filter(d => d.source.id === node.id || d.target.id === node.id)
-            .classed("highlighted", true);
+        this.setLinkClass("highlighted", d => d.source.id === node.id || d.target.id === node.id);
         
         this.currentHighlighted = node;
+        this.updateLevelOfDetail();
         this.showNodeDetail(node);
+        this.scheduleViewStateUpdate();
+        this.notifyPlugins("nodeSelected", node);
     }
     
-    clearHighlight() {
-        this.nodeGroup.selectAll(".node")
-            .classed("highlighted", false)
-            .classed("neighbor", false);
+    // notify 为 false 时不通知插件，用于紧接着高亮另一个节点的情况
+    clearHighlight(notify = true) {
+        const highlighted = this.currentHighlighted;
+        this.setNodeClass("highlighted", () => false);
+        this.setNodeClass("neighbor", () => false);
         
-        this.linkGroup.selectAll(".link")
-            .classed("highlighted", false);
+        this.setLinkClass("highlighted", () => false);
+        
+        d3.selectAll("#communityContent .community-row")
+            .classed("active", false);
         
         this.currentHighlighted = null;
+        if (this.prediction.links.length > 0) this.showPredictions([]);
+        if (this.dataTable) this.dataTable.setActive(null);
+        this.scheduleViewStateUpdate();
+        if (notify && highlighted) this.notifyPlugins("nodeSelected", null);
     }
     
     centerOnNode(node) {
@@ -359,244 +2060,2051 @@
             .translate(this.config.width / 2 - node.x * scale, this.config.height / 2 - node.y * scale)
             .scale(scale);
         
-        this.svg.transition()
+        this.zoomTarget().transition()
             .duration(750)
             .call(this.zoom.transform, transform);
     }
     
-    // 筛选功能
-    filterByDegree(maxDegree) {
-        this.filteredData = {
-            nodes: this.data.nodes.filter(d => d.degree <= maxDegree),
-            links: this.data.links.filter(d => 
-                d.source.degree <= maxDegree && d.target.degree <= maxDegree
-            )
-        };
-        
-        this.updateVisualization();
+    // 筛选功能：按当前指标（度数或 k-核数）保留 [min, max] 范围内的节点
+    filterByDegree(min, max) {
+        this.filters.min = min;
+        this.filters.max = max;
+        this.updateRangeSliders();
+        this.moveHistogramBrush();
+        this.applyFilters();
+    }
+    
+    setRangeMeasure(measure) {
+        const [min, max] = this.measureExtent(measure);
+        this.filters.measure = measure;
+        this.filters.min = min;
+        this.filters.max = max;
+        this.updateRangeSliders();
+        this.renderHistogram();
+        this.applyFilters();
+    }
+    
+    measureExtent(measure) {
+        if (!this.data || this.data.nodes.length === 0) return [0, 0];
+        return d3.extent(this.data.nodes, d => d[measure]);
+    }
+    
+    // 滑块的取值范围来自真实的度数分布
+    updateRangeSliders() {
+        const [lower, upper] = this.measureExtent(this.filters.measure);
+        const min = Math.max(lower, this.filters.min);
+        const max = Math.min(upper, this.filters.max);
+        
+        d3.selectAll("#degreeMin, #degreeMax")
+            .attr("min", lower)
+            .attr("max", upper);
+        d3.select("#degreeMin").property("value", min);
+        d3.select("#degreeMax").property("value", max);
+        d3.select("#degreeValue").text(`${min}–${max}`);
+    }
+    
+    // 度数分布直方图（横轴、纵轴均为对数刻度），刷选即筛选
+    renderHistogram() {
+        const svg = d3.select("#degreeHistogram");
+        const width = +svg.attr("width");
+        const height = +svg.attr("height");
+        const margin = { top: 4, right: 6, bottom: 14, left: 6 };
+        const measure = this.filters.measure;
+        const [min, max] = this.measureExtent(measure);
+        
+        svg.selectAll("*").remove();
+        if (!this.data || this.data.nodes.length === 0) return;
+        
+        // 整数取值，每根柱子覆盖 [x0, x1)
+        const x = d3.scaleSymlog()
+            .domain([min, max + 1])
+            .range([margin.left, width - margin.right]);
+        const binCount = 30;
+        const thresholds = Array.from(new Set(d3.range(1, binCount)
+            .map(i => Math.ceil(x.invert(margin.left + i * (width - margin.left - margin.right) / binCount)))))
+            .filter(t => t > min && t <= max);
+        const bins = d3.bin()
+            .domain([min, max + 1])
+            .thresholds(thresholds)(this.data.nodes.map(d => d[measure]));
+        
+        const y = d3.scaleSymlog()
+            .domain([0, d3.max(bins, d => d.length) || 1])
+            .range([height - margin.bottom, margin.top]);
+        
+        svg.append("g")
+            .attr("class", "histogram-bars")
+            .selectAll("rect")
+            .data(bins)
+            .enter()
+            .append("rect")
+            .attr("x", d => x(d.x0) + 0.5)
+            .attr("y", d => y(d.length))
+            .attr("width", d => Math.max(0, x(d.x1) - x(d.x0) - 1))
+            .attr("height", d => y(0) - y(d.length))
+            .append("title")
+            .text(d => `${d.x0}–${d.x1 - 1}: ${d.length} 个节点`);
+        
+        const ticks = [0, 1, 10, 100, 1000, 10000].filter(t => t >= min && t <= max);
+        svg.append("g")
+            .attr("class", "histogram-axis")
+            .attr("transform", `translate(0, ${height - margin.bottom})`)
+            .call(d3.axisBottom(x).tickValues(ticks).tickFormat(d3.format("d")).tickSize(2));
+        
+        this.histogramScale = x;
+        this.histogramBrush = d3.brushX()
+            .extent([[margin.left, margin.top], [width - margin.right, height - margin.bottom]])
+            .on("brush", (event) => {
+                if (!event.sourceEvent || !event.selection) return;
+                const [lower, upper] = this.brushRange(event.selection);
+                d3.select("#degreeValue").text(`${lower}–${upper}`);
+            })
+            .on("end", (event) => {
+                if (!event.sourceEvent) return;
+                if (!event.selection) {
+                    this.filterByDegree(min, max);
+                } else {
+                    this.filterByDegree(...this.brushRange(event.selection));
+                }
+            });
+        
+        svg.append("g")
+            .attr("class", "histogram-brush")
+            .call(this.histogramBrush);
+        this.moveHistogramBrush();
+    }
+    
+    brushRange(selection) {
+        const [min, max] = this.measureExtent(this.filters.measure);
+        const lower = Math.max(min, Math.round(this.histogramScale.invert(selection[0])));
+        const upper = Math.min(max, Math.round(this.histogramScale.invert(selection[1])) - 1);
+        return [lower, Math.max(lower, upper)];
+    }
+    
+    // 让刷选框与当前范围保持一致，范围为全部时清除刷选框
+    moveHistogramBrush() {
+        if (!this.histogramBrush) return;
+        const [min, max] = this.measureExtent(this.filters.measure);
+        const brushGroup = d3.select("#degreeHistogram .histogram-brush");
+        const full = this.filters.min <= min && this.filters.max >= max;
+        brushGroup.call(this.histogramBrush.move, full ? null : [
+            this.histogramScale(Math.max(min, this.filters.min)),
+            this.histogramScale(Math.min(max, this.filters.max) + 1)
+        ]);
+    }
+    
+    filterByCommunity(groups) {
+        this.filters.communities = groups.length > 0 ? new Set(groups) : null;
+        this.applyFilters();
+    }
+    
+    // 组合所有筛选条件生成 filteredData
+    applyFilters(alpha = 1) {
+        const { measure, min, max, communities, ego, excluded, time, metadata } = this.filters;
+        const keep = d => d[measure] >= min && d[measure] <= max
+            && (!communities || communities.has(d.group))
+            && (!ego || ego.has(d))
+            && (!excluded || !excluded.has(d))
+            && (!metadata || metadata.nodes.has(d))
+            && (!time || time.nodes.has(d) || !time.timedNodes.has(d));
+        const active = d => !time || time.links.has(d) || !time.timedLinks.has(d);
+        
+        this.filteredData = {
+            nodes: this.data.nodes.filter(keep),
+            links: this.data.links.filter(d => keep(d.source) && keep(d.target) && active(d))
+        };
+        if (this.keyboardNav.node && !keep(this.keyboardNav.node)) this.focusNode(null);
+        
+        this.updateVisualization(alpha);
+        this.scheduleViewStateUpdate();
+        this.notifyPlugins("filterChanged", this.filteredData, this.filters);
+    }
+    
+    // 社群统计：规模、内部/外部边、密度和度数最高的成员
+    computeCommunityStats() {
+        const stats = this.data.communities.sizes.map((size, group) => ({
+            group: group,
+            size: size,
+            internalLinks: 0,
+            externalLinks: 0,
+            density: 0,
+            topMembers: []
+        }));
+        
+        this.data.links.forEach(link => {
+            if (link.source.group === link.target.group) {
+                stats[link.source.group].internalLinks++;
+            } else {
+                stats[link.source.group].externalLinks++;
+                stats[link.target.group].externalLinks++;
+            }
+        });
+        
+        const members = d3.group(this.data.nodes, d => d.group);
+        stats.forEach(stat => {
+            const possible = stat.size * (stat.size - 1) / 2;
+            stat.density = possible > 0 ? stat.internalLinks / possible : 0;
+            stat.topMembers = (members.get(stat.group) || [])
+                .slice()
+                .sort((a, b) => b.degree - a.degree)
+                .slice(0, 5);
+        });
+        
+        this.communityStats = stats;
+    }
+    
+    populateCommunityFilter() {
+        const select = d3.select("#communityFilter");
+        select.selectAll("option.community-option").remove();
+        select.selectAll("option.community-option")
+            .data(this.communityStats)
+            .enter()
+            .append("option")
+            .attr("class", "community-option")
+            .attr("value", d => d.group)
+            .text(d => `社群 ${d.group} (${d.size})`);
+    }
+    
+    renderCommunityPanel() {
+        const content = d3.select("#communityContent");
+        content.html("");
+        
+        const table = content.append("table").attr("class", "community-table");
+        table.append("thead").append("tr")
+            .selectAll("th")
+            .data(["社群", "节点", "内部边", "外部边", "密度", "核心成员"])
+            .enter()
+            .append("th")
+            .text(d => d);
+        
+        const rows = table.append("tbody")
+            .selectAll("tr")
+            .data(this.communityStats)
+            .enter()
+            .append("tr")
+            .attr("class", "community-row")
+            .on("click", (event, d) => this.highlightCommunity(d.group));
+        
+        const label = rows.append("td");
+        label.append("span")
+            .attr("class", "community-swatch")
+            .style("background", d => VisualEncoding.communityColor(d.group));
+        label.append("span").text(d => d.group);
+        
+        rows.append("td").text(d => d.size);
+        rows.append("td").text(d => d.internalLinks);
+        rows.append("td").text(d => d.externalLinks);
+        rows.append("td").text(d => d.density.toFixed(3));
+        
+        rows.append("td")
+            .selectAll(".neighbor-tag")
+            .data(d => d.topMembers)
+            .enter()
+            .append("span")
+            .attr("class", "neighbor-tag")
+            .attr("title", d => `度数 ${d.degree}`)
+            .text(d => d.id)
+            .on("click", (event, d) => {
+                event.stopPropagation();
+                this.highlightNode(d);
+                this.centerOnNode(d);
+            });
+        
+        this.renderCircleComparison(content);
+    }
+    
+    // 读取 SNAP 的 .circles、.feat、.egofeat 和 .featnames 文件，与之前读取的文件合并后附加到当前图
+    loadEgoMetadata(files) {
+        if (!this.data) return;
+        const previous = this.egoMetadata ? this.egoMetadata.files : [];
+        const names = new Set(files.map(d => d.name));
+        const allFiles = [...previous.filter(d => !names.has(d.name)), ...files];
+        
+        const metadata = EgoMetadata.parse(allFiles);
+        const result = EgoMetadata.apply(metadata, this.data.nodes);
+        if (result.matched === 0) {
+            throw new Error("圈子和特征文件中的节点 ID 与当前图都不匹配");
+        }
+        this.egoMetadata = {
+            files: allFiles,
+            egos: metadata.egos,
+            categories: metadata.categories,
+            circles: result.circles,
+            matched: result.matched,
+            missing: result.missing
+        };
+        
+        // 特征和所属圈子成为可着色、可搜索的原始属性
+        this.encoding.discover(this.data.nodes, this.plugins.metricAttributes());
+        this.populateEncodingControls();
+        this.applyEncoding(false);
+        this.renderCommunityPanel();
+        if (this.tableView.open) this.showTableTab(this.tableView.tab);
+        if (this.currentHighlighted && d3.select("#detailTitle").text() === "节点详情") {
+            this.showNodeDetail(this.currentHighlighted);
+        }
+        // 只提示本次打开的文件的问题
+        const egos = new Set(files.map(d => EgoMetadata.fileType(d.name).ego));
+        const warnings = metadata.warnings.filter(d => egos.has(d.ego)).map(d => d.message);
+        if (warnings.length > 0) alert(warnings.join("\n"));
+    }
+    
+    // 圈子（人工标注）与检测到的社群的对比，以及按圈子或特征筛选
+    renderCircleComparison(content) {
+        const metadata = this.egoMetadata;
+        if (!metadata) return;
+        const comparison = EgoMetadata.compare(metadata.circles, this.data.nodes);
+        const section = content.append("div").attr("class", "circle-comparison");
+        section.append("h4").text("圈子与社群对比");
+        section.append("div")
+            .attr("class", "circle-summary")
+            .text(`${metadata.egos.length} 个自我网络，${comparison.rows.length} 个圈子覆盖 ${comparison.covered} 个节点；`
+                + `NMI ${comparison.nmi.toFixed(3)}，平均最佳 Jaccard ${comparison.meanJaccard.toFixed(3)}`
+                + (metadata.missing > 0 ? `；${metadata.missing} 个 ID 不在当前图中` : ""));
+        
+        const active = this.filters.metadata;
+        if (active) {
+            const status = section.append("div").attr("class", "circle-filter-status");
+            status.append("span").text(`筛选：${active.label}（${active.nodes.size} 个节点）`);
+            status.append("button")
+                .text("清除")
+                .on("click", () => this.filterByMetadata(null));
+        }
+        
+        // 特征筛选：类别和取值
+        if (metadata.categories.length > 0) {
+            const controls = section.append("div").attr("class", "feature-filter");
+            const category = controls.append("select").attr("title", "特征类别");
+            const value = controls.append("select").attr("title", "特征取值");
+            category.selectAll("option")
+                .data(metadata.categories)
+                .join("option")
+                .attr("value", d => d)
+                .text(d => d);
+            const fillValues = () => {
+                const key = category.property("value");
+                const counts = new Map();
+                this.data.nodes.forEach(d => {
+                    if (!d.features || !d.features.has(key)) return;
+                    d.features.get(key).forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+                });
+                value.selectAll("option")
+                    .data(Array.from(counts).sort((a, b) => b[1] - a[1]))
+                    .join("option")
+                    .attr("value", d => d[0])
+                    .text(d => `${d[0]} (${d[1]})`);
+            };
+            category.on("change", fillValues);
+            fillValues();
+            controls.append("button")
+                .text("筛选")
+                .on("click", () => {
+                    const key = category.property("value");
+                    const selected = value.property("value");
+                    const nodes = this.data.nodes.filter(d => d.features && d.features.has(key)
+                        && d.features.get(key).includes(selected));
+                    this.filterByMetadata(`${key} = ${selected}`, nodes);
+                });
+        }
+        
+        const table = section.append("table").attr("class", "community-table");
+        table.append("thead").append("tr")
+            .selectAll("th")
+            .data(["圈子", "节点", "最匹配社群", "重合", "Jaccard"])
+            .enter()
+            .append("th")
+            .text(d => d);
+        const rows = table.append("tbody")
+            .selectAll("tr")
+            .data(comparison.rows.sort((a, b) => b.size - a.size))
+            .enter()
+            .append("tr")
+            .attr("class", "community-row")
+            .classed("active", d => !!active && active.label === `圈子 ${d.circle.key}`)
+            .attr("title", "点击只显示该圈子的成员，再次点击取消")
+            .on("click", (event, d) => this.filterByCircle(d.circle));
+        rows.append("td").text(d => d.circle.key);
+        rows.append("td").text(d => d.size);
+        const group = rows.append("td");
+        group.append("span")
+            .attr("class", "community-swatch")
+            .style("background", d => VisualEncoding.communityColor(d.group));
+        group.append("span").text(d => d.group);
+        rows.append("td").text(d => `${d.overlap} (${Math.round(d.overlap / d.size * 100)}%)`);
+        rows.append("td").text(d => d.jaccard.toFixed(3));
+    }
+    
+    // 只显示圈子成员，再次筛选同一圈子时取消
+    filterByCircle(circle) {
+        const label = `圈子 ${circle.key}`;
+        if (this.filters.metadata && this.filters.metadata.label === label) {
+            this.filterByMetadata(null);
+        } else {
+            this.filterByMetadata(label, circle.nodes);
+        }
+    }
+    
+    // label 为 null 时清除圈子/特征筛选
+    filterByMetadata(label, nodes = []) {
+        this.filters.metadata = label ? { label: label, nodes: new Set(nodes) } : null;
+        this.applyFilters();
+        this.renderCommunityPanel();
+    }
+    
+    // 高亮整个社群并缩放到其范围
+    highlightCommunity(group) {
+        this.clearHighlight();
+        
+        this.setNodeClass("highlighted", d => d.group === group);
+        
+        this.setLinkClass("highlighted", d => d.source.group === group && d.target.group === group);
+        
+        d3.selectAll("#communityContent .community-row")
+            .classed("active", d => d.group === group);
+        
+        const members = this.filteredData.nodes.filter(d => d.group === group);
+        if (members.length > 0) {
+            this.zoomToNodes(members);
+        }
+    }
+    
+    zoomToNodes(nodes) {
+        const [minX, maxX] = d3.extent(nodes, d => d.x);
+        const [minY, maxY] = d3.extent(nodes, d => d.y);
+        const padding = 40;
+        const [minScale, maxScale] = this.zoom.scaleExtent();
+        const scale = Math.max(minScale, Math.min(maxScale, 0.9 / Math.max(
+            (maxX - minX + padding) / this.config.width,
+            (maxY - minY + padding) / this.config.height
+        )));
+        const transform = d3.zoomIdentity
+            .translate(this.config.width / 2, this.config.height / 2)
+            .scale(scale)
+            .translate(-(minX + maxX) / 2, -(minY + maxY) / 2);
+        
+        this.zoomTarget().transition()
+            .duration(750)
+            .call(this.zoom.transform, transform);
+    }
+    
+    setDisplayMode(mode) {
+        switch (mode) {
+            case "all":
+                this.showAllNodes();
+                break;
+            case "neighbors":
+                this.showNeighborsOnly();
+                break;
+            case "highlighted":
+                this.showHighlightedOnly();
+                break;
+        }
+        this.scheduleViewStateUpdate();
+    }
+    
+    showAllNodes() {
+        this.setNodeClass("hidden", () => false);
+        this.setLinkClass("hidden", () => false);
+    }
+    
+    showNeighborsOnly() {
+        if (!this.currentHighlighted) return;
+        
+        this.setNodeClass("hidden", d => d.id !== this.currentHighlighted.id && !this.currentHighlighted.neighbors.has(d));
+        
+        this.setLinkClass("hidden", d => d.source.id !== this.currentHighlighted.id && d.target.id !== this.currentHighlighted.id);
+    }
+    
+    // 高亮或框选中的节点
+    showHighlightedOnly() {
+        this.setNodeClass("hidden", d => !this.hasNodeClass(d, "highlighted") && !this.selection.has(d));
+        
+        this.setLinkClass("hidden", d => !this.hasLinkClass(d, "highlighted")
+            && !(this.selection.has(d.source) && this.selection.has(d.target)));
+    }
+    
+    // 布局控制
+    restartSimulation() {
+        if (this.layout.type === "force") {
+            this.simulation.restart(1);
+        } else {
+            this.runLayout();
+        }
+    }
+    
+    togglePause() {
+        this.isPaused = !this.isPaused;
+        if (this.isPaused) {
+            this.simulation.stop();
+        } else {
+            this.simulation.restart();
+        }
+        d3.select("#pauseSimulationBtn").text(this.isPaused ? "继续" : "暂停");
+    }
+    
+    updateForceParameters() {
+        const chargeStrength = parseInt(d3.select("#chargeStrength").property("value"));
+        const linkDistance = parseInt(d3.select("#linkDistance").property("value"));
+        
+        this.simulation
+            .setForces({ chargeStrength: chargeStrength, linkDistance: linkDistance })
+            .restart(0.3);
+        this.scheduleViewStateUpdate();
+    }
+    
+    // 缩放控制
+    zoomIn() {
+        this.zoomTarget().transition().call(this.zoom.scaleBy, 1.5);
+    }
+    
+    zoomOut() {
+        this.zoomTarget().transition().call(this.zoom.scaleBy, 1 / 1.5);
+    }
+    
+    resetZoom() {
+        this.zoomTarget().transition().call(this.zoom.transform, d3.zoomIdentity);
+    }
+    
+    // 键盘导航：图本身可获得焦点，节点不是单独的 Tab 停靠点；聚焦的节点通过 live region 朗读
+    setupKeyboardNavigation(target) {
+        target
+            .attr("tabindex", 0)
+            .attr("role", "application")
+            .attr("aria-roledescription", "网络图")
+            .attr("aria-describedby", "graphInstructions")
+            .on("focus.keyboard", () => {
+                if (!this.keyboardNav.node) this.announce(`${this.graphSummary()}。按方向键开始浏览节点`);
+            })
+            .on("blur.keyboard", () => this.hideTooltip())
+            .on("keydown.keyboard", (event) => this.handleGraphKey(event));
+        target.selectAll("g").attr("aria-hidden", true);
+    }
+    
+    graphSummary() {
+        if (!this.filteredData) return "网络图";
+        return `网络图，显示 ${this.filteredData.nodes.length} 个节点和 ${this.filteredData.links.length} 条边`;
+    }
+    
+    // 方向键移动到该方向上最近的相邻节点，Tab/Shift+Tab 轮流访问当前节点的邻居，Enter 查看详情，Esc 退出节点导航
+    // 没有聚焦节点时不拦截 Tab，焦点可以正常离开图
+    handleGraphKey(event) {
+        if (!this.data || event.ctrlKey || event.metaKey || event.altKey) return;
+        const node = this.keyboardNav.node;
+        const directions = {
+            ArrowUp: [0, -1],
+            ArrowDown: [0, 1],
+            ArrowLeft: [-1, 0],
+            ArrowRight: [1, 0]
+        };
+        
+        if (directions[event.key]) {
+            event.preventDefault();
+            if (!node) {
+                this.focusNode(this.keyboardStartNode());
+                return;
+            }
+            const next = this.neighborInDirection(node, ...directions[event.key]);
+            if (next) this.focusNode(next);
+            else this.announce("该方向没有相邻节点");
+        } else if (event.key === "Home") {
+            event.preventDefault();
+            this.focusNode(this.keyboardStartNode());
+        } else if (event.key === "Tab" && node) {
+            event.preventDefault();
+            this.cycleNeighbors(event.shiftKey ? -1 : 1);
+        } else if (event.key === "Enter" && node) {
+            event.preventDefault();
+            this.handleNodeClick(node);
+        } else if (event.key === "Escape" && node) {
+            event.preventDefault();
+            this.focusNode(null);
+            this.announce("已退出节点导航，按 Tab 离开网络图");
+        }
+    }
+    
+    // 从高亮的节点开始，否则从度数最大的可见节点开始
+    keyboardStartNode() {
+        const nodes = this.visibleNodes();
+        if (this.currentHighlighted && nodes.includes(this.currentHighlighted)) return this.currentHighlighted;
+        return nodes.reduce((best, d) => (!best || d.degree > best.degree ? d : best), null);
+    }
+    
+    // 未被显示模式隐藏、也未合并进元节点的筛选后节点
+    visibleNodes() {
+        const hidden = this.nodeClasses.get("hidden") || new Set();
+        const removed = this.nodeClasses.get("removed") || new Set();
+        return this.filteredData.nodes.filter(d => !hidden.has(d) && !removed.has(d) && !this.isCollapsed(d));
+    }
+    
+    visibleNeighbors(node) {
+        const visible = new Set(this.visibleNodes());
+        return Array.from(node.neighbors)
+            .filter(d => visible.has(d))
+            .sort((a, b) => b.degree - a.degree || String(a.id).localeCompare(String(b.id)));
+    }
+    
+    // 在与方向夹角小于 60° 的邻居中，按距离除以夹角余弦选择
+    neighborInDirection(node, dx, dy) {
+        let best = null;
+        let bestScore = Infinity;
+        this.visibleNeighbors(node).forEach(d => {
+            const distance = Math.hypot(d.x - node.x, d.y - node.y);
+            if (distance === 0) return;
+            const cosine = ((d.x - node.x) * dx + (d.y - node.y) * dy) / distance;
+            if (cosine < 0.5) return;
+            const score = distance / cosine;
+            if (score < bestScore) {
+                best = d;
+                bestScore = score;
+            }
+        });
+        return best;
+    }
+    
+    cycleNeighbors(step) {
+        const { anchor } = this.keyboardNav;
+        const neighbors = this.visibleNeighbors(anchor);
+        if (neighbors.length === 0) {
+            this.announce(`节点 ${anchor.id} 没有可见的邻居`);
+            return;
+        }
+        // 序号 -1 为 anchor 本身，邻居之后回到 anchor
+        const count = neighbors.length + 1;
+        const index = (this.keyboardNav.index + 1 + step + count) % count - 1;
+        this.focusNode(index === -1 ? anchor : neighbors[index], anchor, index);
+    }
+    
+    // 聚焦节点：显示焦点环和工具提示，必要时平移视图，并朗读节点信息；node 为 null 时清除
+    focusNode(node, anchor = node, index = -1) {
+        this.keyboardNav = { node: node, anchor: anchor, index: index };
+        this.updateLevelOfDetail();
+        this.renderFocusRing();
+        if (!node) {
+            this.hideTooltip();
+            return;
+        }
+        
+        const [x, y] = this.transform.apply([node.x, node.y]);
+        const margin = 40;
+        if (x < margin || y < margin || x > this.config.width - margin || y > this.config.height - margin) {
+            this.zoomTarget().transition().duration(300).call(this.zoom.translateTo, node.x, node.y);
+        }
+        this.showNodeTooltip(node);
+        
+        const neighbors = this.visibleNeighbors(node).length;
+        const position = node !== anchor ? `，节点 ${anchor.id} 的第 ${index + 1} 个邻居` : "";
+        this.announce(`节点 ${node.id}，度数 ${node.degree}，社群 ${node.group}，${neighbors} 个可见邻居${position}`);
+    }
+    
+    // SVG 中的焦点环；Canvas 渲染器在绘制时读取 keyboardNav
+    renderFocusRing() {
+        const node = this.keyboardNav.node;
+        this.focusGroup.selectAll(".focus-ring")
+            .data(node && this.rendererType === "svg" ? [node] : [])
+            .join("circle")
+            .attr("class", "focus-ring")
+            .attr("r", d => d.radius + 4)
+            .attr("cx", d => d.x)
+            .attr("cy", d => d.y);
+        this.refreshCanvas();
+    }
+    
+    // 在节点的屏幕位置显示工具提示
+    showNodeTooltip(node) {
+        const rect = this.zoomTarget().node().getBoundingClientRect();
+        const [x, y] = this.transform.apply([node.x, node.y]);
+        this.showTooltip({ pageX: rect.left + window.scrollX + x, pageY: rect.top + window.scrollY + y }, node);
+    }
+    
+    announce(message) {
+        d3.select("#graphAnnouncer").text(message);
+    }
+    
+    // 全局快捷键，焦点在输入框和按钮上时不响应
+    handleShortcut(event) {
+        if (!this.data || event.ctrlKey || event.metaKey || event.altKey) return;
+        if (["INPUT", "SELECT", "TEXTAREA", "BUTTON"].includes(event.target.tagName)) return;
+        switch (event.key) {
+            case "+":
+            case "=":
+                this.zoomIn();
+                break;
+            case "-":
+            case "_":
+                this.zoomOut();
+                break;
+            case "0":
+                this.resetZoom();
+                break;
+            case "p":
+            case "P":
+            case " ":
+                this.togglePause();
+                this.announce(this.isPaused ? "布局已暂停" : "布局继续运行");
+                break;
+            default:
+                return;
+        }
+        event.preventDefault();
+    }
+    
+    // 表格视图：以虚拟滚动表格列出当前显示的节点和边，作为图形的替代
+    // 节点表格可排序、搜索，与图中的高亮和选择集双向同步
+    toggleTableView(open = !this.tableView.open) {
+        this.tableView.open = open;
+        d3.select("#tablePanel").property("hidden", !open);
+        d3.select("#tableViewBtn").attr("aria-expanded", open);
+        if (open) this.showTableTab(this.tableView.tab);
+    }
+    
+    showTableTab(tab) {
+        const nodeTab = tab === "nodes";
+        this.tableView.tab = tab;
+        d3.selectAll(".table-tab").attr("aria-pressed", (d, i, buttons) => buttons[i].dataset.tab === tab);
+        d3.select("#tableSearch").property("disabled", !nodeTab);
+        d3.select("#tableSelectBtn").property("disabled", !nodeTab);
+        
+        const columns = nodeTab ? this.nodeTableColumns() : this.linkTableColumns();
+        // 文本搜索的结果按匹配程度排列，不再按列排序
+        const textSearch = nodeTab && this.tableView.query && !this.tableView.query.isPredicate;
+        this.dataTable.setColumns(columns, nodeTab && !textSearch ? { key: "degree", direction: -1 } : null);
+        this.dataTable.scroller.node().scrollTop = 0;
+        this.renderTableView();
+    }
+    
+    // 节点 ID 及全部节点属性：社群、各项指标和原始数据字段
+    nodeTableColumns() {
+        const format = d3.format(".4~f");
+        return [
+            { key: "id", label: "节点", value: d => d.id },
+            ...Array.from(this.encoding.attributes.values(), attribute => {
+                const numeric = attribute.type === "numeric" || attribute.key === "group";
+                return {
+                    key: attribute.key,
+                    label: attribute.label,
+                    type: numeric ? "numeric" : null,
+                    value: attribute.value,
+                    format: numeric ? (value => Number.isInteger(value) ? value : format(value)) : null
+                };
+            })
+        ];
+    }
+    
+    linkTableColumns() {
+        return [
+            { key: "source", label: "源节点", type: "node", value: d => d.source },
+            { key: "target", label: "目标节点", type: "node", value: d => d.target },
+            { key: "type", label: "类型", value: d => d.source.group === d.target.group ? "社群内" : "跨社群" }
+        ];
+    }
+    
+    // 返回解析后的查询；条件为空时返回 null，有误时在状态栏显示错误并返回 null
+    setTableQuery(text) {
+        const status = d3.select("#tableStatus");
+        let query = null;
+        try {
+            query = text.trim() === "" ? null : new NodeQuery(text, this.encoding.attributes);
+        } catch (error) {
+            // 保留上一次有效的结果，便于边输入边修改
+            status.classed("error", true).text(`条件有误：${error.message}`);
+            return null;
+        }
+        
+        const wasTextSearch = this.tableView.query && !this.tableView.query.isPredicate;
+        const textSearch = query && !query.isPredicate;
+        this.tableView.query = query;
+        this.tableView.anchor = null;
+        if (textSearch) {
+            this.dataTable.setColumns(this.dataTable.columns, null);
+        } else if (wasTextSearch) {
+            this.dataTable.setColumns(this.dataTable.columns, { key: "degree", direction: -1 });
+        }
+        this.dataTable.scroller.node().scrollTop = 0;
+        this.renderTableView();
+        return query;
+    }
+    
+    renderTableView() {
+        if (!this.tableView.open || !this.filteredData || !this.dataTable) return;
+        const status = d3.select("#tableStatus").classed("error", false);
+        
+        if (this.tableView.tab !== "nodes") {
+            const links = this.filteredData.links;
+            this.dataTable.setCaption(`边（共 ${links.length} 条）`).setRows(links);
+            status.text(`${links.length} 条边`);
+            return;
+        }
+        
+        const { query } = this.tableView;
+        const nodes = this.filteredData.nodes;
+        let rows = nodes;
+        if (query && query.isPredicate) {
+            rows = nodes.filter(d => query.matches(d));
+        } else if (query) {
+            rows = nodes
+                .map(d => [d, query.rank(d)])
+                .filter(([, rank]) => rank !== null)
+                .sort((a, b) => a[1] - b[1])
+                .map(([d]) => d);
+        }
+        
+        this.dataTable.active = this.currentHighlighted;
+        this.dataTable.selected = new Set(this.selection);
+        this.dataTable
+            .setCaption(`节点（${query ? `匹配 ${rows.length} / ${nodes.length}` : `共 ${nodes.length}`} 个）`)
+            .setRows(rows);
+        status.text(query
+            ? `${query.isPredicate ? "满足条件" : "匹配"}的节点 ${rows.length} 个`
+            : `${nodes.length} 个节点`);
+    }
+    
+    // 单击高亮节点，Ctrl/⌘ 单击切换选择，Shift 单击选择从上次点击的行到当前行
+    handleTableRowClick(row, event) {
+        if (this.tableView.tab !== "nodes") return;
+        const { anchor } = this.tableView;
+        if (event.shiftKey && anchor) {
+            const rows = this.dataTable.rows;
+            const [start, end] = d3.extent([rows.indexOf(anchor), rows.indexOf(row)]);
+            if (start >= 0) this.setSelection([...this.selection, ...rows.slice(start, end + 1)]);
+            return;
+        }
+        this.tableView.anchor = row;
+        if (event.ctrlKey || event.metaKey) {
+            const selection = new Set(this.selection);
+            if (selection.has(row)) selection.delete(row);
+            else selection.add(row);
+            this.setSelection(selection);
+        } else {
+            this.revealNode(row);
+        }
+    }
+    
+    // 详情面板
+    showNodeDetail(node) {
+        const detailPanel = d3.select("#detailPanel");
+        const detailContent = d3.select("#detailContent");
+        d3.select("#detailTitle").text("节点详情");
+        
+        detailContent.html(`
+            <div class="node-detail">
+                <h4></h4>
+                <div class="detail-item">
+                    <strong>度数:</strong> ${node.degree}
+                </div>
+                <div class="detail-item">
+                    <strong>社群:</strong> ${node.group}
+                </div>
+                <div class="detail-item">
+                    <strong>邻居数量:</strong> ${node.neighbors.size}
+                </div>
+                <div class="detail-item">
+                    <strong>k-核:</strong> ${node.coreness}
+                </div>
+                <div class="detail-item">
+                    <strong>介数中心性:</strong> ${node.betweenness.toFixed(4)}
+                </div>
+                <div class="detail-item">
+                    <strong>接近中心性:</strong> ${node.closeness.toFixed(4)}
+                </div>
+                <div class="detail-item">
+                    <strong>PageRank:</strong> ${node.pagerank.toExponential(3)}
+                </div>
+                <div class="detail-item">
+                    <strong>特征向量中心性:</strong> ${node.eigenvector.toFixed(4)}
+                </div>
+                <div class="detail-item">
+                    <strong>聚类系数:</strong> ${node.clustering.toFixed(3)}
+                </div>
+                <div class="detail-item">
+                    <strong>坐标:</strong> (${Math.round(node.x)}, ${Math.round(node.y)})
+                </div>
+                <div class="circle-list"></div>
+                <div class="ego-controls">
+                    <select class="ego-hops" title="跳数">
+                        <option value="1">1 跳</option>
+                        <option value="2">2 跳</option>
+                        <option value="3">3 跳</option>
+                    </select>
+                    <button class="ego-enter">查看自我网络</button>
+                </div>
+                <div class="neighbors-list">
+                    <h5>邻居节点:</h5>
+                    <div class="neighbor-nodes"></div>
+                </div>
+                <div class="prediction-list"></div>
+            </div>
+        `);
+        // 节点 ID 来自用户打开的文件，用 text 写入
+        detailContent.select("h4").text(`节点 ${node.id}`);
+        
+        detailContent.select(".ego-enter").on("click", () => {
+            this.enterEgoNetwork(node, +detailContent.select(".ego-hops").property("value"));
+        });
+        
+        this.renderNodeCircles(detailContent.select(".circle-list"), node);
+        this.renderNeighborPage(detailContent.select(".neighbors-list"), node, 0);
+        this.renderNodePredictions(detailContent.select(".prediction-list"), node);
+        
+        if (this.editMode.active) this.renderAttributeEditor(detailContent.select(".node-detail"), node);
+        
+        detailPanel.classed("active", true);
+        
+        // 表格中的对应行滚动到可视区域
+        if (this.dataTable && this.tableView.open && this.tableView.tab === "nodes") {
+            this.dataTable.setActive(node);
+            this.dataTable.scrollToRow(node);
+        }
+    }
+    
+    // 节点所属的圈子（点击筛选该圈子）和特征，未加载自我网络元数据时不显示
+    renderNodeCircles(container, node) {
+        if (!this.egoMetadata) return;
+        const circles = node.circles || [];
+        const item = container.append("div").attr("class", "detail-item");
+        item.append("strong").text("圈子: ");
+        if (circles.length === 0) item.append("span").text("无");
+        item.selectAll(".neighbor-tag")
+            .data(circles)
+            .enter()
+            .append("button")
+            .attr("class", "neighbor-tag")
+            .attr("title", d => `${d.nodes.length} 个成员，点击只显示该圈子`)
+            .text(d => d.key)
+            .on("click", (event, d) => this.filterByCircle(d));
+        
+        if (node.features) {
+            container.append("div")
+                .attr("class", "detail-item node-features")
+                .text(`特征: ${Array.from(node.features, ([category, values]) => `${category}=${values.join(",")}`).join("；")}`);
+        }
+    }
+    
+    // 邻居按度数降序分页显示
+    renderNeighborPage(container, node, page) {
+        const neighbors = Array.from(node.neighbors).sort((a, b) => b.degree - a.degree);
+        const pageSize = this.config.neighborPageSize;
+        const pageCount = Math.max(1, Math.ceil(neighbors.length / pageSize));
+        page = Math.max(0, Math.min(pageCount - 1, page));
+        
+        // 节点 ID 可能是任意字符串，用事件绑定代替内联 onclick
+        const neighborNodes = container.select(".neighbor-nodes");
+        neighborNodes.selectAll("*").remove();
+        neighborNodes.selectAll(".neighbor-tag")
+            .data(neighbors.slice(page * pageSize, (page + 1) * pageSize))
+            .enter()
+            .append("button")
+            .attr("class", "neighbor-tag")
+            .text(d => d.id)
+            .on("click", (event, d) => this.highlightNode(d));
+        
+        container.select(".neighbor-pager").remove();
+        if (pageCount === 1) return;
+        const pager = container.append("div").attr("class", "neighbor-pager");
+        pager.append("button")
+            .text("上一页")
+            .property("disabled", page === 0)
+            .on("click", () => this.renderNeighborPage(container, node, page - 1));
+        pager.append("span")
+            .text(`第 ${page + 1} / ${pageCount} 页，共 ${neighbors.length} 个`);
+        pager.append("button")
+            .text("下一页")
+            .property("disabled", page >= pageCount - 1)
+            .on("click", () => this.renderNeighborPage(container, node, page + 1));
+    }
+    
+    // 进入以 node 为中心的 k 跳自我网络，成员重新布局
+    enterEgoNetwork(node, hops) {
+        this.pushSubgraphView({ center: node, hops: hops });
+    }
+    
+    pushSubgraphView(view) {
+        if (this.ego.stack.length === 0) {
+            this.ego.savedPositions = new Map(this.data.nodes.map(d => [d, { x: d.x, y: d.y, fx: d.fx, fy: d.fy }]));
+        }
+        this.ego.stack.push(view);
+        this.showEgoNetwork();
+    }
+    
+    showEgoNetwork() {
+        const view = this.ego.stack[this.ego.stack.length - 1];
+        this.togglePathMode(false);
+        
+        // 孤立的选择集保留原有坐标
+        if (view.members) {
+            this.filters.ego = view.members;
+            this.applyFilters();
+            this.renderBreadcrumb();
+            this.renderSelectionPanel();
+            return;
+        }
+        
+        const { center, hops } = view;
+        const { distance, hopCounts } = GraphMetrics.egoNetwork(center, hops);
+        
+        // 初始位置：中心居中，其余成员按跳数分布在同心圆附近
+        const { cx, cy, levelGap } = this.layoutBounds();
+        distance.forEach((hop, d) => {
+            const angle = Math.random() * 2 * Math.PI;
+            const radius = hop * levelGap * (0.75 + Math.random() * 0.5);
+            d.x = cx + radius * Math.cos(angle);
+            d.y = cy + radius * Math.sin(angle);
+            d.fx = null;
+            d.fy = null;
+        });
+        
+        this.filters.ego = distance;
+        this.layout.root = center.id;
+        this.zoomTarget().call(this.zoom.transform, d3.zoomIdentity);
+        this.applyFilters();
+        this.highlightNode(center);
+        this.renderEgoPanel(center, hops, hopCounts, GraphMetrics.egoStats(center, distance));
+        this.renderBreadcrumb();
+    }
+    
+    // level 为要返回的面包屑层级，-1 表示完整图
+    exitEgoNetwork(level = -1) {
+        this.ego.stack = this.ego.stack.slice(0, level + 1);
+        if (this.ego.stack.length > 0) {
+            this.showEgoNetwork();
+            return;
+        }
+        
+        this.filters.ego = null;
+        if (this.ego.savedPositions) {
+            this.ego.savedPositions.forEach((position, d) => Object.assign(d, position));
+            this.ego.savedPositions = null;
+        }
+        this.clearHighlight();
+        this.closeDetailPanel();
+        this.applyFilters();
+        this.renderBreadcrumb();
+    }
+    
+    renderBreadcrumb() {
+        const crumbs = [{ label: "完整图", level: -1 }, ...this.ego.stack.map((item, i) => ({
+            label: item.label || `节点 ${item.center.id} · ${item.hops} 跳`,
+            level: i
+        }))];
+        const breadcrumb = d3.select("#breadcrumb")
+            .classed("active", this.ego.stack.length > 0);
+        
+        breadcrumb.selectAll("*").remove();
+        crumbs.forEach((crumb, i) => {
+            if (i > 0) breadcrumb.append("span").attr("class", "breadcrumb-separator").text("›");
+            const current = i === crumbs.length - 1;
+            breadcrumb.append(current ? "span" : "a")
+                .attr("class", current ? "breadcrumb-current" : "breadcrumb-link")
+                .attr("href", current ? null : "#")
+                .text(crumb.label)
+                .on("click", current ? null : (event) => {
+                    event.preventDefault();
+                    this.exitEgoNetwork(crumb.level);
+                });
+        });
+    }
+    
+    renderEgoPanel(center, hops, hopCounts, stats) {
+        const detailContent = d3.select("#detailContent");
+        d3.select("#detailTitle").text("自我网络");
+        
+        detailContent.html(`
+            <div class="node-detail ego-detail">
+                <h4></h4>
+                <div class="detail-item">
+                    <strong>规模:</strong> ${stats.size} 个节点（${stats.alters} 个他者）
+                </div>
+                <div class="detail-item">
+                    <strong>边数:</strong> ${stats.edges}
+                </div>
+                <div class="detail-item">
+                    <strong>密度:</strong> ${stats.density.toFixed(4)}
+                </div>
+                <div class="detail-item">
+                    <strong>他者之间的连接:</strong> ${stats.alterTies}（密度 ${stats.alterDensity.toFixed(4)}）
+                </div>
+                <div class="detail-item">
+                    <strong>各跳节点数:</strong> ${hopCounts.slice(1).join(" / ") || "0"}
+                </div>
+                <div class="ego-controls">
+                    <button class="ego-center">中心节点详情</button>
+                    <button class="ego-exit">返回完整图</button>
+                </div>
+            </div>
+        `);
+        
+        detailContent.select("h4").text(`节点 ${center.id} 的 ${hops} 跳自我网络`);
+        detailContent.select(".ego-center").on("click", () => this.showNodeDetail(center));
+        detailContent.select(".ego-exit").on("click", () => this.exitEgoNetwork());
+        d3.select("#detailPanel").classed("active", true);
+    }
+    
+    // 选中屏幕坐标多边形内的可见节点
+    selectByPolygon(polygon, additive) {
+        const nodes = this.filteredData.nodes.filter(d => {
+            if (this.hasNodeClass(d, "hidden")) return false;
+            return d3.polygonContains(polygon, this.transform.apply([d.x, d.y]));
+        });
+        this.setSelection(additive ? [...this.selection, ...nodes] : nodes);
+    }
+    
+    setSelection(nodes) {
+        this.selection = new Set(nodes);
+        this.setNodeClass("selected", d => this.selection.has(d));
+        if (this.dataTable) this.dataTable.setSelected(this.selection);
+        if (d3.select("#displayMode").property("value") === "highlighted") this.showHighlightedOnly();
+        
+        if (this.selection.size > 0) {
+            this.renderSelectionPanel();
+        } else if (d3.select("#detailTitle").text() === "选择集") {
+            this.closeDetailPanel();
+        }
+    }
+    
+    renderSelectionPanel() {
+        const selection = this.selection;
+        const stats = GraphMetrics.subgraphStats(selection);
+        const groups = new Set(Array.from(selection, d => d.group));
+        const detailContent = d3.select("#detailContent");
+        d3.select("#detailTitle").text("选择集");
+        
+        detailContent.html(`
+            <div class="node-detail selection-detail">
+                <div class="detail-item">
+                    <strong>节点数:</strong> ${stats.size}
+                </div>
+                <div class="detail-item">
+                    <strong>内部边数:</strong> ${stats.edges}
+                </div>
+                <div class="detail-item">
+                    <strong>密度:</strong> ${stats.density.toFixed(4)}
+                </div>
+                <div class="detail-item">
+                    <strong>平均内部度数:</strong> ${stats.averageDegree.toFixed(2)}
+                </div>
+                <div class="detail-item">
+                    <strong>边界边数:</strong> ${stats.boundary}
+                </div>
+                <div class="detail-item">
+                    <strong>涉及社群:</strong> ${groups.size}
+                </div>
+                <div class="selection-actions">
+                    <button data-action="pin">固定</button>
+                    <button data-action="unpin">取消固定</button>
+                    <button data-action="hide">隐藏</button>
+                    <button data-action="isolate">孤立子图</button>
+                    <button data-action="expand">扩展到邻居</button>
+                    <button data-action="json">导出 JSON</button>
+                    <button data-action="csv">导出 CSV</button>
+                    <button data-action="clear">清除选择</button>
+                </div>
+                <div class="neighbors-list">
+                    <h5>节点:</h5>
+                    <div class="neighbor-nodes"></div>
+                </div>
+            </div>
+        `);
+        
+        const actions = {
+            pin: () => this.pinSelection(true),
+            unpin: () => this.pinSelection(false),
+            hide: () => this.hideSelection(),
+            isolate: () => this.isolateSelection(),
+            expand: () => this.expandSelection(),
+            json: () => this.exportSelection("json"),
+            csv: () => this.exportSelection("csv"),
+            clear: () => this.setSelection([])
+        };
+        detailContent.selectAll(".selection-actions button")
+            .on("click", (event) => actions[event.currentTarget.dataset.action]());
+        
+        const members = Array.from(selection);
+        const nodeList = detailContent.select(".neighbor-nodes");
+        nodeList.selectAll(".neighbor-tag")
+            .data(members.slice(0, 20))
+            .enter()
+            .append("span")
+            .attr("class", "neighbor-tag")
+            .text(d => d.id)
+            .on("click", (event, d) => this.highlightNode(d));
+        if (members.length > 20) {
+            nodeList.append("span")
+                .attr("class", "more-neighbors")
+                .text(`...还有 ${members.length - 20} 个`);
+        }
+        
+        d3.select("#detailPanel").classed("active", true);
+    }
+    
+    pinSelection(pin) {
+        this.selection.forEach(d => {
+            d.fx = pin ? d.x : null;
+            d.fy = pin ? d.y : null;
+            this.simulation.pin(d);
+        });
+        if (!pin) this.simulation.restart(this.config.simulationAlpha);
+        this.scheduleViewStateUpdate();
+    }
+    
+    // 从视图中移除选中的节点，可通过筛选区的按钮恢复
+    hideSelection() {
+        const excluded = new Set(this.filters.excluded || []);
+        this.selection.forEach(d => excluded.add(d));
+        this.filters.excluded = excluded;
+        this.setSelection([]);
+        this.updateRestoreHiddenButton();
+        this.applyFilters();
+    }
+    
+    restoreHidden() {
+        this.filters.excluded = null;
+        this.updateRestoreHiddenButton();
+        this.applyFilters();
+    }
+    
+    updateRestoreHiddenButton() {
+        const count = this.filters.excluded ? this.filters.excluded.size : 0;
+        d3.select("#restoreHiddenBtn")
+            .style("display", count > 0 ? null : "none")
+            .text(`显示已隐藏的 ${count} 个节点`);
+    }
+    
+    // 只显示选中节点及其之间的连接
+    isolateSelection() {
+        if (this.selection.size === 0) return;
+        this.pushSubgraphView({
+            members: new Set(this.selection),
+            label: `选择集 · ${this.selection.size} 个节点`
+        });
+    }
+    
+    // 加入当前可见的邻居
+    expandSelection() {
+        const visible = new Set(this.filteredData.nodes);
+        const expanded = new Set(this.selection);
+        this.selection.forEach(d => {
+            d.neighbors.forEach(neighbor => {
+                if (visible.has(neighbor)) expanded.add(neighbor);
+            });
+        });
+        this.setSelection(expanded);
+    }
+    
+    exportSelection(format) {
+        const nodes = Array.from(this.selection);
+        const metrics = [...GraphMetrics.nodeMetrics, ...this.plugins.metrics].map(d => d.key);
+        const row = d => ({
+            id: d.id,
+            group: d.group,
+            ...Object.fromEntries(metrics.map(key => [key, d[key]])),
+            x: d.x,
+            y: d.y
+        });
+        
+        if (format === "csv") {
+            this.downloadFile(d3.csvFormat(nodes.map(row)), "selection.csv", "text/csv");
+            return;
+        }
+        
+        const links = this.data.links
+            .filter(d => this.selection.has(d.source) && this.selection.has(d.target))
+            .map(d => ({ source: d.source.id, target: d.target.id }));
+        const content = JSON.stringify({ nodes: nodes.map(row), links: links }, null, 2);
+        this.downloadFile(content, "selection.json", "application/json");
+    }
+    
+    downloadFile(content, fileName, type) {
+        const blob = new Blob([content], { type: type });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement("a");
+        link.download = fileName;
+        link.href = url;
+        link.click();
+        
+        URL.revokeObjectURL(url);
+    }
+    
+    closeDetailPanel() {
+        d3.select("#detailPanel").classed("active", false);
+    }
+    
+    // 导出功能
+    // 导出选项：scale 为 PNG 的放大倍数，region 为 viewport（当前视口）或 graph（整个图），legend 是否附加图例
+    exportOptions() {
+        return {
+            scale: +d3.select("#exportScale").property("value"),
+            region: d3.select("#exportRegion").property("value"),
+            legend: d3.select("#exportLegend").property("checked")
+        };
+    }
+    
+    // 导出范围：当前视口，或按缩放比例 1 容纳全部可见节点
+    exportView(region) {
+        const nodes = this.filteredData.nodes;
+        if (region !== "graph" || nodes.length === 0) {
+            return { transform: this.transform, width: this.config.width, height: this.config.height };
+        }
+    
+        const padding = this.config.maxNodeRadius + 20;
+        const [minX, maxX] = d3.extent(nodes, d => d.x);
+        const [minY, maxY] = d3.extent(nodes, d => d.y);
+        return {
+            transform: d3.zoomIdentity.translate(padding - minX, padding - minY),
+            width: Math.ceil(maxX - minX + padding * 2),
+            height: Math.ceil(maxY - minY + padding * 2)
+        };
+    }
+    
+    // 从页面样式表中取出节点、连接和标签的规则，使导出的图保留高亮、隐藏等样式
+    exportStyles() {
+        const rules = [];
+        Array.from(document.styleSheets).forEach(sheet => {
+            let cssRules;
+            try {
+                cssRules = sheet.cssRules;
+            } catch (error) {
+                return; // 跨域样式表不可读取
+            }
+            Array.from(cssRules || []).forEach(rule => {
+                if (!rule.selectorText || rule.selectorText.includes(":hover")) return;
+                const selectors = rule.selectorText.split(",").map(d => d.trim());
+                if (selectors.every(d => /^\.(node|link|node-label|meta-link|meta-node|predicted-link)(?![\w-])/.test(d))) {
+                    rules.push(rule.cssText);
+                }
+            });
+        });
+        return rules.join("\n");
+    }
+    
+    // 下载完成后 resolve，图像加载失败时 reject，导出帧序列时依次等待
+    exportPNG(options = this.exportOptions(), fileName = "network_visualization.png") {
+        const view = this.exportView(options.region);
+        // 限制画布尺寸，超出浏览器上限时无法导出
+        const scale = Math.min(options.scale, this.config.maxExportSize / Math.max(view.width, view.height));
+        const canvas = document.createElement("canvas");
+        canvas.width = Math.round(view.width * scale);
+        canvas.height = Math.round(view.height * scale);
+        const ctx = canvas.getContext("2d");
+        ctx.fillStyle = "#f5f7fa";
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+    
+        let done;
+        let fail;
+        const finished = new Promise((resolve, reject) => {
+            done = resolve;
+            fail = reject;
+        });
+        const download = () => {
+            const link = document.createElement("a");
+            link.download = fileName;
+            link.href = canvas.toDataURL();
+            link.click();
+            done();
+        };
+    
+        // Canvas 渲染时按目标分辨率重新绘制，再叠加图例
+        if (this.rendererType === "canvas") {
+            this.canvasRenderer.render(ctx, scale, view);
+            if (!options.legend) {
+                download();
+                return finished;
+            }
+            const overlay = d3.create("svg")
+                .attr("xmlns", "http://www.w3.org/2000/svg")
+                .attr("viewBox", `0 0 ${view.width} ${view.height}`)
+                .attr("width", canvas.width)
+                .attr("height", canvas.height)
+                .node();
+            this.loadSVGImage(this.appendLegend(overlay, view.width, view.height), img => {
+                ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+                download();
+            }, fail);
+            return finished;
+        }
+    
+        // 以 viewBox 放大矢量图，而不是放大位图
+        const svgNode = this.exportableSVG(options);
+        d3.select(svgNode)
+            .attr("viewBox", `0 0 ${view.width} ${view.height}`)
+            .attr("width", canvas.width)
+            .attr("height", canvas.height);
+        this.loadSVGImage(svgNode, img => {
+            ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+            download();
+        }, fail);
+        return finished;
+    }
+    
+    // 标签和图例可能含中文，不能直接用 btoa 编码
+    loadSVGImage(svgNode, callback, onError) {
+        const svgData = new XMLSerializer().serializeToString(svgNode);
+        const img = new Image();
+        img.onload = () => callback(img);
+        img.onerror = () => onError(new Error("SVG 图像加载失败"));
+        img.src = "data:image/svg+xml;charset=utf-8," + encodeURIComponent(svgData);
+    }
+    
+    // 导出用的 SVG：按导出范围生成画面，内联样式表，可选附加图例
+    exportableSVG(options = this.exportOptions()) {
+        const view = this.exportView(options.region);
+        let svgNode;
+        if (this.rendererType === "canvas") {
+            // Canvas 渲染时生成等价的 SVG
+            svgNode = this.canvasRenderer.toSVG(view);
+        } else {
+            svgNode = this.svg.node().cloneNode(true);
+            const svg = d3.select(svgNode)
+                .attr("width", view.width)
+                .attr("height", view.height);
+            svg.selectAll("g.links, g.meta-layer, g.prediction-layer, g.nodes, g.labels").attr("transform", view.transform);
+            svg.select(".focus-layer").remove();
+        }
+        
+        d3.select(svgNode)
+            .insert("style", ":first-child")
+            .text(this.exportStyles());
+        return options.legend ? this.appendLegend(svgNode, view.width, view.height) : svgNode;
+    }
+    
+    exportSVG() {
+        const svgData = new XMLSerializer().serializeToString(this.exportableSVG());
+        this.downloadFile(svgData, "network_visualization.svg", "image/svg+xml");
+    }
+    
+    // 导出当前筛选后的图，包含计算得到的指标和当前的节点颜色
+    exportData(format = d3.select("#exportFormat").property("value")) {
+        const options = {
+            color: d => this.nodeColor(d),
+            label: d => this.encoding.label === "none" ? String(d.id) : this.encoding.labelOf(d),
+            metrics: this.plugins.metricAttributes()
+        };
+        const plugin = this.plugins.exporter(format);
+        if (plugin) {
+            const content = PluginRegistry.guard(plugin.owner, `导出 ${format}`, () => plugin.export(this.filteredData, options));
+            if (content === undefined) {
+                alert(`导出 ${plugin.label || format} 失败，详情见控制台`);
+                return;
+            }
+            this.downloadFile(content, plugin.fileName || `network.${format}`, plugin.type || "text/plain");
+            return;
+        }
+        const spec = GraphExporter.formats.find(d => d.key === format);
+        const content = GraphExporter.export(format, this.filteredData, options);
+        this.downloadFile(content, spec.fileName, spec.type);
+    }
+    
+    // 导出当前筛选后的节点坐标，同时记录布局、视觉编码和生成该子图的筛选条件
+    exportLayout() {
+        const { filters, ego } = this.captureViewState();
+        const layout = LayoutFile.create({
+            nodes: this.filteredData.nodes,
+            links: this.filteredData.links,
+            layout: this.layout,
+            encoding: this.encoding.toJSON(),
+            view: { filters, ego },
+            dataset: this.datasetName
+        });
+        this.downloadFile(JSON.stringify(layout, null, 2), "network_layout.json", "application/json");
+    }
+    
+    importLayout(event) {
+        const file = event.target.files[0];
+        event.target.value = "";
+        if (!file || !this.data) return;
+        
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            let json;
+            try {
+                json = JSON.parse(e.target.result);
+            } catch (error) {
+                alert(`布局文件不是有效的 JSON：${error.message}`);
+                return;
+            }
+            const { layout, errors, warnings } = LayoutFile.validate(json);
+            if (!layout) {
+                alert(`无法导入布局文件 ${file.name}：\n${errors.join("\n")}`);
+                return;
+            }
+            this.showLayoutImport(layout, warnings, file.name);
+        };
+        reader.readAsText(file);
+    }
+    
+    // 导入前显示与当前图的比对结果，由用户选择导入方式
+    showLayoutImport(layout, warnings, fileName) {
+        const { matched, extra, missing } = LayoutFile.diff(layout, this.data.nodes, this.filteredData.nodes);
+        const notes = [...warnings];
+        if (layout.dataset && layout.dataset !== this.datasetName) {
+            notes.push(`布局导出自数据集 ${layout.dataset}，当前数据集为 ${this.datasetName}`);
+        }
+        if (matched.length === 0) notes.push("没有与当前图匹配的节点 ID，无法导入");
+        const sample = ids => ids.slice(0, 5).join(", ") + (ids.length > 5 ? " ..." : "");
+        
+        this.pendingLayout = layout;
+        const summary = d3.select("#layoutImportSummary");
+        summary.selectAll("*").remove();
+        summary.append("div")
+            .attr("class", "layout-import-title")
+            .text(`${fileName}（版本 ${layout.version}${layout.exportTime ? `，${layout.exportTime.slice(0, 10)}` : ""}）`);
+        summary.append("div").text(`匹配 ${matched.length} 个节点，文件中 ${extra.length} 个 ID 不在当前图中`);
+        if (extra.length > 0) summary.append("div").attr("class", "layout-import-ids").text(sample(extra));
+        summary.append("div").text(`当前视图中 ${missing.length} 个节点没有坐标`);
+        if (missing.length > 0) summary.append("div").attr("class", "layout-import-ids").text(sample(missing.map(d => d.id)));
+        summary.selectAll("div.layout-import-warning")
+            .data(notes)
+            .join("div")
+            .attr("class", "layout-import-warning")
+            .text(d => d);
+        
+        // 旧版文件没有记录筛选条件
+        d3.select("#layoutImportMode")
+            .property("value", "positions")
+            .select("option[value='view']")
+            .property("disabled", !layout.view);
+        d3.select("#applyLayoutImportBtn").property("disabled", matched.length === 0);
+        d3.select("#layoutImport").style("display", null);
+    }
+    
+    closeLayoutImport() {
+        this.pendingLayout = null;
+        d3.select("#layoutImport").style("display", "none");
+    }
+    
+    confirmLayoutImport() {
+        const layout = this.pendingLayout;
+        this.closeLayoutImport();
+        if (!layout) return;
+        this.applyLayout(layout, {
+            mode: d3.select("#layoutImportMode").property("value"),
+            pin: d3.select("#layoutImportPin").property("checked")
+        });
+    }
+    
+    // mode 为 positions 时只应用坐标；为 view 时同时恢复布局类型、视觉编码以及导出时的子图和筛选条件
+    // pin 为 true 时固定所有导入的节点
+    applyLayout(layout, { mode = "positions", pin = false } = {}) {
+        if (mode === "view") {
+            // 布局文件中保存的视觉编码，半径随之变化
+            if (layout.encoding) {
+                this.encoding.apply(layout.encoding);
+                this.syncEncodingControls();
+                this.applyEncoding(false);
+                this.simulation.setData(this.filteredData.nodes, this.filteredData.links);
+            }
+            
+            // 恢复布局类型，但不重新计算坐标
+            const layoutType = layout.layout && layout.layout.type;
+            if (this.layoutTypes().some(d => d.key === layoutType)) {
+                this.stopLayoutAnimation();
+                this.layout = { type: layoutType, root: layout.layout.root !== undefined ? layout.layout.root : null };
+                d3.select("#layoutType").property("value", layoutType);
+                this.simulation.setClusterTargets(layoutType === "cluster"
+                    ? GraphLayouts.communityCenters(this.filteredData.nodes, this.layoutBounds())
+                    : null);
+            }
+            
+            if (layout.view) {
+                this.applyViewState({
+                    filters: layout.view.filters,
+                    ego: layout.view.ego,
+                    displayMode: d3.select("#displayMode").property("value")
+                });
+                this.stopLayoutAnimation();
+            }
+        }
+        
+        // 不在当前视图中的节点也写入坐标，之后显示时使用
+        const { matched } = LayoutFile.diff(layout, this.data.nodes);
+        const fixedLayout = this.isStaticLayout();
+        matched.forEach(([node, entry]) => {
+            node.x = entry.x;
+            node.y = entry.y;
+            node.fx = entry.fx;
+            node.fy = entry.fy;
+            // 静态布局的节点保持固定
+            if (pin || (fixedLayout && node.fx === null)) {
+                node.fx = node.x;
+                node.fy = node.y;
+            }
+        });
+        
+        this.updatePositions();
+        this.simulation.syncPositions().restart(0.1);
+        this.scheduleViewStateUpdate();
+    }
+    
+    // 视图状态：节点以 ID 表示，可写入 URL hash
+    // 静态布局只保存布局类型和根节点，坐标在恢复时重新计算；力导向类布局保存固定节点的坐标
+    // 自我网络保存面包屑上的各级，孤立的选择集不保存
+    captureViewState() {
+        const { measure, min, max, communities, excluded } = this.filters;
+        const [lower, upper] = this.measureExtent(measure);
+        const ranged = measure !== "degree" || min > lower || max < upper;
+        // 固定节点过多时只保存前 maxHashPins 个，避免链接过长
+        const pins = this.isStaticLayout() ? [] : this.data.nodes
+            .filter(d => d.fx !== null && d.fx !== undefined)
+            .slice(0, this.config.maxHashPins);
+    
+        return {
+            source: this.dataSource,
+            dataset: !this.dataSource && this.datasetName !== this.config.datasetName ? this.datasetName : null,
+            filters: {
+                measure: measure,
+                min: ranged ? min : -Infinity,
+                max: ranged ? max : Infinity,
+                communities: communities ? Array.from(communities).sort(d3.ascending) : null,
+                excluded: excluded ? Array.from(excluded, d => d.id) : null
+            },
+            ego: this.ego.stack.filter(d => d.center).map(d => ({ center: d.center.id, hops: d.hops })),
+            selected: this.currentHighlighted ? this.currentHighlighted.id : null,
+            displayMode: d3.select("#displayMode").property("value"),
+            layout: { ...this.layout },
+            forces: {
+                chargeStrength: parseInt(d3.select("#chargeStrength").property("value")),
+                linkDistance: parseInt(d3.select("#linkDistance").property("value"))
+            },
+            encoding: this.encoding.toJSON(),
+            pins: pins.map(d => ({ id: d.id, x: d.fx, y: d.fy })),
+            transform: { x: this.transform.x, y: this.transform.y, k: this.transform.k }
+        };
+    }
+    
+    // 视图变化频繁（如缩放），延迟写入；replaceState 不产生新的历史记录
+    scheduleViewStateUpdate() {
+        if (!this.data || this.pendingViewState) return;
+        clearTimeout(this.viewStateTimer);
+        this.viewStateTimer = setTimeout(() => this.writeViewState(), this.config.viewStateDelay);
+    }
+    
+    writeViewState() {
+        clearTimeout(this.viewStateTimer);
+        this.viewStateTimer = null;
+        if (!this.data || this.pendingViewState) return;
+        window.history.replaceState(null, "", `#${ViewState.encode(this.captureViewState())}`);
+    }
+    
+    async restoreFromHash() {
+        const state = ViewState.decode(window.location.hash);
+        const isDefault = !this.dataSource && this.datasetName === this.config.datasetName;
+        if (state.source ? state.source !== this.dataSource : !state.dataset && !isDefault) {
+            this.showLoading(true);
+            await this.loadData(state.source);
+            this.showLoading(false);
+        }
+        this.restoreViewState(state);
+    }
+    
+    // hash 指向本地文件时无法自动加载，等待用户打开同名文件后再恢复
+    restoreViewState(state) {
+        this.pendingViewState = null;
+        d3.select("#viewStateNotice").style("display", "none");
+        if (!this.data || Object.keys(state).length === 0) return;
+    
+        if (state.dataset && state.dataset !== this.datasetName) {
+            this.pendingViewState = state;
+            d3.select("#viewStateNotice")
+                .style("display", null)
+                .text(`链接中的视图基于本地文件 ${state.dataset}，重新打开该文件即可恢复`);
+            return;
+        }
+        this.applyViewState(state);
+    }
+    
+    restorePendingViewState(name) {
+        const state = this.pendingViewState;
+        this.pendingViewState = null;
+        d3.select("#viewStateNotice").style("display", "none");
+        if (state && state.dataset === name) this.applyViewState(state);
+        this.scheduleViewStateUpdate();
+    }
+    
+    // 在当前数据上恢复视图，找不到的节点直接忽略
+    applyViewState(state) {
+        const nodeById = new Map(this.data.nodes.map(d => [String(d.id), d]));
+        const findNode = id => id === null || id === undefined ? undefined : nodeById.get(String(id));
+    
+        if (state.encoding) {
+            this.encoding.apply(state.encoding);
+            this.syncEncodingControls();
+            this.applyEncoding(false);
+        }
+    
+        if (state.forces) {
+            const { chargeStrength, linkDistance } = state.forces;
+            d3.select("#chargeStrength").property("value", chargeStrength);
+            d3.select("#chargeValue").text(chargeStrength);
+            d3.select("#linkDistance").property("value", linkDistance);
+            d3.select("#linkValue").text(linkDistance);
+            this.simulation.setForces({ chargeStrength: chargeStrength, linkDistance: linkDistance });
+        }
+    
+        // 布局在筛选之后按筛选结果运行
+        if (state.layout && this.layoutTypes().some(d => d.key === state.layout.type)) {
+            const root = findNode(state.layout.root);
+            this.stopLayoutAnimation();
+            this.layout = { type: state.layout.type, root: root ? root.id : null };
+            d3.select("#layoutType").property("value", this.layout.type);
+        }
+    
+        if (state.filters) {
+            const { measure, min, max, communities, excluded } = state.filters;
+            const hidden = new Set((excluded || []).map(findNode).filter(d => d));
+            this.filters.measure = measure === "coreness" ? "coreness" : "degree";
+            this.filters.min = min;
+            this.filters.max = max;
+            this.filters.communities = communities && communities.length > 0 ? new Set(communities) : null;
+            this.filters.excluded = hidden.size > 0 ? hidden : null;
+    
+            d3.select("#rangeMeasure").property("value", this.filters.measure);
+            d3.select("#communityFilter").selectAll("option")
+                .property("selected", (d, i, options) => this.filters.communities
+                    ? this.filters.communities.has(+options[i].value)
+                    : options[i].value === "all");
+            this.updateRangeSliders();
+            this.renderHistogram();
+            this.moveHistogramBrush();
+            this.updateRestoreHiddenButton();
+        }
+    
+        const egoViews = (state.ego || [])
+            .map(d => ({ center: findNode(d.center), hops: d.hops }))
+            .filter(d => d.center);
+        if (this.ego.stack.length > 0) this.exitEgoNetwork();
+        if (egoViews.length > 0) {
+            egoViews.forEach(view => this.pushSubgraphView(view));
+        } else {
+            this.applyFilters();
+        }
+    
+        if (state.pins && !this.isStaticLayout()) {
+            state.pins.forEach(pin => {
+                const node = findNode(pin.id);
+                if (!node) return;
+                node.x = node.fx = pin.x;
+                node.y = node.fy = pin.y;
+            });
+            this.updatePositions();
+            this.simulation.syncPositions().restart(this.config.simulationAlpha);
+        }
+    
+        const selected = findNode(state.selected);
+        if (selected) this.highlightNode(selected);
+    
+        const mode = ["all", "neighbors", "highlighted"].includes(state.displayMode) ? state.displayMode : "all";
+        d3.select("#displayMode").property("value", mode);
+        this.setDisplayMode(mode);
+    
+        // 覆盖布局动画中的自动缩放
+        if (state.transform) {
+            const { x, y, k } = state.transform;
+            this.zoomTarget()
+                .interrupt()
+                .call(this.zoom.transform, d3.zoomIdentity.translate(x, y).scale(k));
+        }
     }
     
-    setDisplayMode(mode) {
-        switch (mode) {
-            case "all":
-                this.showAllNodes();
-                break;
-            case "neighbors":
-                this.showNeighborsOnly();
-                break;
-            case "highlighted":
-                this.showHighlightedOnly();
-                break;
+    // 复制当前视图的链接；不支持剪贴板 API 时（如非 HTTPS 页面）弹出链接供手动复制
+    copyViewLink() {
+        this.writeViewState();
+        const url = window.location.href;
+        const button = d3.select("#copyLinkBtn");
+    
+        if (!navigator.clipboard) {
+            window.prompt("复制以下链接:", url);
+            return;
         }
+        navigator.clipboard.writeText(url)
+            .then(() => {
+                button.text("已复制");
+                setTimeout(() => button.text("复制链接"), 1500);
+            })
+            .catch(() => window.prompt("复制以下链接:", url));
     }
     
-    showAllNodes() {
-        this.nodeGroup.selectAll(".node")
-            .classed("hidden", false);
-        this.linkGroup.selectAll(".link")
-            .classed("hidden", false);
+    // 编辑模式：双击空白处添加节点，从节点拖到另一节点连边，点击边选中，Delete 删除选中的节点和边
+    toggleEditMode(active = !this.editMode.active) {
+        this.editMode.active = active;
+        if (active) this.togglePathMode(false);
+        this.selectLinks([]);
+        d3.select("body").classed("editing", active);
+        d3.select("#editModeBtn")
+            .classed("active", active)
+            .text(active ? "退出编辑" : "编辑模式");
+        if (this.currentHighlighted) this.showNodeDetail(this.currentHighlighted);
     }
     
-    showNeighborsOnly() {
-        if (!this.currentHighlighted) return;
-        
-        this.nodeGroup.selectAll(".node")
-            .classed("hidden", d => d.id !== this.currentHighlighted.id && !this.currentHighlighted.neighbors.has(d));
-        
-        this.linkGroup.selectAll(".link")
-            .classed("hidden", d => d.source.id !== this.currentHighlighted.id && d.target.id !== this.currentHighlighted.id);
+    // 屏幕坐标转换为图坐标后查找，SVG 和 Canvas 共用
+    nodeAt(x, y) {
+        const hidden = this.nodeClasses.get("hidden") || new Set();
+        const removed = this.nodeClasses.get("removed") || new Set();
+        const tolerance = 3 / this.transform.k;
+        let found = null;
+        let best = Infinity;
+        this.filteredData.nodes.forEach(d => {
+            if (hidden.has(d) || removed.has(d) || this.isCollapsed(d)) return;
+            const distance = Math.hypot(d.x - x, d.y - y);
+            if (distance <= d.radius + tolerance && distance < best) {
+                found = d;
+                best = distance;
+            }
+        });
+        return found;
     }
     
-    showHighlightedOnly() {
-        this.nodeGroup.selectAll(".node")
-            .classed("hidden", d => !d3.select(this).classed("highlighted"));
-        
-        this.linkGroup.selectAll(".link")
-            .classed("hidden", d => !d3.select(this).classed("highlighted"));
+    linkAt(x, y) {
+        const hidden = this.linkClasses.get("hidden") || new Set();
+        const removed = this.linkClasses.get("removed") || new Set();
+        let found = null;
+        let best = 4 / this.transform.k;
+        const links = this.lod.view ? this.lod.view.links : this.filteredData.links;
+        links.forEach(d => {
+            if (hidden.has(d) || removed.has(d)) return;
+            // 捆绑的边按控制点连成的折线计算距离
+            const distance = this.bundling.mode === "none"
+                ? NetworkVisualization.segmentDistance(x, y, d.source, d.target)
+                : NetworkVisualization.polylineDistance(x, y, this.linkPoints(d));
+            if (distance < best) {
+                found = d;
+                best = distance;
+            }
+        });
+        return found;
     }
     
-    // 布局控制
-    restartSimulation() {
-        this.simulation.alpha(1).restart();
+    static segmentDistance(x, y, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const length2 = dx * dx + dy * dy;
+        const t = length2 > 0 ? Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / length2)) : 0;
+        return Math.hypot(x - (a.x + t * dx), y - (a.y + t * dy));
     }
     
-    togglePause() {
-        this.isPaused = !this.isPaused;
-        if (this.isPaused) {
-            this.simulation.stop();
-        } else {
-            this.simulation.restart();
+    static polylineDistance(x, y, points) {
+        let distance = Infinity;
+        for (let i = 1; i < points.length; i++) {
+            const a = { x: points[i - 1][0], y: points[i - 1][1] };
+            const b = { x: points[i][0], y: points[i][1] };
+            distance = Math.min(distance, NetworkVisualization.segmentDistance(x, y, a, b));
         }
-        d3.select("#pauseSimulationBtn").text(this.isPaused ? "继续" : "暂停");
+        return distance;
     }
     
-    updateForceParameters() {
-        const chargeStrength = parseInt(d3.select("#chargeStrength").property("value"));
-        const linkDistance = parseInt(d3.select("#linkDistance").property("value"));
-        
-        this.simulation
-            .force("charge", d3.forceManyBody().strength(chargeStrength))
-            .force("link", d3.forceLink(this.filteredData.links)
-                .id(d => d.id)
-                .distance(linkDistance));
-        
-        this.simulation.alpha(0.3).restart();
+    // 绑定在接收缩放手势的元素上，节点上的事件由节点自己处理
+    setupEditEvents(selection) {
+        selection
+            .on("click.edit", (event) => {
+                if (!this.editMode.active || event.defaultPrevented) return;
+                const [x, y] = this.transform.invert(d3.pointer(event, selection.node()));
+                if (this.nodeAt(x, y)) return;
+                const link = this.linkAt(x, y);
+                const links = new Set(event.ctrlKey || event.metaKey ? this.editMode.links : []);
+                if (link && links.has(link)) links.delete(link);
+                else if (link) links.add(link);
+                this.selectLinks(links);
+            })
+            .on("dblclick.edit", (event) => {
+                if (!this.editMode.active) return;
+                const [x, y] = this.transform.invert(d3.pointer(event, selection.node()));
+                if (this.nodeAt(x, y)) return;
+                this.addNodeAt(x, y);
+            });
     }
     
-    // 缩放控制
-    zoomIn() {
-        this.svg.transition().call(this.zoom.scaleBy, 1.5);
+    selectLinks(links) {
+        this.editMode.links = new Set(links);
+        this.setLinkClass("selected", d => this.editMode.links.has(d));
     }
     
-    zoomOut() {
-        this.svg.transition().call(this.zoom.scaleBy, 1 / 1.5);
+    // 待删除的对象：框选的节点、当前高亮的节点和选中的边
+    deletionTargets() {
+        const nodes = new Set(this.selection);
+        if (this.currentHighlighted) nodes.add(this.currentHighlighted);
+        const links = Array.from(this.editMode.links).filter(d => !nodes.has(d.source) && !nodes.has(d.target));
+        return { nodes: Array.from(nodes), links: links };
     }
     
-    resetZoom() {
-        this.svg.transition().call(this.zoom.transform, d3.zoomIdentity);
+    // 连边：拖动时在选择层上画出从起点到指针的虚线
+    startConnect(node) {
+        this.editMode.connect = { source: node, target: null };
+        this.hideTooltip();
+        d3.select("#selectionOverlay").append("line")
+            .attr("class", "connect-line");
+        this.moveConnect(node.x, node.y);
     }
     
-    // 详情面板
-    showNodeDetail(node) {
-        const detailPanel = d3.select("#detailPanel");
-        const detailContent = d3.select("#detailContent");
-        
-        detailContent.html(`
-            <div class="node-detail">
-                <h4>节点 ${node.id}</h4>
-                <div class="detail-item">
-                    <strong>度数:</strong> ${node.degree}
-                </div>
-                <div class="detail-item">
-                    <strong>社群:</strong> ${node.group}
-                </div>
-                <div class="detail-item">
-                    <strong>邻居数量:</strong> ${node.neighbors.size}
-                </div>
-                <div class="detail-item">
-                    <strong>坐标:</strong> (${Math.round(node.x)}, ${Math.round(node.y)})
-                </div>
-                <div class="neighbors-list">
-                    <h5>邻居节点:</h5>
-                    <div class="neighbor-nodes">
-                        ${Array.from(node.neighbors).slice(0, 10).map(n => 
-                            `<span class="neighbor-tag" onclick="network.highlightNode(network.data.nodes.find(d => d.id === ${n.id}))">${n.id}</span>`
-                        ).join("")}
-                        ${node.neighbors.size > 10 ? `<span class="more-neighbors">...还有 ${node.neighbors.size - 10} 个</span>` : ""}
-                    </div>
-                </div>
-            </div>
-        `);
-        
-        detailPanel.classed("active", true);
+    moveConnect(x, y) {
+        const connect = this.editMode.connect;
+        if (!connect) return;
+        const target = this.nodeAt(x, y);
+        connect.target = target && target !== connect.source ? target : null;
+        const [x1, y1] = this.transform.apply([connect.source.x, connect.source.y]);
+        const [x2, y2] = this.transform.apply(connect.target ? [connect.target.x, connect.target.y] : [x, y]);
+        d3.select("#selectionOverlay .connect-line")
+            .classed("valid", !!connect.target && !connect.source.neighbors.has(connect.target))
+            .attr("x1", x1)
+            .attr("y1", y1)
+            .attr("x2", x2)
+            .attr("y2", y2);
     }
     
-    closeDetailPanel() {
-        d3.select("#detailPanel").classed("active", false);
+    endConnect() {
+        const connect = this.editMode.connect;
+        this.editMode.connect = null;
+        d3.select("#selectionOverlay .connect-line").remove();
+        if (!connect || !connect.target) return;
+        this.editGraph(() => GraphEditor.addLink(this.data, connect.source, connect.target));
     }
     
-    // 导出功能
-    exportPNG() {
-        const canvas = document.createElement("canvas");
-        const ctx = canvas.getContext("2d");
-        const svgData = new XMLSerializer().serializeToString(this.svg.node());
-        const img = new Image();
-        
-        canvas.width = this.config.width;
-        canvas.height = this.config.height;
-        
-        img.onload = () => {
-            ctx.fillStyle = "#f5f7fa";
-            ctx.fillRect(0, 0, canvas.width, canvas.height);
-            ctx.drawImage(img, 0, 0);
-            
-            const link = document.createElement("a");
-            link.download = "network_visualization.png";
-            link.href = canvas.toDataURL();
-            link.click();
-        };
-        
-        img.src = "data:image/svg+xml;base64," + btoa(svgData);
+    addNodeAt(x, y) {
+        let node;
+        this.editGraph(() => {
+            node = GraphEditor.addNode(this.data, { x: x, y: y });
+            // 当前处于子图视图时，新节点也加入视图（与其他成员不连通）
+            if (this.filters.ego instanceof Map) this.filters.ego.set(node, Infinity);
+            else if (this.filters.ego) this.filters.ego.add(node);
+        });
+        // 新节点停在双击的位置
+        node.fx = x;
+        node.fy = y;
+        this.simulation.pin(node);
+        this.highlightNode(node);
     }
     
-    exportSVG() {
-        const svgData = new XMLSerializer().serializeToString(this.svg.node());
-        const blob = new Blob([svgData], { type: "image/svg+xml" });
-        const url = URL.createObjectURL(blob);
-        
-        const link = document.createElement("a");
-        link.download = "network_visualization.svg";
-        link.href = url;
-        link.click();
-        
-        URL.revokeObjectURL(url);
-    }
+    deleteSelected() {
+        const { nodes, links } = this.deletionTargets();
+        if (nodes.length + links.length === 0) return;
+        const removed = new Set(nodes);
     
-    exportLayout() {
-        const layout = {
-            nodes: this.filteredData.nodes.map(d => ({
-                id: d.id,
-                x: d.x,
-                y: d.y,
-                fx: d.fx,
-                fy: d.fy
-            })),
-            links: this.filteredData.links.map(d => ({
-                source: d.source.id,
-                target: d.target.id
-            })),
-            metadata: {
-                exportTime: new Date().toISOString(),
-                nodeCount: this.filteredData.nodes.length,
-                linkCount: this.filteredData.links.length
+        this.editGraph(() => {
+            GraphEditor.removeLinks(this.data, links);
+            GraphEditor.removeNodes(this.data, nodes);
+    
+            // 清理引用了已删除节点的状态
+            if (this.filters.ego) removed.forEach(d => this.filters.ego.delete(d));
+            if (this.filters.excluded) removed.forEach(d => this.filters.excluded.delete(d));
+            if (this.ego.savedPositions) removed.forEach(d => this.ego.savedPositions.delete(d));
+            if (this.currentHighlighted && removed.has(this.currentHighlighted)) {
+                this.clearHighlight();
+                this.closeDetailPanel();
             }
-        };
-        
-        const blob = new Blob([JSON.stringify(layout, null, 2)], { type: "application/json" });
-        const url = URL.createObjectURL(blob);
-        
-        const link = document.createElement("a");
-        link.download = "network_layout.json";
-        link.href = url;
-        link.click();
-        
-        URL.revokeObjectURL(url);
+            this.selectLinks([]);
+            this.setSelection(Array.from(this.selection).filter(d => !removed.has(d)));
+            this.updateRestoreHiddenButton();
+        });
+    
+        // 删除了自我网络的中心时回到完整图
+        if (this.ego.stack.some(view => view.center && removed.has(view.center))) {
+            this.exitEgoNetwork();
+        }
     }
     
-    importLayout(event) {
-        const file = event.target.files[0];
-        if (!file) return;
-        
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            try {
-                const layout = JSON.parse(e.target.result);
-                this.applyLayout(layout);
-            } catch (error) {
-                alert("布局文件格式错误");
-            }
-        };
-        reader.readAsText(file);
+    // 所有编辑都经由此处：保持 degree 相关的派生数据一致并刷新视图
+    // 中心性和全局指标计算量较大，在编辑停止一段时间后再重新计算
+    editGraph(change) {
+        const [lower, upper] = this.measureExtent(this.filters.measure);
+        const fullRange = this.filters.min <= lower && this.filters.max >= upper;
+    
+        const result = change();
+        this.togglePathMode(false);
+    
+        // 原来未做范围筛选时，范围跟随新的取值范围扩展
+        const coreNumbers = GraphMetrics.coreNumbers(this.data.nodes);
+        this.data.nodes.forEach((node, i) => {
+            node.coreness = coreNumbers[i];
+        });
+        if (fullRange) {
+            [this.filters.min, this.filters.max] = this.measureExtent(this.filters.measure);
+        }
+        this.data.edited = true;
+    
+        this.encoding.update(this.data.nodes);
+        this.updateRangeSliders();
+        this.renderHistogram();
+        this.computeCommunityStats();
+        this.populateCommunityFilter();
+        this.renderCommunityPanel();
+        // 以较低的温度重启仿真，已有节点基本保持原位
+        this.applyFilters(this.config.simulationAlpha);
+        this.applyEncoding(false);
+        if (this.currentHighlighted) this.highlightNode(this.currentHighlighted);
+    
+        clearTimeout(this.editMode.metricsTimer);
+        this.editMode.metricsTimer = setTimeout(() => this.recomputeMetrics(), this.config.editMetricsDelay);
+        return result;
     }
     
-    applyLayout(layout) {
-        if (layout.nodes && layout.links) {
-            // 更新节点位置
-            layout.nodes.forEach(layoutNode => {
-                const node = this.filteredData.nodes.find(d => d.id === layoutNode.id);
-                if (node) {
-                    node.x = layoutNode.x;
-                    node.y = layoutNode.y;
-                    node.fx = layoutNode.fx;
-                    node.fy = layoutNode.fy;
-                }
-            });
-            
-            this.updatePositions();
-            this.simulation.alpha(0.1).restart();
+    recomputeMetrics() {
+        this.editMode.metricsTimer = null;
+        if (!this.data) return;
+        this.data.metrics = this.computeStructuralMetrics(this.data.nodes);
+        this.encoding.discover(this.data.nodes, this.plugins.metricAttributes());
+        this.populateEncodingControls();
+        this.applyEncoding(this.encoding.radius !== "uniform" && this.encoding.radius !== "degree");
+        this.updateStatistics();
+        if (this.currentHighlighted && d3.select("#detailTitle").text() === "节点详情") {
+            this.showNodeDetail(this.currentHighlighted);
         }
     }
     
+    // 详情面板中的属性编辑器，属性保存在 originalData 中
+    renderAttributeEditor(container, node) {
+        const editor = container.append("div").attr("class", "attribute-editor");
+        editor.append("h5").text("属性");
+    
+        const fields = Object.keys(node.originalData || {}).filter(field => field !== "id");
+        const rows = editor.selectAll(".attribute-row")
+            .data(fields)
+            .enter()
+            .append("div")
+            .attr("class", "attribute-row");
+        rows.append("label").text(d => d);
+        rows.append("input")
+            .attr("type", "text")
+            .property("value", d => node.originalData[d])
+            .on("change", (event, field) => this.setNodeAttribute(node, field, event.target.value));
+    
+        const add = editor.append("div").attr("class", "attribute-row attribute-add");
+        const name = add.append("input")
+            .attr("type", "text")
+            .attr("placeholder", "属性名");
+        const value = add.append("input")
+            .attr("type", "text")
+            .attr("placeholder", "值");
+        add.append("button")
+            .text("添加")
+            .on("click", () => {
+                const field = name.property("value").trim();
+                if (!field || field === "id") return;
+                this.setNodeAttribute(node, field, value.property("value"));
+            });
+    
+        editor.append("button")
+            .attr("class", "delete-node")
+            .text("删除此节点")
+            .on("click", () => {
+                this.highlightNode(node);
+                this.selectLinks([]);
+                this.setSelection([]);
+                this.deleteSelected();
+            });
+    }
+    
+    setNodeAttribute(node, field, text) {
+        GraphEditor.setAttribute(node, field, text);
+        this.data.edited = true;
+        // 新字段加入视觉编码的属性列表
+        this.encoding.discover(this.data.nodes, this.plugins.metricAttributes());
+        this.populateEncodingControls();
+        this.applyEncoding(false);
+        this.showNodeDetail(node);
+    }
+    
+    // 导出编辑后的完整图，可通过“打开图文件”重新读取
+    exportGraph() {
+        const content = JSON.stringify(GraphEditor.toJSON(this.data), null, 2);
+        this.downloadFile(content, "network_graph.json", "application/json");
+    }
+    
     // 工具提示
     showTooltip(event, d) {
         this.tooltip
@@ -604,11 +4112,25 @@
             .style("top", (event.pageY - 10) + "px")
             .style("display", "block")
             .html(`
-                <strong>节点 ${d.id}</strong><br>
+                <strong></strong><br>
                 度数: ${d.degree}<br>
                 社群: ${d.group}<br>
                 邻居: ${d.neighbors.size}
             `);
+        this.tooltip.select("strong").text(`节点 ${d.id}`);
+    }
+    
+    showCommunityTooltip(event, meta) {
+        this.tooltip
+            .style("left", (event.pageX + 10) + "px")
+            .style("top", (event.pageY - 10) + "px")
+            .style("display", "block")
+            .html(`
+                <strong>社群 ${meta.group}</strong><br>
+                节点: ${meta.size}<br>
+                内部连接: ${meta.internalLinks}<br>
+                点击展开
+            `);
     }
     
     hideTooltip() {
@@ -616,52 +4138,470 @@
     }
     
     // 更新可视化
-    updateVisualization() {
+    updateVisualization(alpha = 1) {
+        // 预测和鲁棒性模拟基于筛选前的子图，筛选结果变化后失效
+        this.prediction.global = null;
+        this.prediction.evaluation = null;
+        if (this.prediction.links.length > 0) this.showPredictions([]);
+        this.resetResilience();
+        
+        if (this.rendererType === "canvas") {
+            this.canvasRenderer.setData(this.filteredData.nodes, this.filteredData.links);
+        } else {
+            this.updateSVGElements();
+        }
+        
+        // 重新启动仿真，其他布局按筛选后的节点重新排列
+        if (this.layout.type === "force") {
+            this.simulation
+                .setData(this.filteredData.nodes, this.filteredData.links)
+                .restart(alpha);
+        } else {
+            this.runLayout();
+        }
+        
+        this.updateStatistics();
+    }
+    
+    updateSVGElements() {
+        this.lod.key = null;
+        
         // 更新连接
+        // 以 ID 为键，筛选或编辑后元素仍对应原来的节点和连接
         this.linkGroup.selectAll(".link")
-            .data(this.filteredData.links)
+            .data(this.filteredData.links, d => `${d.source.id}\u0000${d.target.id}`)
             .join(
-                enter => enter.append("line").attr("class", "link"),
+                enter => enter.append("path")
+                    .attr("class", d => this.linkClassName(d))
+                    .attr("fill", "none"),
                 update => update,
                 exit => exit.remove()
             );
         
         // 更新节点
         this.nodeGroup.selectAll(".node")
-            .data(this.filteredData.nodes)
+            .data(this.filteredData.nodes, d => d.id)
             .join(
                 enter => enter.append("circle")
-                    .attr("class", "node")
+                    .attr("class", d => this.nodeClassName(d))
                     .attr("r", d => d.radius)
-                    .attr("fill", d => d3.schemeCategory10[d.group % 10])
+                    .attr("fill", d => this.nodeColor(d))
                     .attr("stroke", "#fff")
                     .attr("stroke-width", 1.5)
                     .call(this.drag())
                     .on("mouseover", (event, d) => this.showTooltip(event, d))
                     .on("mouseout", () => this.hideTooltip())
-                    .on("click", (event, d) => this.showNodeDetail(d)),
+                    .on("click", (event, d) => this.handleNodeClick(d)),
                 update => update,
                 exit => exit.remove()
             );
         
-        // 重新启动仿真
-        this.simulation.nodes(this.filteredData.nodes);
-        this.simulation.force("link").links(this.filteredData.links);
-        this.simulation.alpha(1).restart();
+        this.renderLabels();
+    }
+    
+    // 数据带时间戳时显示时间轴，初始为最后时刻的累积图，即完整的图
+    setupTimeline() {
+        this.stopPlayback();
+        const timeline = GraphTimeline.isTemporal(this.data.links) ? new GraphTimeline(this.data.links) : null;
+        this.timeline.data = timeline;
+        this.timeline.window = Infinity;
+        this.timeline.series = null;
+        this.timeline.time = timeline ? timeline.extent[1] : null;
+        
+        d3.select("#timelineControls").style("display", timeline ? null : "none");
+        d3.select("#timelineStats").style("display", timeline ? null : "none");
+        if (!timeline) return;
         
-        this.updateStatistics();
+        d3.select("#timelineWindow")
+            .selectAll("option")
+            .data(timeline.windows())
+            .join("option")
+            .attr("value", d => d.value)
+            .text(d => d.label);
+        d3.select("#timelineWindow").property("value", Infinity);
+        d3.select("#timelineSlider")
+            .attr("max", this.config.timelineSteps)
+            .property("value", this.config.timelineSteps);
+        this.updateTimelineControls();
+    }
+    
+    timelineTimeAt(step) {
+        const timeline = this.timeline.data;
+        return timeline.extent[0] + timeline.span * step / this.config.timelineSteps;
+    }
+    
+    // 切换到指定时刻，保留已显示节点的位置，由仿真平滑地调整布局
+    setTime(time, alpha = this.config.simulationAlpha) {
+        const timeline = this.timeline.data;
+        if (!timeline) return;
+        this.timeline.time = Math.max(timeline.extent[0], Math.min(timeline.extent[1], time));
+        const active = timeline.activeAt(this.timeline.time, this.timeline.window);
+        this.placeEnteringNodes(active.nodes);
+        this.filters.time = active;
+        this.applyFilters(alpha);
+        this.updateTimelineControls();
+    }
+    
+    // 新出现的节点放在已显示的邻居旁边，避免从远处飞入
+    placeEnteringNodes(nodes) {
+        const visible = new Set(this.filteredData.nodes);
+        nodes.forEach(d => {
+            if (visible.has(d) || (d.fx !== null && d.fx !== undefined)) return;
+            const anchor = Array.from(d.neighbors).find(neighbor => visible.has(neighbor));
+            if (!anchor) return;
+            const angle = Math.random() * 2 * Math.PI;
+            d.x = anchor.x + 10 * Math.cos(angle);
+            d.y = anchor.y + 10 * Math.sin(angle);
+            d.vx = 0;
+            d.vy = 0;
+        });
+    }
+    
+    setTimelineWindow(window) {
+        this.timeline.window = window;
+        this.timeline.series = null;
+        this.setTime(this.timeline.time);
+    }
+    
+    // 播放到结尾时自动停止，在结尾处开始播放时从头开始
+    togglePlayback(play = !this.timeline.timer) {
+        const timeline = this.timeline.data;
+        if (!play || !timeline) {
+            this.stopPlayback();
+            return;
+        }
+        if (this.timeline.time >= timeline.extent[1]) this.setTime(timeline.extent[0]);
+        
+        this.timeline.timer = d3.interval(() => {
+            const speed = +d3.select("#timelineSpeed").property("value");
+            const next = this.timeline.time + timeline.span / this.config.timelineSteps * speed;
+            this.setTime(next);
+            if (next >= timeline.extent[1]) this.stopPlayback();
+        }, this.config.timelineInterval);
+        this.updateTimelineControls();
+    }
+    
+    stopPlayback() {
+        if (this.timeline.timer) {
+            this.timeline.timer.stop();
+            this.timeline.timer = null;
+        }
+        this.updateTimelineControls();
+    }
+    
+    updateTimelineControls() {
+        const timeline = this.timeline.data;
+        d3.select("#timelinePlayBtn").text(this.timeline.timer ? "暂停" : "播放");
+        if (!timeline) return;
+        d3.select("#timelineSlider").property("value", timeline.span > 0
+            ? Math.round((this.timeline.time - timeline.extent[0]) / timeline.span * this.config.timelineSteps)
+            : this.config.timelineSteps);
+        d3.select("#timelineTime").text(timeline.format(this.timeline.time));
+    }
+    
+    // 按导出设置将播放过程逐帧导出为 PNG，再次点击按钮取消
+    async exportFrames() {
+        const timeline = this.timeline.data;
+        if (!timeline) return;
+        if (this.timeline.frames) {
+            this.timeline.frames.cancelled = true;
+            return;
+        }
+        
+        this.stopPlayback();
+        const frames = { cancelled: false };
+        this.timeline.frames = frames;
+        const button = d3.select("#exportFramesBtn");
+        const options = this.exportOptions();
+        const count = this.config.frameCount;
+        const digits = String(count).length;
+        
+        try {
+            for (let i = 0; i < count && !frames.cancelled; i++) {
+                button.text(`取消 ${i + 1}/${count}`);
+                this.setTime(timeline.extent[0] + timeline.span * i / (count - 1));
+                await new Promise(resolve => setTimeout(resolve, this.config.frameDelay));
+                if (frames.cancelled) break;
+                this.updatePositions();
+                await this.exportPNG(options, `frame_${String(i + 1).padStart(digits, "0")}.png`);
+            }
+        } catch (error) {
+            console.error("帧导出失败:", error);
+            alert(`帧导出失败: ${error.message}`);
+        } finally {
+            this.timeline.frames = null;
+            button.text("导出帧");
+        }
+    }
+    
+    // 各时刻的活跃节点数、边数和平均度数，各自按最大值归一化；点击曲线跳转到对应时刻
+    renderTimelineChart() {
+        const svg = d3.select("#timelineChart");
+        svg.selectAll("*").remove();
+        const timeline = this.timeline.data;
+        if (!timeline) return;
+        
+        if (!this.timeline.series) {
+            this.timeline.series = timeline.series(this.config.timelineSeriesSteps, this.timeline.window);
+        }
+        const series = this.timeline.series;
+        const width = +svg.attr("width");
+        const height = +svg.attr("height");
+        const margin = { top: 4, right: 6, bottom: 4, left: 6 };
+        const x = d3.scaleLinear()
+            .domain(timeline.extent)
+            .range([margin.left, width - margin.right]);
+        
+        const maxima = [["nodes", "节点数"], ["links", "边数"], ["averageDegree", "平均度数"]].map(([key, label]) => {
+            const y = d3.scaleLinear()
+                .domain([0, d3.max(series, d => d[key]) || 1])
+                .range([height - margin.bottom, margin.top]);
+            svg.append("path")
+                .attr("class", `timeline-line timeline-${key}`)
+                .attr("d", d3.line().x(d => x(d.time)).y(d => y(d[key]))(series));
+            return `${label}最大 ${d3.format(",.3~f")(y.domain()[1])}`;
+        });
+        
+        svg.append("line")
+            .attr("class", "timeline-cursor")
+            .attr("x1", x(this.timeline.time))
+            .attr("x2", x(this.timeline.time))
+            .attr("y1", margin.top)
+            .attr("y2", height - margin.bottom);
+        
+        svg.append("rect")
+            .attr("class", "timeline-overlay")
+            .attr("width", width)
+            .attr("height", height)
+            .on("click", (event) => {
+                this.stopPlayback();
+                this.setTime(x.invert(d3.pointer(event)[0]));
+            })
+            .append("title")
+            .text(maxima.join("\n"));
+    }
+    
+    // 鲁棒性模拟
+    runResilience() {
+        const strategy = d3.select("#resilienceStrategy").property("value");
+        this.stopResiliencePlayback();
+        this.showLoading(true);
+        // 让加载提示先显示出来
+        setTimeout(() => {
+            this.resilience.results.set(strategy, ResilienceSimulator.simulate(this.filteredData.nodes, {
+                strategy: strategy,
+                steps: this.config.resilienceSteps,
+                budget: this.config.resilienceBudget,
+                seed: this.config.communitySeed
+            }));
+            this.resilience.current = strategy;
+            this.showLoading(false);
+            this.setResilienceStep(0);
+            this.toggleResiliencePlayback(true);
+        }, 0);
+    }
+    
+    // 显示第 step 步之后的图：已移除的节点和与之相连的边淡出，布局保持不变
+    setResilienceStep(step) {
+        const result = this.resilience.results.get(this.resilience.current);
+        if (!result) return;
+        this.resilience.step = Math.max(0, Math.min(result.curve.length - 1, step));
+        const removed = new Set(result.curve.slice(1, this.resilience.step + 1).flatMap(d => d.nodes));
+        this.setNodeClass("removed", d => removed.has(d));
+        this.setLinkClass("removed", d => removed.has(d.source) || removed.has(d.target));
+        this.updateResilienceControls();
+    }
+    
+    toggleResiliencePlayback(play = !this.resilience.timer) {
+        const result = this.resilience.results.get(this.resilience.current);
+        if (!play || !result) {
+            this.stopResiliencePlayback();
+            return;
+        }
+        const last = result.curve.length - 1;
+        if (this.resilience.step >= last) this.setResilienceStep(0);
+        this.resilience.timer = d3.interval(() => {
+            this.setResilienceStep(this.resilience.step + 1);
+            if (this.resilience.step >= last) this.stopResiliencePlayback();
+        }, this.config.resilienceInterval);
+        this.updateResilienceControls();
+    }
+    
+    stopResiliencePlayback() {
+        if (this.resilience.timer) {
+            this.resilience.timer.stop();
+            this.resilience.timer = null;
+        }
+        this.updateResilienceControls();
+    }
+    
+    // 恢复移除的节点并清除所有策略的结果
+    resetResilience() {
+        this.stopResiliencePlayback();
+        this.resilience.results = new Map();
+        this.resilience.current = null;
+        this.resilience.step = 0;
+        if (this.nodeClasses.has("removed")) {
+            this.setNodeClass("removed", () => false);
+            this.setLinkClass("removed", () => false);
+        }
+        this.updateResilienceControls();
+    }
+    
+    updateResilienceControls() {
+        const { results, current, step, timer } = this.resilience;
+        const result = results.get(current);
+        d3.select("#resiliencePlayBtn")
+            .property("disabled", !result)
+            .text(timer ? "暂停" : "播放");
+        d3.select("#resilienceExportBtn").property("disabled", !result);
+        d3.select("#resilienceResetBtn").property("disabled", !result);
+        d3.select("#resilienceStats").style("display", result ? null : "none");
+        if (!result) {
+            d3.select("#resilienceSlider").property("disabled", true).attr("max", 0).property("value", 0);
+            d3.select("#resilienceStep").text("-");
+            return;
+        }
+        
+        const state = result.curve[step];
+        const percent = value => result.total > 0 ? `${Math.round(value / result.total * 100)}%` : "0%";
+        d3.select("#resilienceSlider")
+            .property("disabled", false)
+            .attr("max", result.curve.length - 1)
+            .property("value", step);
+        d3.select("#resilienceStep")
+            .text(`移除 ${state.removed} (${percent(state.removed)})，最大连通分量 ${state.giant} (${percent(state.giant)})，${state.components} 个连通分量`);
+        d3.select("#resilienceStrategy").property("value", current);
+        this.renderResilienceChart();
+    }
+    
+    // 横轴为移除比例，各策略的最大连通分量占比画在一起，当前策略附连通分量数（按最大值归一化）；点击曲线跳转到对应步骤
+    renderResilienceChart() {
+        const svg = d3.select("#resilienceChart");
+        svg.selectAll("*").remove();
+        const result = this.resilience.results.get(this.resilience.current);
+        if (!result) return;
+        
+        const width = +svg.attr("width");
+        const height = +svg.attr("height");
+        const margin = { top: 4, right: 6, bottom: 4, left: 6 };
+        const x = d3.scaleLinear()
+            .domain([0, 1])
+            .range([margin.left, width - margin.right]);
+        const y = d3.scaleLinear()
+            .domain([0, 1])
+            .range([height - margin.bottom, margin.top]);
+        const fraction = (value, total) => total > 0 ? value / total : 0;
+        
+        const results = Array.from(this.resilience.results.values());
+        svg.selectAll(".resilience-line")
+            .data(results)
+            .enter()
+            .append("path")
+            .attr("class", d => `resilience-line resilience-${d.strategy}`)
+            .classed("current", d => d === result)
+            .attr("d", d => d3.line()
+                .x(state => x(fraction(state.removed, d.total)))
+                .y(state => y(fraction(state.giant, d.total)))(d.curve));
+        
+        const components = d3.scaleLinear()
+            .domain([0, d3.max(result.curve, d => d.components) || 1])
+            .range(y.range());
+        svg.append("path")
+            .attr("class", "resilience-components")
+            .attr("d", d3.line()
+                .x(state => x(fraction(state.removed, result.total)))
+                .y(state => components(state.components))(result.curve));
+        
+        const cursor = x(fraction(result.curve[this.resilience.step].removed, result.total));
+        svg.append("line")
+            .attr("class", "timeline-cursor")
+            .attr("x1", cursor)
+            .attr("x2", cursor)
+            .attr("y1", margin.top)
+            .attr("y2", height - margin.bottom);
+        
+        const removed = result.curve.map(d => fraction(d.removed, result.total));
+        svg.append("rect")
+            .attr("class", "timeline-overlay")
+            .attr("width", width)
+            .attr("height", height)
+            .on("click", (event) => {
+                const value = x.invert(d3.pointer(event)[0]);
+                const step = d3.minIndex(removed, d => Math.abs(d - value));
+                this.stopResiliencePlayback();
+                this.setResilienceStep(step);
+            })
+            .append("title")
+            .text([
+                ...results.map(d => `${d.label}: R = ${d.robustness.toFixed(3)}`),
+                `连通分量数最大 ${components.domain()[1]}`
+            ].join("\n"));
+    }
+    
+    exportResilience() {
+        const results = Array.from(this.resilience.results.values());
+        if (results.length === 0) return;
+        this.downloadFile(ResilienceSimulator.toCSV(results), "network_resilience.csv", "text/csv");
     }
     
     // 统计信息
     updateStatistics() {
         const nodes = this.filteredData.nodes;
         const links = this.filteredData.links;
-        const degrees = nodes.map(d => d.degree);
+        let degrees = nodes.map(d => d.degree);
+        // 时序播放时按当前活跃的边计算度数，与演化图的平均度数一致
+        if (this.filters.time) {
+            const counts = new Map(nodes.map(d => [d, 0]));
+            links.forEach(link => {
+                counts.set(link.source, counts.get(link.source) + 1);
+                counts.set(link.target, counts.get(link.target) + 1);
+            });
+            degrees = Array.from(counts.values());
+        }
         
         d3.select("#totalNodes").text(nodes.length);
         d3.select("#totalLinks").text(links.length);
-        d3.select("#avgDegree").text((degrees.reduce((a, b) => a + b, 0) / degrees.length).toFixed(1));
-        d3.select("#maxDegree").text(Math.max(...degrees));
+        // 时序播放中可能没有活跃节点
+        d3.select("#avgDegree").text(degrees.length > 0 ? (degrees.reduce((a, b) => a + b, 0) / degrees.length).toFixed(1) : 0);
+        d3.select("#maxDegree").text(degrees.length > 0 ? Math.max(...degrees) : 0);
+        d3.select("#communityCount").text(this.data.communities.count);
+        d3.select("#modularity").text(this.data.communities.modularity.toFixed(3));
+        
+        // 全局指标针对完整的图，抽样时直径和平均路径长度为估计值
+        const metrics = this.data.metrics;
+        const estimate = metrics.sampled ? `基于 ${metrics.sampleSize} 个抽样源点的估计值` : null;
+        d3.select("#density").text(metrics.density.toFixed(4));
+        d3.select("#diameter")
+            .text(metrics.sampled ? `≥${metrics.diameter}` : metrics.diameter)
+            .attr("title", estimate);
+        d3.select("#avgPathLength")
+            .text(metrics.averagePathLength.toFixed(2))
+            .attr("title", estimate);
+        d3.select("#transitivity").text(metrics.transitivity.toFixed(3));
+        d3.select("#componentCount").text(metrics.components);
+        
+        this.renderSampleStats();
+        this.renderTimelineChart();
+        this.svg.attr("aria-label", this.graphSummary());
+        this.canvasRenderer.canvas.attr("aria-label", this.graphSummary());
+        this.renderTableView();
+    }
+    
+    // 样本规模及其代表性：度分布的 KS 距离越小，样本的度分布越接近完整图
+    renderSampleStats() {
+        const sample = this.data.sample;
+        d3.select("#sampleStats").style("display", sample ? null : "none");
+        if (!sample) return;
+        const method = GraphSampler.methods.find(d => d.key === sample.method);
+        const seed = sample.seedNode !== null ? `，起点 ${sample.seedNode}` : "";
+        d3.select("#sampleSummary")
+            .text(`${method ? method.label : sample.method} ${this.data.nodes.length} / ${sample.totalNodes}`)
+            .attr("title", `样本 ${this.data.nodes.length} 个节点、${this.data.links.length} 条边，密度 ${this.data.metrics.density.toFixed(4)}${seed}；`
+                + `完整图 ${sample.totalNodes} 个节点、${sample.totalLinks} 条边，密度 ${sample.totalDensity.toFixed(4)}`);
+        d3.select("#sampleKS")
+            .text(sample.ks.toFixed(3))
+            .attr("title", "样本与完整图度分布的 Kolmogorov-Smirnov 距离（0 为完全一致，1 为完全不同）");
     }
     
     // 加载状态
@@ -678,9 +4618,13 @@
         this.svg
             .attr("width", this.config.width)
             .attr("height", this.config.height);
+        d3.select("#selectionOverlay")
+            .attr("width", this.config.width)
+            .attr("height", this.config.height);
+        this.canvasRenderer.resize(this.config.width, this.config.height);
         
         this.simulation
-            .force("center", d3.forceCenter(this.config.width / 2, this.config.height / 2))
+            .setCenter(this.config.width / 2, this.config.height / 2)
             .restart();
     }
 }
@@ -0,0 +1,69 @@
+﻿// 框选工具：按住 Shift 拖动进行矩形或套索选择，SVG 和 Canvas 渲染器共用
+// 缩放和节点拖拽会忽略按住 Shift 的鼠标按下事件，因此不会与平移冲突
+// 选择结束后以屏幕坐标多边形回调 onSelect(polygon, additive)，按住 Ctrl/Cmd 时为追加选择
+class SelectionTool {
+    constructor(overlay, onSelect) {
+        this.overlay = d3.select(overlay);
+        this.onSelect = onSelect;
+        this.mode = "rectangle"; // rectangle 或 lasso
+        this.points = null;
+        this.element = null;
+
+        this.shape = this.overlay.append("path")
+            .attr("class", "selection-shape")
+            .style("display", "none");
+    }
+
+    // 在接收缩放手势的元素上监听 Shift 拖动
+    attach(selection) {
+        selection.on("mousedown.selection", (event) => {
+            if (!event.shiftKey || event.button !== 0) return;
+            event.preventDefault();
+            this.start(event, selection.node());
+        });
+        return this;
+    }
+
+    start(event, element) {
+        this.element = element;
+        this.points = [d3.pointer(event, element)];
+        this.shape.style("display", null).attr("d", null);
+
+        d3.select(window)
+            .on("mousemove.selection", (moveEvent) => this.move(moveEvent))
+            .on("mouseup.selection", (upEvent) => this.end(upEvent));
+    }
+
+    move(event) {
+        const point = d3.pointer(event, this.element);
+        if (this.mode === "rectangle") {
+            this.points = [this.points[0], point];
+        } else {
+            this.points.push(point);
+        }
+        this.shape.attr("d", `M${this.polygon().join("L")}Z`);
+    }
+
+    end(event) {
+        d3.select(window)
+            .on("mousemove.selection", null)
+            .on("mouseup.selection", null);
+        this.shape.style("display", "none");
+
+        const polygon = this.polygon();
+        const [x0, x1] = d3.extent(polygon, p => p[0]);
+        const [y0, y1] = d3.extent(polygon, p => p[1]);
+        this.points = null;
+
+        // 几乎没有拖动时视为误触
+        if (Math.abs(x1 - x0) < 3 && Math.abs(y1 - y0) < 3) return;
+        this.onSelect(polygon, event.ctrlKey || event.metaKey);
+    }
+
+    // 当前选择区域的多边形顶点（屏幕坐标）
+    polygon() {
+        if (this.mode === "lasso") return this.points;
+        const [[x0, y0], [x1, y1]] = [this.points[0], this.points[this.points.length - 1]];
+        return [[x0, y0], [x1, y0], [x1, y1], [x0, y1]];
+    }
+}
@@ -0,0 +1,124 @@
+﻿// 力导向布局 Web Worker：在后台线程运行 d3.forceSimulation，避免布局计算阻塞页面交互
+// 主线程通过消息控制仿真，每个 tick 以 Float32Array [x0, y0, x1, y1, ...] 发回节点坐标
+importScripts("https://d3js.org/d3.v7.min.js");
+
+let nodes = [];
+// 每次替换数据时递增，主线程据此丢弃旧数据的坐标
+let generation = 0;
+
+const simulation = d3.forceSimulation()
+    .force("link", d3.forceLink())
+    .force("charge", d3.forceManyBody())
+    .force("center", d3.forceCenter())
+    .force("collision", d3.forceCollide().radius(d => d.radius + 2))
+    .stop()
+    .on("tick", postPositions)
+    .on("end", () => self.postMessage({ type: "end", generation: generation }));
+
+function postPositions() {
+    const positions = new Float32Array(nodes.length * 2);
+    nodes.forEach((d, i) => {
+        positions[2 * i] = d.x;
+        positions[2 * i + 1] = d.y;
+    });
+    self.postMessage({
+        type: "tick",
+        generation: generation,
+        alpha: simulation.alpha(),
+        positions: positions
+    }, [positions.buffer]);
+}
+
+// NaN 表示未固定
+function toFixed(value) {
+    return Number.isNaN(value) ? null : value;
+}
+
+const handlers = {
+    config(message) {
+        simulation.alphaDecay(message.alphaDecay);
+        simulation.force("charge").strength(message.chargeStrength);
+        simulation.force("link").distance(message.linkDistance);
+        simulation.force("center").x(message.centerX).y(message.centerY);
+    },
+
+    // positions/fixed: Float32Array(2n)，radii: Float32Array(n)，links: Uint32Array [s0, t0, s1, t1, ...]
+    data(message) {
+        generation = message.generation;
+        nodes = Array.from(message.radii, (radius, i) => ({
+            x: message.positions[2 * i],
+            y: message.positions[2 * i + 1],
+            fx: toFixed(message.fixed[2 * i]),
+            fy: toFixed(message.fixed[2 * i + 1]),
+            radius: radius
+        }));
+
+        const links = [];
+        for (let i = 0; i < message.links.length; i += 2) {
+            links.push({ source: message.links[i], target: message.links[i + 1] });
+        }
+
+        simulation.nodes(nodes);
+        simulation.force("link").links(links);
+    },
+
+    positions(message) {
+        nodes.forEach((d, i) => {
+            d.x = message.positions[2 * i];
+            d.y = message.positions[2 * i + 1];
+            d.vx = 0;
+            d.vy = 0;
+            d.fx = toFixed(message.fixed[2 * i]);
+            d.fy = toFixed(message.fixed[2 * i + 1]);
+        });
+        postPositions();
+    },
+
+    pin(message) {
+        const node = nodes[message.index];
+        if (!node) return;
+        node.fx = message.fx;
+        node.fy = message.fy;
+    },
+
+    forces(message) {
+        simulation.force("charge").strength(message.chargeStrength);
+        simulation.force("link").distance(message.linkDistance);
+    },
+
+    center(message) {
+        simulation.force("center").x(message.x).y(message.y);
+    },
+
+    // targets: Float32Array(2n) 社群中心坐标，NaN 表示不受吸引；为 null 时移除该力
+    cluster(message) {
+        const targets = message.targets;
+        if (!targets) {
+            simulation.force("clusterX", null).force("clusterY", null);
+            return;
+        }
+        const strength = (d, i) => Number.isNaN(targets[2 * i]) ? 0 : message.strength;
+        const target = offset => (d, i) => Number.isNaN(targets[2 * i + offset]) ? 0 : targets[2 * i + offset];
+        simulation
+            .force("clusterX", d3.forceX(target(0)).strength(strength))
+            .force("clusterY", d3.forceY(target(1)).strength(strength));
+    },
+
+    alphaTarget(message) {
+        simulation.alphaTarget(message.value);
+    },
+
+    restart(message) {
+        if (message.alpha !== undefined) simulation.alpha(message.alpha);
+        simulation.restart();
+    },
+
+    stop() {
+        simulation.stop();
+    }
+};
+
+self.onmessage = (event) => {
+    const handler = handlers[event.data.type];
+    if (handler) handler(event.data);
+};
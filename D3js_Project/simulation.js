@@ -0,0 +1,246 @@
+﻿// 力导向仿真控制器：优先在 Web Worker 中运行（simulation-worker.js），
+// Worker 不可用时（如通过 file:// 打开页面）退回主线程的 d3.forceSimulation
+// 两种模式对外接口相同，节点的 x/y 由控制器写回，fx/fy 通过 pin/syncPositions 同步
+class SimulationController {
+    constructor(options) {
+        this.settings = {
+            chargeStrength: options.chargeStrength,
+            linkDistance: options.linkDistance,
+            centerX: options.centerX,
+            centerY: options.centerY,
+            alphaDecay: options.alphaDecay
+        };
+        this.onTick = options.onTick || (() => {});
+        this.nodes = [];
+        this.links = [];
+        this.nodeIndex = new Map();
+        this.generation = 0;
+        this.currentAlpha = 0;
+        this.worker = null;
+        this.local = null;
+        this.clusterTargets = null;
+        this.clusterStrength = 0;
+
+        if (options.useWorker && typeof Worker !== "undefined") {
+            try {
+                this.startWorker(options.workerUrl);
+            } catch (error) {
+                console.warn("无法启动布局 Worker，改为主线程计算:", error);
+                this.worker = null;
+            }
+        }
+        if (!this.worker) this.startLocal();
+    }
+
+    get usesWorker() {
+        return this.worker !== null;
+    }
+
+    startWorker(url) {
+        this.worker = new Worker(url);
+        this.worker.onmessage = (event) => this.handleMessage(event.data);
+        // 例如 Worker 内无法加载 d3 时，切换到主线程继续布局
+        this.worker.onerror = (event) => {
+            console.warn("布局 Worker 出错，改为主线程计算:", event.message);
+            event.preventDefault();
+            this.worker.terminate();
+            this.worker = null;
+            this.startLocal();
+            this.setData(this.nodes, this.links);
+            this.restart(Math.max(this.currentAlpha, 0.3));
+        };
+        this.post({ type: "config", ...this.settings });
+    }
+
+    startLocal() {
+        this.local = d3.forceSimulation()
+            .force("link", d3.forceLink().id(d => d.id).distance(this.settings.linkDistance))
+            .force("charge", d3.forceManyBody().strength(this.settings.chargeStrength))
+            .force("center", d3.forceCenter(this.settings.centerX, this.settings.centerY))
+            .force("collision", d3.forceCollide().radius(d => d.radius + 2))
+            .alphaDecay(this.settings.alphaDecay)
+            .stop()
+            .on("tick", () => {
+                this.currentAlpha = this.local.alpha();
+                this.onTick();
+            });
+    }
+
+    handleMessage(message) {
+        // 忽略替换数据之前发出的坐标
+        if (message.generation !== this.generation) return;
+
+        if (message.type === "tick") {
+            const positions = message.positions;
+            this.nodes.forEach((d, i) => {
+                d.x = positions[2 * i];
+                d.y = positions[2 * i + 1];
+            });
+            this.currentAlpha = message.alpha;
+            this.onTick();
+        }
+    }
+
+    post(message, transfer) {
+        this.worker.postMessage(message, transfer || []);
+    }
+
+    setData(nodes, links) {
+        this.nodes = nodes;
+        this.links = links;
+        this.nodeIndex = new Map(nodes.map((d, i) => [d, i]));
+
+        if (!this.worker) {
+            this.local.nodes(nodes);
+            this.local.force("link").links(links);
+            this.applyClusterTargets();
+            return this;
+        }
+
+        this.generation++;
+        const { positions, fixed } = this.packPositions();
+        const radii = Float32Array.from(nodes, d => d.radius);
+        const pairs = new Uint32Array(links.length * 2);
+        links.forEach((link, i) => {
+            pairs[2 * i] = this.nodeIndex.get(link.source);
+            pairs[2 * i + 1] = this.nodeIndex.get(link.target);
+        });
+
+        this.post({
+            type: "data",
+            generation: this.generation,
+            positions: positions,
+            fixed: fixed,
+            radii: radii,
+            links: pairs
+        }, [positions.buffer, fixed.buffer, radii.buffer, pairs.buffer]);
+        // 节点顺序可能改变，重新发送社群中心
+        this.applyClusterTargets();
+        return this;
+    }
+
+    packPositions() {
+        const positions = new Float32Array(this.nodes.length * 2);
+        const fixed = new Float32Array(this.nodes.length * 2);
+        this.nodes.forEach((d, i) => {
+            positions[2 * i] = d.x;
+            positions[2 * i + 1] = d.y;
+            fixed[2 * i] = d.fx === null || d.fx === undefined ? NaN : d.fx;
+            fixed[2 * i + 1] = d.fy === null || d.fy === undefined ? NaN : d.fy;
+        });
+        return { positions, fixed };
+    }
+
+    // 主线程直接修改了节点的 x/y/fx/fy（例如导入布局）后调用
+    syncPositions() {
+        if (!this.worker) return this;
+        const { positions, fixed } = this.packPositions();
+        this.post({ type: "positions", positions: positions, fixed: fixed }, [positions.buffer, fixed.buffer]);
+        return this;
+    }
+
+    // 同步单个节点的固定位置（fx/fy 为 null 时取消固定）
+    pin(node) {
+        if (node.fx !== null && node.fx !== undefined) node.x = node.fx;
+        if (node.fy !== null && node.fy !== undefined) node.y = node.fy;
+        if (!this.worker) return this;
+
+        const index = this.nodeIndex.get(node);
+        if (index === undefined) return this;
+        this.post({
+            type: "pin",
+            index: index,
+            fx: node.fx === undefined ? null : node.fx,
+            fy: node.fy === undefined ? null : node.fy
+        });
+        return this;
+    }
+
+    setForces({ chargeStrength, linkDistance }) {
+        this.settings.chargeStrength = chargeStrength;
+        this.settings.linkDistance = linkDistance;
+
+        if (this.worker) {
+            this.post({ type: "forces", chargeStrength: chargeStrength, linkDistance: linkDistance });
+        } else {
+            this.local.force("charge").strength(chargeStrength);
+            this.local.force("link").distance(linkDistance);
+        }
+        return this;
+    }
+
+    setCenter(x, y) {
+        this.settings.centerX = x;
+        this.settings.centerY = y;
+
+        if (this.worker) {
+            this.post({ type: "center", x: x, y: y });
+        } else {
+            this.local.force("center").x(x).y(y);
+        }
+        return this;
+    }
+
+    // targets: Map<node, {x, y}>，把节点拉向所属社群的中心；为 null 时取消
+    setClusterTargets(targets, strength = 0.1) {
+        this.clusterTargets = targets;
+        this.clusterStrength = strength;
+        this.applyClusterTargets();
+        return this;
+    }
+
+    applyClusterTargets() {
+        const targets = this.clusterTargets;
+        const strength = this.clusterStrength;
+        
+        if (this.worker) {
+            let packed = null;
+            if (targets) {
+                packed = new Float32Array(this.nodes.length * 2);
+                this.nodes.forEach((d, i) => {
+                    const target = targets.get(d);
+                    packed[2 * i] = target ? target.x : NaN;
+                    packed[2 * i + 1] = target ? target.y : NaN;
+                });
+            }
+            this.post({ type: "cluster", targets: packed, strength: strength }, packed ? [packed.buffer] : []);
+        } else if (targets) {
+            this.local
+                .force("clusterX", d3.forceX(d => (targets.get(d) || d).x).strength(d => targets.has(d) ? strength : 0))
+                .force("clusterY", d3.forceY(d => (targets.get(d) || d).y).strength(d => targets.has(d) ? strength : 0));
+        } else {
+            this.local.force("clusterX", null).force("clusterY", null);
+        }
+    }
+
+    alphaTarget(value) {
+        if (this.worker) {
+            this.post({ type: "alphaTarget", value: value });
+        } else {
+            this.local.alphaTarget(value);
+        }
+        return this;
+    }
+
+    // alpha 省略时从当前能量继续
+    restart(alpha) {
+        if (alpha !== undefined) this.currentAlpha = alpha;
+
+        if (this.worker) {
+            this.post({ type: "restart", alpha: alpha });
+        } else {
+            if (alpha !== undefined) this.local.alpha(alpha);
+            this.local.restart();
+        }
+        return this;
+    }
+
+    stop() {
+        if (this.worker) {
+            this.post({ type: "stop" });
+        } else {
+            this.local.stop();
+        }
+        return this;
+    }
+}
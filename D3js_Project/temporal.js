@@ -0,0 +1,85 @@
+﻿// 时序网络：根据边的时间戳计算任一时刻的活跃子图
+// 边在 (time - window, time] 内出现过即为活跃，window 为 Infinity 时边出现后一直保留；节点在有活跃边时出现
+// 没有时间戳的边（如编辑时新增的边）及只与这些边相连的节点始终显示
+class GraphTimeline {
+    constructor(links) {
+        this.entries = links
+            .map(link => ({ link: link, times: link.originalData && link.originalData.times }))
+            .filter(d => Array.isArray(d.times) && d.times.length > 0);
+
+        // 有时间戳的边及其连接的节点，只在活跃时显示
+        this.timedLinks = new Set(this.entries.map(d => d.link));
+        this.timedNodes = new Set();
+        this.entries.forEach(({ link }) => {
+            this.timedNodes.add(link.source);
+            this.timedNodes.add(link.target);
+        });
+
+        this.extent = [
+            d3.min(this.entries, d => d.times[0]),
+            d3.max(this.entries, d => d.times[d.times.length - 1])
+        ];
+        this.eventCount = d3.sum(this.entries, d => d.times.length);
+        // 取值像 Unix 秒时按日期显示
+        this.unixTime = this.extent[0] >= 1e8;
+    }
+
+    static isTemporal(links) {
+        return links.some(link => link.originalData && Array.isArray(link.originalData.times));
+    }
+
+    get span() {
+        return this.extent[1] - this.extent[0];
+    }
+
+    // 返回筛选用的 { links, nodes, timedLinks, timedNodes }，links 与 nodes 为活跃的边和节点
+    activeAt(time, window = Infinity) {
+        const links = new Set();
+        const nodes = new Set();
+        this.entries.forEach(({ link, times }) => {
+            const index = d3.bisectRight(times, time);
+            if (index === 0 || times[index - 1] <= time - window) return;
+            links.add(link);
+            nodes.add(link.source);
+            nodes.add(link.target);
+        });
+        return { links: links, nodes: nodes, timedLinks: this.timedLinks, timedNodes: this.timedNodes };
+    }
+
+    // 在 steps 个等间隔时刻上统计活跃节点数、边数和平均度数
+    series(steps, window = Infinity) {
+        const [start] = this.extent;
+        return d3.range(steps + 1).map(i => {
+            const time = start + this.span * i / steps;
+            const { links, nodes } = this.activeAt(time, window);
+            return {
+                time: time,
+                nodes: nodes.size,
+                links: links.size,
+                averageDegree: nodes.size > 0 ? 2 * links.size / nodes.size : 0
+            };
+        });
+    }
+
+    format(time) {
+        if (!this.unixTime) return d3.format(",")(Math.round(time));
+        const date = new Date(time * 1000);
+        return this.span > 3 * 86400 ? d3.utcFormat("%Y-%m-%d")(date) : d3.utcFormat("%Y-%m-%d %H:%M")(date);
+    }
+
+    // 时间窗口选项，单位与时间戳相同
+    windows() {
+        const options = [{ value: Infinity, label: "累积" }];
+        if (this.unixTime) {
+            [["1 天", 86400], ["1 周", 7 * 86400], ["30 天", 30 * 86400], ["1 年", 365 * 86400]]
+                .filter(([, value]) => value < this.span)
+                .forEach(([label, value]) => options.push({ value: value, label: label }));
+        } else {
+            [0.01, 0.05, 0.1, 0.25].forEach(ratio => options.push({
+                value: this.span * ratio,
+                label: `${ratio * 100}% 时长`
+            }));
+        }
+        return options;
+    }
+}
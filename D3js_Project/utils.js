@@ -0,0 +1,27 @@
+﻿// 各模块共用的小工具
+class GraphUtils {
+    // 连接的端点可能是节点对象，也可能是节点 ID
+    static endpointId(endpoint) {
+        return endpoint !== null && typeof endpoint === "object" ? endpoint.id : endpoint;
+    }
+
+    static shuffle(array, random) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+
+    // 固定种子的伪随机数（mulberry32），保证每次加载结果一致
+    static seededRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
@@ -0,0 +1,133 @@
+﻿// 视图状态与 URL hash 互相转换，便于分享和恢复当前视图
+// 格式为 #key=value&key=value，列表项以逗号分隔，每一项单独做 URI 编码，因此节点 ID 可以包含任意字符
+// 默认数据集不写入 hash；src 为可重新下载的数据地址，dataset 为本地文件名（需要用户重新打开）
+class ViewState {
+    static get version() {
+        return 1;
+    }
+
+    static encode(state) {
+        const params = [["v", [ViewState.version]]];
+        const add = (key, values) => {
+            if (values && values.length > 0) params.push([key, values]);
+        };
+
+        if (state.source) add("src", [state.source]);
+        else if (state.dataset) add("ds", [state.dataset]);
+
+        const { filters } = state;
+        if (filters) {
+            if (filters.measure !== "degree" || isFinite(filters.min) || isFinite(filters.max)) {
+                add("f", [filters.measure, ViewState.number(filters.min), ViewState.number(filters.max)]);
+            }
+            add("c", filters.communities);
+            add("hide", filters.excluded);
+        }
+        add("ego", (state.ego || []).map(d => `${d.center}:${d.hops}`));
+        if (state.selected !== null && state.selected !== undefined) add("sel", [state.selected]);
+        if (state.displayMode && state.displayMode !== "all") add("mode", [state.displayMode]);
+        if (state.layout) {
+            add("layout", state.layout.root !== null && state.layout.root !== undefined
+                ? [state.layout.type, state.layout.root]
+                : [state.layout.type]);
+        }
+        if (state.forces) add("force", [state.forces.chargeStrength, state.forces.linkDistance]);
+        if (state.encoding) {
+            const { radius, color, colorScheme, label } = state.encoding;
+            add("enc", [radius, color, colorScheme, label]);
+        }
+        add("pins", (state.pins || []).map(d => `${d.id}:${Math.round(d.x)}:${Math.round(d.y)}`));
+        if (state.transform) {
+            const { x, y, k } = state.transform;
+            add("z", [ViewState.number(x), ViewState.number(y), ViewState.number(k, 3)]);
+        }
+
+        return params
+            .map(([key, values]) => `${key}=${values.map(ViewState.escape).join(",")}`)
+            .join("&");
+    }
+
+    // 无法识别的字段直接忽略，返回的对象只包含 hash 中出现的部分
+    static decode(hash) {
+        const text = (hash || "").replace(/^#/, "");
+        const params = new Map();
+        text.split("&").forEach(part => {
+            const index = part.indexOf("=");
+            if (index <= 0) return;
+            try {
+                params.set(part.slice(0, index), part.slice(index + 1).split(",").map(decodeURIComponent));
+            } catch (error) {
+                console.warn("忽略无法解析的视图参数:", part);
+            }
+        });
+
+        const state = {};
+        const first = key => params.has(key) ? params.get(key)[0] : undefined;
+        const numbers = key => (params.get(key) || []).map(Number);
+        if (params.size === 0) return state;
+
+        if (params.has("src")) state.source = first("src");
+        if (params.has("ds")) state.dataset = first("ds");
+
+        if (params.has("f") || params.has("c") || params.has("hide")) {
+            const [measure, min, max] = params.get("f") || [];
+            state.filters = {
+                measure: measure,
+                min: min === undefined || min === "" ? -Infinity : Number(min),
+                max: max === undefined || max === "" ? Infinity : Number(max),
+                communities: params.has("c") ? numbers("c").filter(isFinite) : null,
+                excluded: params.get("hide") || null
+            };
+        }
+        if (params.has("ego")) {
+            state.ego = params.get("ego")
+                .map(item => {
+                    const index = item.lastIndexOf(":");
+                    return { center: item.slice(0, index), hops: Number(item.slice(index + 1)) };
+                })
+                .filter(d => d.center !== "" && d.hops >= 1);
+        }
+        if (params.has("sel")) state.selected = first("sel");
+        if (params.has("mode")) state.displayMode = first("mode");
+        if (params.has("layout")) {
+            const [type, root] = params.get("layout");
+            state.layout = { type: type, root: root === undefined ? null : root };
+        }
+        if (params.has("force")) {
+            const [chargeStrength, linkDistance] = numbers("force");
+            if (isFinite(chargeStrength) && isFinite(linkDistance)) {
+                state.forces = { chargeStrength, linkDistance };
+            }
+        }
+        if (params.has("enc")) {
+            const [radius, color, colorScheme, label] = params.get("enc");
+            state.encoding = { radius, color, colorScheme, label };
+        }
+        if (params.has("pins")) {
+            state.pins = params.get("pins")
+                .map(item => {
+                    const parts = item.split(":");
+                    const y = Number(parts.pop());
+                    const x = Number(parts.pop());
+                    return { id: parts.join(":"), x: x, y: y };
+                })
+                .filter(d => isFinite(d.x) && isFinite(d.y));
+        }
+        if (params.has("z")) {
+            const [x, y, k] = numbers("z");
+            if (isFinite(x) && isFinite(y) && k > 0) state.transform = { x, y, k };
+        }
+        return state;
+    }
+
+    // 冒号在 hash 中无需转义，ID 中的冒号由解析时从右侧拆分保证正确
+    static escape(value) {
+        return encodeURIComponent(String(value)).replace(/%3A/gi, ":");
+    }
+
+    // 无穷大写为空字符串，其余保留有限位小数
+    static number(value, digits = 1) {
+        if (!isFinite(value)) return "";
+        return String(+value.toFixed(digits));
+    }
+}
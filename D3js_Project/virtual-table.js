@@ -0,0 +1,166 @@
+﻿// 虚拟滚动表格：只渲染可视区域附近的行，上下用占位行撑开滚动高度，可承载数万行
+// 列为 { key, label, value(row), format(value), type }，type 为 numeric 时右对齐并按数值排序，为 node 时取值为节点并渲染为按钮
+// 行高固定，需与 style.css 中 .virtual-table tbody tr 的高度一致
+class VirtualTable {
+    constructor(container, options = {}) {
+        this.rowHeight = options.rowHeight || 22;
+        this.overscan = options.overscan || 10;
+        this.onRowClick = options.onRowClick || (() => {});
+        this.onNodeClick = options.onNodeClick || (() => {});
+        this.columns = [];
+        this.source = [];
+        this.rows = [];
+        this.sort = null; // { key, direction }，direction 为 1 升序、-1 降序
+        this.active = null;
+        this.selected = new Set();
+
+        this.scroller = d3.select(container)
+            .classed("virtual-table", true)
+            .on("scroll", () => this.render());
+        this.table = this.scroller.append("table").attr("class", "data-table");
+        this.caption = this.table.append("caption");
+        this.headerRow = this.table.append("thead").append("tr").attr("aria-rowindex", 1);
+        this.body = this.table.append("tbody");
+    }
+
+    setColumns(columns, sort = null) {
+        this.columns = columns;
+        this.sort = sort;
+        this.renderHeader();
+        return this;
+    }
+
+    // rows 的顺序在没有排序列时保留（如搜索结果按匹配程度排列）
+    setRows(rows) {
+        this.source = rows;
+        this.rows = this.sorted(rows);
+        this.table.attr("aria-rowcount", this.rows.length + 1);
+        this.render();
+        return this;
+    }
+
+    setCaption(text) {
+        this.caption.text(text);
+        return this;
+    }
+
+    // 再次点击同一列时反转顺序，数值列默认降序
+    sortBy(key) {
+        const column = this.columns.find(d => d.key === key);
+        if (!column) return;
+        const direction = this.sort && this.sort.key === key
+            ? -this.sort.direction
+            : (column.type === "numeric" ? -1 : 1);
+        this.sort = { key: key, direction: direction };
+        this.renderHeader();
+        this.setRows(this.source);
+    }
+
+    sorted(rows) {
+        if (!this.sort) return rows;
+        const column = this.columns.find(d => d.key === this.sort.key);
+        if (!column) return rows;
+        const { direction } = this.sort;
+        const value = row => {
+            const v = column.value(row);
+            return column.type === "node" ? v.id : v;
+        };
+        // 缺失的取值始终排在最后
+        return rows.slice().sort((a, b) => {
+            const x = value(a);
+            const y = value(b);
+            const missingX = x === undefined || x === null || x === "";
+            const missingY = y === undefined || y === null || y === "";
+            if (missingX || missingY) return missingX - missingY;
+            if (typeof x === "number" && typeof y === "number") return (x - y) * direction;
+            return String(x).localeCompare(String(y), undefined, { numeric: true }) * direction;
+        });
+    }
+
+    renderHeader() {
+        const ariaSort = column => !this.sort || this.sort.key !== column.key
+            ? "none"
+            : (this.sort.direction > 0 ? "ascending" : "descending");
+        this.headerRow.selectAll("th")
+            .data(this.columns, d => d.key)
+            .join(enter => {
+                const th = enter.append("th").attr("scope", "col");
+                th.append("button")
+                    .attr("class", "sort-button")
+                    .on("click", (event, d) => this.sortBy(d.key));
+                return th;
+            })
+            .attr("class", d => d.type === "numeric" ? "numeric" : null)
+            .attr("aria-sort", ariaSort)
+            .select("button")
+            .text(d => d.label + ({ ascending: " ▲", descending: " ▼" }[ariaSort(d)] || ""));
+    }
+
+    // 只渲染可视区域内的行，前后各多渲染 overscan 行
+    render() {
+        const element = this.scroller.node();
+        const total = this.rows.length;
+        const viewport = element.clientHeight || this.rowHeight * 20;
+        const start = Math.max(0, Math.floor(element.scrollTop / this.rowHeight) - this.overscan);
+        const end = Math.min(total, Math.ceil((element.scrollTop + viewport) / this.rowHeight) + this.overscan);
+
+        this.body.selectAll("*").remove();
+        if (start > 0) {
+            this.body.append("tr").attr("class", "spacer").style("height", `${start * this.rowHeight}px`);
+        }
+        this.rows.slice(start, end).forEach((row, i) => {
+            const selected = this.selected.has(row);
+            const tr = this.body.append("tr")
+                .attr("aria-rowindex", start + i + 2)
+                .attr("aria-selected", selected)
+                .classed("active", row === this.active)
+                .classed("selected", selected)
+                .on("click", (event) => this.onRowClick(row, event));
+            this.columns.forEach((column, j) => {
+                const cell = tr.append(j === 0 ? "th" : "td")
+                    .attr("class", column.type === "numeric" ? "numeric" : null);
+                if (j === 0) cell.attr("scope", "row");
+                const value = column.value(row);
+                if (column.type === "node") {
+                    cell.append("button")
+                        .attr("class", "table-node")
+                        .text(value.id)
+                        .on("click", (event) => {
+                            event.stopPropagation();
+                            this.onNodeClick(value, event);
+                        });
+                } else {
+                    cell.text(value === undefined || value === null ? "" : (column.format ? column.format(value) : value));
+                }
+            });
+        });
+        if (end < total) {
+            this.body.append("tr").attr("class", "spacer").style("height", `${(total - end) * this.rowHeight}px`);
+        }
+    }
+
+    setActive(row) {
+        this.active = row;
+        this.render();
+    }
+
+    setSelected(rows) {
+        this.selected = new Set(rows);
+        this.render();
+    }
+
+    // 行不在可视区域内时滚动到中间
+    scrollToRow(row) {
+        const index = this.rows.indexOf(row);
+        if (index === -1) return false;
+        const element = this.scroller.node();
+        const top = index * this.rowHeight;
+        const viewport = element.clientHeight || this.rowHeight * 20;
+        const header = this.rowHeight;
+        if (top < element.scrollTop || top + this.rowHeight + header > element.scrollTop + viewport) {
+            element.scrollTop = Math.max(0, top - viewport / 2);
+        }
+        this.render();
+        return true;
+    }
+}